@@ -0,0 +1,124 @@
+const { columnKind } = require('./schema');
+const { compileFilter, parseSort, FilterError } = require('./filters');
+
+/**
+ * Compiles the query parameters of `GET /:table/_aggregate` into a grouped query.
+ *
+ *   ?groupBy=status,created_at:month              GROUP BY status and the month of created_at
+ *   ?metrics=count,sum:total,countDistinct:customer_id
+ *   ?having[count][gte]=10                        only groups of 10 rows or more
+ *   ?sort=-sum_total                              ORDER BY sum_total DESC
+ *
+ * Results name a group after its column, or `created_at_month` for a date bucket, and a metric
+ * `count` or after its function and column, such as `sum_total`.
+ */
+
+const buckets = ['day', 'week', 'month', 'year'];
+
+// Functions of `metrics`, and the column kinds each takes
+const functions = {
+    count: { sql: column => `COUNT(${column})`, kinds: null },
+    countDistinct: { sql: column => `COUNT(DISTINCT ${column})`, kinds: ['integer', 'number', 'boolean', 'date', 'datetime', 'time', 'string'] },
+    sum: { sql: column => `SUM(${column})`, kinds: ['integer', 'number'] },
+    avg: { sql: column => `AVG(${column})`, kinds: ['integer', 'number'] },
+    min: { sql: column => `MIN(${column})`, kinds: ['integer', 'number', 'date', 'datetime', 'time', 'string'] },
+    max: { sql: column => `MAX(${column})`, kinds: ['integer', 'number', 'date', 'datetime', 'time', 'string'] },
+};
+
+/**
+ * Splits a comma-separated parameter.
+ */
+const entries = (name, value, example) => {
+    if (value === undefined || value === '') return [];
+    if (typeof value !== 'string') throw new FilterError(`${name} must be a comma-separated list, e.g. ${name}=${example}`);
+    return value.split(',').map(entry => entry.trim());
+};
+
+/**
+ * The kind of a column the key may read, for a parameter that names it.
+ */
+const visibleKind = (table, column, parameter) => {
+    if (!Object.prototype.hasOwnProperty.call(table.columns, column)) {
+        throw new FilterError(`Unknown column '${column}' in ${parameter} of table '${table.name}'`);
+    }
+    return columnKind(table.columns[column]);
+};
+
+/**
+ * Numbers as numbers: databases give counts and sums of big or exact types as strings.
+ */
+const toNumber = value => (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value);
+
+/**
+ * Compiles `groupBy`, `metrics`, `having` and `sort` against the columns the key may read.
+ * @param {Object} query - `{ groupBy, metrics, having, sort }` from the query string
+ * @param {Object} table - The part of the table the key may read
+ * @param {Object} db - Database adapter, for quoting and date buckets
+ * @returns {Object} - `{ select, groupBy, having, orderBy, read }`: SQL for each clause (`having` with
+ *                     its params), and `read(row)` to turn a result row into the response
+ */
+function compileAggregate({ groupBy, metrics, having, sort }, table, db) {
+    const groups = entries('groupBy', groupBy, 'status,created_at:month').map((entry) => {
+        const [column, bucket] = entry.split(':');
+        const kind = visibleKind(table, column, 'groupBy');
+        if (bucket === undefined) {
+            if (['json', 'binary'].includes(kind)) throw new FilterError(`Cannot group by the ${kind} column '${column}'`);
+            return { name: column, sql: db.quote(column) };
+        }
+        if (!buckets.includes(bucket)) throw new FilterError(`Unknown date bucket '${bucket}', use ${buckets.join(', ')}`);
+        if (!['date', 'datetime'].includes(kind)) throw new FilterError(`Cannot group column '${column}' by ${bucket}, it is not a date`);
+        return { name: `${column}_${bucket}`, sql: db.dateBucket(db.quote(column), bucket) };
+    });
+
+    const requested = entries('metrics', metrics, 'count,sum:total');
+    const measures = (requested.length ? requested : ['count']).map((entry) => {
+        const [name, column] = entry.split(':');
+        const fn = Object.prototype.hasOwnProperty.call(functions, name) ? functions[name] : null;
+        if (!fn) throw new FilterError(`Unknown metric '${name}', use ${Object.keys(functions).join(', ')}`);
+        if (column === undefined) {
+            if (name !== 'count') throw new FilterError(`Metric '${name}' needs a column, e.g. ${name}:total`);
+            return { name, sql: fn.sql('*'), numeric: true };
+        }
+
+        const kind = visibleKind(table, column, 'metrics');
+        if (fn.kinds && !fn.kinds.includes(kind)) throw new FilterError(`Metric '${name}' cannot be used on the ${kind} column '${column}'`);
+        const numeric = ['count', 'countDistinct', 'sum', 'avg'].includes(name) || ['integer', 'number'].includes(kind);
+        return { name: `${name}_${column}`, sql: fn.sql(db.quote(column)), numeric };
+    });
+
+    const names = [...groups, ...measures].map(({ name }) => name);
+    const repeated = names.filter((name, n) => names.indexOf(name) !== n);
+    if (repeated.length) throw new FilterError(`Results cannot have two columns named ${repeated.join(', ')}`);
+
+    // `having` and `sort` take the result columns by name; HAVING needs the expressions themselves
+    const results = { name: table.name, columns: Object.fromEntries([...groups, ...measures].map(item => [item.name, item])) };
+    const expression = name => results.columns[name].sql;
+    const cast = (name, value) => {
+        if (!results.columns[name].numeric) return value;
+        const number = toNumber(value);
+        if (typeof number !== 'number') throw new FilterError(`${name} must be a number`);
+        return number;
+    };
+    let condition;
+    try {
+        condition = compileFilter(having, { name: table.name, columns: Object.fromEntries(measures.map(item => [item.name, item])) }, expression, cast);
+    } catch (error) {
+        if (error instanceof FilterError) throw new FilterError(`having: ${error.message}`);
+        throw error;
+    }
+
+    const order = parseSort(sort, results);
+    return {
+        select: [...groups, ...measures].map(({ name, sql }) => `${sql} AS ${db.quote(name)}`).join(', '),
+        groupBy: groups.map(({ sql }) => sql).join(', '),
+        having: condition,
+        orderBy: (order.length ? order : groups.map(({ name }) => ({ column: name, descending: false })))
+            .map(({ column, descending }) => `${db.quote(column)} ${descending ? 'DESC' : 'ASC'}`).join(', '),
+        read: row => Object.fromEntries(Object.entries(row).map(([name, value]) => [
+            name,
+            results.columns[name] && results.columns[name].numeric ? toNumber(value) : value,
+        ])),
+    };
+}
+
+module.exports = { compileAggregate };
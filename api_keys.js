@@ -0,0 +1,335 @@
+const express = require('express');
+const crypto = require('crypto');
+const { openDatabase } = require('./db');
+const { parseScopes } = require('./scopes');
+const { isPlainObject } = require('./filters');
+const { ApiError, sendProblem } = require('./errors');
+
+// Grace period for the old key after a rotation, in seconds
+const DEFAULT_GRACE_PERIOD = 24 * 60 * 60;
+
+// How often `last_used_at` is written for a key that is used repeatedly, in milliseconds
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Reads the stored metadata of a key, which is kept as a JSON string.
+ * @param {string|null} metadata
+ * @returns {Object}
+ */
+const parseMetadata = (metadata) => {
+    if (!metadata) return {};
+    try {
+        const parsed = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+        return isPlainObject(parsed) ? parsed : {};
+    } catch (err) {
+        return {};
+    }
+};
+
+/**
+ * Shapes a stored row for callers: no hash, scopes as an array, metadata as an object.
+ * @param {Object} row - Row from the api_keys table
+ * @returns {Object}
+ */
+const present = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: parseScopes(row.scopes),
+    active: Boolean(row.active),
+    created_at: row.created_at,
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    metadata: parseMetadata(row.metadata),
+});
+
+/**
+ * Creates the key store on top of a database adapter, creating or upgrading the api_keys table.
+ * Keys are stored as SHA-256 hashes; only their prefix is kept in clear text so they can be told apart.
+ * @param {Object} db - Database adapter for the key store
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger with `info`, `warn` and `error` (default: console)
+ * @returns {Promise<Object>} - Key store with `createKey`, `listKeys`, `getKey`, `rotateKey`, `revokeKey` and `verify`
+ */
+async function createKeyStore(db, { logger = console } = {}) {
+    const { serial, string, text, boolean } = db.types;
+    const q = db.quote;
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS api_keys (
+        id ${serial},
+        name ${string},
+        prefix ${string} NOT NULL,
+        key_hash ${string} UNIQUE NOT NULL,
+        scopes ${string} NOT NULL,
+        active ${boolean} DEFAULT TRUE,
+        created_at ${string},
+        expires_at ${string},
+        last_used_at ${string},
+        metadata ${text}
+    )`);
+
+    // Tables created by earlier versions only have api_key, scopes and active
+    const { api_keys: existing } = await db.introspect();
+    const columns = { name: string, prefix: string, key_hash: string, created_at: string, expires_at: string, last_used_at: string, metadata: text };
+    for (const [column, type] of Object.entries(columns)) {
+        if (!existing.columns[column]) {
+            await db.execute(`ALTER TABLE api_keys ADD COLUMN ${q(column)} ${type}`);
+        }
+    }
+
+    // Replace plaintext keys from earlier versions by their hash. The old api_key column is NOT NULL UNIQUE,
+    // so it keeps the hash as well
+    const legacy = Boolean(existing.columns.api_key);
+    if (legacy) {
+        const rows = await db.select('SELECT id, api_key FROM api_keys WHERE key_hash IS NULL');
+        for (const row of rows) {
+            const keyHash = hashKey(row.api_key);
+            await db.update('api_keys', {
+                key_hash: keyHash,
+                api_key: keyHash,
+                prefix: String(row.api_key).slice(0, 8),
+                created_at: new Date().toISOString(),
+            }, { sql: `${q('id')} = ?`, params: [row.id] });
+        }
+    }
+
+    /**
+     * Generates a key and stores its hash.
+     * @param {Object} handle - Database adapter or transaction to insert with
+     * @param {Object} fields - `name`, `scopes` (comma-separated), `expires_at` and `metadata` (JSON) of the new key
+     * @returns {Promise<Object>} - The stored key plus its plaintext as `key`
+     */
+    const issue = async (handle, fields) => {
+        const prefix = `eag_${crypto.randomBytes(4).toString('hex')}`;
+        const key = `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+        const keyHash = hashKey(key);
+        const data = {
+            ...fields,
+            prefix,
+            key_hash: keyHash,
+            active: true,
+            created_at: new Date().toISOString(),
+        };
+        if (legacy) data.api_key = keyHash;
+
+        const id = await handle.insert('api_keys', data, 'id');
+        return { ...present({ ...data, id }), key };
+    };
+
+    return {
+        /**
+         * Creates a key. The plaintext key is only ever returned here.
+         * @param {Object} [options]
+         * @param {string} [options.name] - Label for the key
+         * @param {Array<string>|string} [options.scopes] - Scopes granted to the key (default: read)
+         * @param {Date|string} [options.expiresAt] - When the key stops working (default: never)
+         * @param {Object} [options.metadata] - Attributes of the key's owner, such as `tenant_id`, for row policies
+         * @returns {Promise<Object>} - The stored key plus its plaintext as `key`
+         */
+        createKey({ name = null, scopes = ['read'], expiresAt = null, metadata = null } = {}) {
+            return issue(db, {
+                name,
+                scopes: parseScopes(scopes).join(','),
+                expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+                metadata: metadata ? JSON.stringify(metadata) : null,
+            });
+        },
+
+        /**
+         * @returns {Promise<Array<Object>>} - Every key, without hashes
+         */
+        async listKeys() {
+            const rows = await db.select('SELECT * FROM api_keys ORDER BY id');
+            return rows.map(present);
+        },
+
+        /**
+         * @param {number|string} id - Key id
+         * @returns {Promise<Object|null>}
+         */
+        async getKey(id) {
+            const [row] = await db.select('SELECT * FROM api_keys WHERE id = ?', [id]);
+            return row ? present(row) : null;
+        },
+
+        /**
+         * Issues a replacement key with the same name, scopes, metadata and expiry. The old key keeps
+         * working for the grace period, then expires. A rotation changes the secret, not how long it is
+         * valid, so the new key expires when the old one would have.
+         * @param {number|string} id - Key id
+         * @param {Object} [options]
+         * @param {number} [options.gracePeriod] - Seconds the old key stays valid (default: 24 hours)
+         * @returns {Promise<Object|null>} - The new key plus its plaintext as `key`, or null if there is no such key
+         *                                   or it is revoked; rejects with a 409 ApiError if it has expired
+         */
+        async rotateKey(id, { gracePeriod = DEFAULT_GRACE_PERIOD } = {}) {
+            return db.transaction(async (tx) => {
+                const [row] = await tx.select('SELECT * FROM api_keys WHERE id = ?', [id]);
+                if (!row || !row.active) return null;
+                if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+                    throw new ApiError(409, `API key ${row.id} has expired and cannot be rotated`, 'api_key_expired');
+                }
+
+                const graceEnds = new Date(Date.now() + gracePeriod * 1000);
+                const expires = row.expires_at && new Date(row.expires_at) < graceEnds ? row.expires_at : graceEnds.toISOString();
+                await tx.update('api_keys', { expires_at: expires }, { sql: `${q('id')} = ?`, params: [id] });
+
+                return issue(tx, { name: row.name, scopes: row.scopes, expires_at: row.expires_at || null, metadata: row.metadata });
+            });
+        },
+
+        /**
+         * Deactivates a key immediately.
+         * @param {number|string} id - Key id
+         * @returns {Promise<boolean>} - False if there is no such key
+         */
+        async revokeKey(id) {
+            const changes = await db.update('api_keys', { active: false }, { sql: `${q('id')} = ?`, params: [id] });
+            return changes > 0;
+        },
+
+        /**
+         * Looks up a plaintext key, as presented in the `x-api-key` header.
+         * @param {string} key - Plaintext key
+         * @returns {Promise<Object|null>} - Key data with its metadata spread onto it (so row policies can use
+         *                                  `key.tenant_id`), or null if the key is unknown, revoked or expired
+         */
+        async verify(key) {
+            const [row] = await db.select('SELECT * FROM api_keys WHERE key_hash = ?', [hashKey(key)]);
+            if (!row || !row.active) return null;
+            if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+            const now = new Date();
+            if (!row.last_used_at || now - new Date(row.last_used_at) > LAST_USED_RESOLUTION) {
+                // Bookkeeping only, so the request does not wait on it
+                db.update('api_keys', { last_used_at: now.toISOString() }, { sql: `${q('id')} = ?`, params: [row.id] })
+                    .catch(error => logger.error('Error recording API key use', { error }));
+            }
+
+            const data = present(row);
+            return { ...data.metadata, ...data };
+        },
+    };
+}
+
+/**
+ * Opens the key store that `config.apiKeys` describes.
+ * @param {Object} apiKeys - `config.apiKeys`
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger with `info`, `warn` and `error` (default: console)
+ * @param {Function} [options.onQuery] - Called after every query, as with openDatabase
+ * @returns {Promise<Object>} - `{ keyDb, keyStore }`: the database adapter and the key store on top of it
+ */
+async function openKeyStore(apiKeys, { logger = console, onQuery = null } = {}) {
+    // API keys live in an application-only SQLite database, or in a database of the user's choosing
+    const keyDb = await openDatabase(apiKeys.useAppDb
+        ? { type: 'sqlite', options: { filename: apiKeys.appDbPath } }
+        : apiKeys.dbConfig, { onQuery });
+    return { keyDb, keyStore: await createKeyStore(keyDb, { logger }) };
+}
+
+/**
+ * Admin routes for managing keys, mounted under `/_keys`. Every route needs the `admin` scope.
+ * @param {Object} store - Key store returned by createKeyStore
+ * @param {Function} validateApiKey - Middleware factory returned by createApiKeyValidator
+ * @param {Function} [limiter] - Rate limiting middleware whose counters `GET /_keys/:id/usage` reports
+ * @returns {Router} Express router instance
+ */
+function keyRoutes(store, validateApiKey, limiter) {
+    const router = express.Router();
+    const admin = validateApiKey(['admin']);
+
+    /**
+     * Checks the body of a create request, returning an error message or null.
+     */
+    const checkKeyOptions = ({ name, scopes, expiresAt, metadata } = {}) => {
+        if (name !== undefined && name !== null && typeof name !== 'string') return 'name must be a string';
+        if (scopes !== undefined && !parseScopes(scopes).every(scope => /^[\w:.*-]+$/.test(scope))) {
+            return 'scopes must be a list of scope names';
+        }
+        if (expiresAt !== undefined && expiresAt !== null) {
+            const date = new Date(expiresAt);
+            if (isNaN(date)) return 'expiresAt must be an ISO 8601 date';
+            if (date <= new Date()) return 'expiresAt must be in the future';
+        }
+        if (metadata !== undefined && metadata !== null && !isPlainObject(metadata)) return 'metadata must be an object';
+        return null;
+    };
+
+    router.post('/_keys', admin, async (req, res) => {
+        const body = req.body || {};
+        const problem = checkKeyOptions(body);
+        if (problem) return sendProblem(res, new ApiError(400, problem, 'invalid_key_options'));
+
+        try {
+            const key = await store.createKey({
+                name: body.name,
+                scopes: body.scopes,
+                expiresAt: body.expiresAt,
+                metadata: body.metadata,
+            });
+            return res.status(201).json(key);
+        } catch (error) {
+            return sendProblem(res, error, 'Could not create API key');
+        }
+    });
+
+    router.get('/_keys', admin, async (req, res) => {
+        try {
+            return res.json(await store.listKeys());
+        } catch (error) {
+            return sendProblem(res, error, 'Could not list API keys');
+        }
+    });
+
+    router.get('/_keys/:id', admin, async (req, res) => {
+        try {
+            const key = await store.getKey(req.params.id);
+            if (!key) return sendProblem(res, new ApiError(404, 'API key not found', 'api_key_not_found'));
+            return res.json(key);
+        } catch (error) {
+            return sendProblem(res, error, 'Could not read API key');
+        }
+    });
+
+    router.get('/_keys/:id/usage', admin, async (req, res) => {
+        if (!limiter) return sendProblem(res, new ApiError(404, 'Usage is not recorded', 'usage_not_recorded'));
+        try {
+            const key = await store.getKey(req.params.id);
+            if (!key) return sendProblem(res, new ApiError(404, 'API key not found', 'api_key_not_found'));
+            return res.json({ id: key.id, ...(await limiter.usage({ ...key.metadata, ...key })) });
+        } catch (error) {
+            return sendProblem(res, error, 'Could not read API key usage');
+        }
+    });
+
+    router.post('/_keys/:id/rotate', admin, async (req, res) => {
+        const { gracePeriod = DEFAULT_GRACE_PERIOD } = req.body || {};
+        if (!Number.isInteger(gracePeriod) || gracePeriod < 0) {
+            return sendProblem(res, new ApiError(400, 'gracePeriod must be a non-negative number of seconds', 'invalid_key_options'));
+        }
+
+        try {
+            const key = await store.rotateKey(req.params.id, { gracePeriod });
+            if (!key) return sendProblem(res, new ApiError(404, 'API key not found or already revoked', 'api_key_not_found'));
+            return res.status(201).json(key);
+        } catch (error) {
+            return sendProblem(res, error, 'Could not rotate API key');
+        }
+    });
+
+    router.delete('/_keys/:id', admin, async (req, res) => {
+        try {
+            if (!(await store.revokeKey(req.params.id))) return sendProblem(res, new ApiError(404, 'API key not found', 'api_key_not_found'));
+            return res.json({ message: 'API key revoked' });
+        } catch (error) {
+            return sendProblem(res, error, 'Could not revoke API key');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createKeyStore, openKeyStore, keyRoutes, hashKey };
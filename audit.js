@@ -0,0 +1,250 @@
+const express = require('express');
+const { FilterError } = require('./filters');
+const { sendProblem } = require('./errors');
+const { pageLimit, encodeCursor, decodeCursor, pageUrl, linkHeader } = require('./pagination');
+
+/**
+ * Audit log of the writes made through the generated API. Every inserted, updated or deleted row gets
+ * an entry with the key that made the change, the row's ident and the values before and after it.
+ * Soft deletes and restores record the columns they change; purges record the whole row.
+ *
+ *   audit: true                                    entries in `api_audit` of the API's database
+ *   audit: { database: 'app', table: 'changes' }   entries in the database of the API keys
+ */
+
+const DEFAULT_TABLE = 'api_audit';
+
+const operations = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Entries are listed newest first
+const order = [{ column: 'id', descending: true }];
+
+/**
+ * Reads the `audit` option of the configuration.
+ * @param {boolean|Object} [audit] - `config.audit`
+ * @returns {Object|null} - `{ database, table }`, or null when auditing is off
+ */
+function auditOptions(audit) {
+    if (!audit || audit.enabled === false) return null;
+    const { database = 'user', table = DEFAULT_TABLE } = audit === true ? {} : audit;
+    if (!['user', 'app'].includes(database)) throw new Error("audit.database must be 'user' or 'app'");
+    return { database, table };
+}
+
+/**
+ * Makes a column value fit for JSON: binary values become base64.
+ */
+const plain = (value) => (Buffer.isBuffer(value) ? value.toString('base64') : value);
+
+/**
+ * Reduces a value to a string that compares equal to the same value as read back from the database,
+ * e.g. `true` and `1`, or a Date and its formatted string.
+ */
+const comparable = (value, formatDateTime) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return formatDateTime(value);
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && isFinite(value))) {
+        return String(Number(value));
+    }
+    return String(value);
+};
+
+/**
+ * Compares a row with the values written to it.
+ * @param {Object} row - The row before the write
+ * @param {Object} record - Values written to it
+ * @param {Function} formatDateTime - Formats dates the way the database stores them
+ * @returns {Object|null} - `{ before, after }` with the changed columns only, or null when nothing changed
+ */
+function changedValues(row, record, formatDateTime) {
+    const before = {};
+    const after = {};
+    for (const [column, value] of Object.entries(record)) {
+        if (comparable(row[column], formatDateTime) === comparable(value, formatDateTime)) continue;
+        before[column] = row[column] === undefined ? null : plain(row[column]);
+        after[column] = plain(value);
+    }
+    return Object.keys(after).length ? { before, after } : null;
+}
+
+/**
+ * Copies a whole row for an entry.
+ */
+const snapshot = (row) => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, plain(value)]));
+
+const parseValues = (values) => {
+    if (values === null || values === undefined) return null;
+    return typeof values === 'string' ? JSON.parse(values) : values;
+};
+
+/**
+ * Shapes a stored entry for callers, with the values as objects.
+ * @param {Object} row - Row from the audit table
+ * @returns {Object}
+ */
+const present = (row) => ({
+    id: row.id,
+    created_at: row.created_at,
+    key_id: row.key_id,
+    table: row.table_name,
+    ident: row.ident,
+    operation: row.operation,
+    before: parseValues(row.old_values),
+    after: parseValues(row.new_values),
+});
+
+/**
+ * Creates the audit log on top of a database adapter, creating its table if needed.
+ * @param {Object} db - Database adapter the entries are stored in
+ * @param {Object} options
+ * @param {string} [options.table] - Name of the audit table (default: api_audit)
+ * @param {boolean} [options.shared] - Whether `db` is also the database the API writes to, so that
+ *                                     entries can be written in the transaction of the change
+ * @returns {Promise<Object>} - Audit log with `write` and `list`
+ */
+async function createAuditLog(db, { table = DEFAULT_TABLE, shared = false } = {}) {
+    const { serial, string, text } = db.types;
+    const q = db.quote;
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS ${q(table)} (
+        id ${serial},
+        created_at ${string} NOT NULL,
+        key_id INTEGER,
+        table_name ${string} NOT NULL,
+        ident ${string},
+        operation ${string} NOT NULL,
+        old_values ${text},
+        new_values ${text}
+    )`);
+
+    return {
+        table,
+        shared,
+
+        /**
+         * Stores entries.
+         * @param {Array<Object>} entries - `{ key, table, ident, operation, before, after }` each, where
+         *                                  `before` and `after` are objects or null
+         * @param {Object} [handle] - Database adapter or transaction to insert with
+         * @returns {Promise}
+         */
+        async write(entries, handle = db) {
+            if (!entries.length) return;
+            const createdAt = new Date().toISOString();
+            await handle.insertMany(table, entries.map(entry => ({
+                created_at: createdAt,
+                key_id: entry.key && entry.key.id !== undefined ? entry.key.id : null,
+                table_name: entry.table,
+                ident: entry.ident === null || entry.ident === undefined ? null : String(entry.ident),
+                operation: entry.operation,
+                old_values: entry.before ? JSON.stringify(entry.before) : null,
+                new_values: entry.after ? JSON.stringify(entry.after) : null,
+            })), 'id');
+        },
+
+        /**
+         * Lists entries, newest first.
+         * @param {Object} [query]
+         * @param {string} [query.table] - Only entries of this table
+         * @param {number|string} [query.keyId] - Only entries made with this key
+         * @param {string} [query.ident] - Only entries of this row
+         * @param {string} [query.operation] - 'create', 'update', 'delete', 'restore' or 'purge'
+         * @param {Date} [query.from] - Only entries made at or after this time
+         * @param {Date} [query.to] - Only entries made at or before this time
+         * @param {number} [query.before] - Only entries older than the one with this id
+         * @param {number} [query.limit] - Number of entries (default: 100)
+         * @returns {Promise<Array<Object>>}
+         */
+        async list({ table: tableName, keyId, ident, operation, from, to, before, limit = 100 } = {}) {
+            const conditions = [];
+            const params = [];
+            const where = (sql, value) => {
+                conditions.push(sql);
+                params.push(value);
+            };
+            if (tableName !== undefined) where(`${q('table_name')} = ?`, tableName);
+            if (keyId !== undefined) where(`${q('key_id')} = ?`, keyId);
+            if (ident !== undefined) where(`${q('ident')} = ?`, String(ident));
+            if (operation !== undefined) where(`${q('operation')} = ?`, operation);
+            // Timestamps are ISO 8601 strings in UTC, which sort as text
+            if (from) where(`${q('created_at')} >= ?`, from.toISOString());
+            if (to) where(`${q('created_at')} <= ?`, to.toISOString());
+            if (before !== undefined) where(`${q('id')} < ?`, before);
+
+            const rows = await db.select(`SELECT * FROM ${q(table)}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY ${q('id')} DESC LIMIT ?`, [...params, limit]);
+            return rows.map(present);
+        },
+    };
+}
+
+/**
+ * Admin route for reading the audit log, mounted at `/_audit`. Needs the `admin` scope.
+ *
+ *   GET /_audit?table=orders&key=12&from=2024-05-01&to=2024-05-31T23:59:59Z&limit=50
+ *
+ * @param {Object} auditLog - Audit log returned by createAuditLog
+ * @param {Function} validateApiKey - Middleware factory returned by createApiKeyValidator
+ * @param {Object} [pagination] - `config.pagination`
+ * @returns {Router} Express router instance
+ */
+function auditRoutes(auditLog, validateApiKey, pagination) {
+    const router = express.Router();
+    const admin = validateApiKey(['admin']);
+
+    /**
+     * Parses the `from` and `to` query parameters.
+     */
+    const parseTime = (name, value) => {
+        if (value === undefined) return undefined;
+        const date = new Date(String(value));
+        if (isNaN(date)) throw new FilterError(`${name} must be an ISO 8601 date`);
+        return date;
+    };
+
+    router.get('/_audit', admin, async (req, res) => {
+        const { table, key, ident, operation, from, to, cursor } = req.query;
+        try {
+            if (table !== undefined && typeof table !== 'string') throw new FilterError('table must be a table name');
+            if (key !== undefined && !/^\d+$/.test(String(key))) throw new FilterError('key must be the id of an API key');
+            if (operation !== undefined && !operations.includes(operation)) {
+                throw new FilterError(`operation must be one of ${operations.join(', ')}`);
+            }
+
+            const limit = pageLimit(req.query.limit, pagination);
+            const rows = await auditLog.list({
+                table,
+                keyId: key === undefined ? undefined : Number(key),
+                ident: ident === undefined ? undefined : String(ident),
+                operation,
+                from: parseTime('from', from),
+                to: parseTime('to', to),
+                before: cursor === undefined ? undefined : Number(decodeCursor(cursor, order)[0]),
+                limit: limit + 1,
+            });
+
+            const data = rows.slice(0, limit);
+            const hasMore = rows.length > limit;
+            const nextCursor = hasMore ? encodeCursor(order, data[data.length - 1]) : null;
+            const links = {
+                self: pageUrl(req, {}),
+                first: pageUrl(req, { cursor: null }),
+                next: nextCursor ? pageUrl(req, { cursor: nextCursor }) : null,
+            };
+
+            const { self, ...others } = links;
+            const header = linkHeader(others);
+            if (header) res.set('Link', header);
+            return res.json({ data, meta: { limit, hasMore, nextCursor }, links });
+        } catch (error) {
+            return sendProblem(res, error, 'Could not read the audit log');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { auditOptions, createAuditLog, auditRoutes, changedValues, snapshot };
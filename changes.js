@@ -0,0 +1,231 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Change feed of the writes made through the generated API. Every inserted, updated or deleted row is
+ * published once its transaction commits, and subscribers of `GET /:table/_changes` receive the events
+ * of their table as Server-Sent Events or over a WebSocket.
+ *
+ *   changes: true                                  SSE, with the last 1000 events kept for resuming
+ *   changes: { size: 5000, server }                also accept WebSockets on the app's HTTP server
+ *
+ * Events are kept in memory, so subscribers only see the changes made by the process they are connected to.
+ *
+ * Browsers cannot send the `x-api-key` header with an EventSource or a WebSocket. They get a stream token
+ * from `POST /_changes/token` instead and pass it as `?access_token=`, which only opens change feeds.
+ */
+
+const DEFAULT_SIZE = 1000;
+
+// Seconds between keep-alive messages, so that proxies do not close idle streams
+const DEFAULT_HEARTBEAT = 25;
+
+// Seconds a stream token can be used for, long enough for an EventSource to reconnect with it
+const DEFAULT_TOKEN_TTL = 60;
+
+/**
+ * Reads the `changes` option of the configuration.
+ * @param {boolean|Object} [changes] - `config.changes`
+ * @returns {Object|null} - `{ size, heartbeat, tokenTtl, server, driver }`, or null when the feed is off
+ */
+function changeOptions(changes) {
+    if (!changes || changes.enabled === false) return null;
+    const {
+        size = DEFAULT_SIZE, heartbeat = DEFAULT_HEARTBEAT, tokenTtl = DEFAULT_TOKEN_TTL, server = null, driver = null,
+    } = changes === true ? {} : changes;
+    if (!Number.isInteger(size) || size < 1) throw new Error('changes.size must be a positive integer');
+    if (!(heartbeat > 0)) throw new Error('changes.heartbeat must be a positive number of seconds');
+    if (!(tokenTtl > 0)) throw new Error('changes.tokenTtl must be a positive number of seconds');
+    return { size, heartbeat, tokenTtl, server, driver };
+}
+
+/**
+ * Creates the feed: a bounded log of recent events and the listeners to pass new ones to.
+ * @param {Object} [options]
+ * @param {number} [options.size] - Number of events kept for resuming (default: 1000)
+ * @returns {Object} - Feed with `publish`, `since` and `subscribe`
+ */
+function createChangeFeed({ size = DEFAULT_SIZE } = {}) {
+    // Event ids of an earlier process cannot be resumed from, so each feed numbers its events under its own prefix
+    const generation = Date.now().toString(36);
+    const log = [];
+    const listeners = new Set();
+    let sequence = 0;
+
+    return {
+        /**
+         * Numbers events, keeps them in the log and passes them to the listeners.
+         * @param {Array<Object>} events - `{ table, operation, ident, row, before }` each, where `operation`
+         *                                 is 'insert', 'update' or 'delete' and `before` is the row before an update
+         */
+        publish(events) {
+            for (const event of events) {
+                sequence += 1;
+                const entry = { id: `${generation}-${sequence}`, sequence, time: new Date().toISOString(), ...event };
+                log.push(entry);
+                if (log.length > size) log.shift();
+                listeners.forEach(listener => listener(entry));
+            }
+        },
+
+        /**
+         * The events after an event id, for a subscriber that reconnects.
+         * @param {string} id - The last event the subscriber received
+         * @returns {Array<Object>|null} - The events, or null when some of them are no longer in the log
+         */
+        since(id) {
+            const match = /^([0-9a-z]+)-(\d+)$/.exec(String(id));
+            if (!match || match[1] !== generation || Number(match[2]) > sequence) return null;
+            const after = Number(match[2]);
+            const oldest = log.length ? log[0].sequence : sequence + 1;
+            return oldest > after + 1 ? null : log.filter(entry => entry.sequence > after);
+        },
+
+        /**
+         * Calls `listener` with every event published from now on.
+         * @param {Function} listener
+         * @returns {Function} - Stops the calls
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
+
+/**
+ * Short-lived tokens that stand in for an API key when subscribing to change feeds. A token keeps the
+ * key it was issued for, so every request that uses it still goes through the key's checks, and can be
+ * used until it expires, which lets an EventSource reconnect with the same URL. Tokens are kept in
+ * memory and only work on the process that issued them.
+ * @param {Object} [options]
+ * @param {number} [options.tokenTtl] - Seconds a token can be used for (default: 60)
+ * @returns {Object} - `{ issue, redeem }`
+ */
+function createStreamTokens({ tokenTtl = DEFAULT_TOKEN_TTL } = {}) {
+    const tokens = new Map();
+
+    return {
+        /**
+         * @param {Object} grant - `{ apiKey, tenant }`, the plaintext key the token stands in for and its tenant
+         * @returns {Object} - `{ token, expiresAt }`
+         */
+        issue(grant) {
+            const now = Date.now();
+            tokens.forEach((entry, token) => { if (entry.expires <= now) tokens.delete(token); });
+            const token = crypto.randomBytes(24).toString('hex');
+            const expires = now + tokenTtl * 1000;
+            tokens.set(token, { grant, expires });
+            return { token, expiresAt: new Date(expires).toISOString() };
+        },
+
+        /**
+         * @param {string} token
+         * @returns {Object|null} - The grant of the token, or null when it is unknown or has expired
+         */
+        redeem(token) {
+            const entry = tokens.get(String(token));
+            if (!entry) return null;
+            if (entry.expires > Date.now()) return entry.grant;
+            tokens.delete(String(token));
+            return null;
+        },
+    };
+}
+
+/**
+ * Answers a request with a Server-Sent Events stream.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - `{ heartbeat }`
+ * @returns {Object} - `{ send, closed }`: `send({ id, event, data })` writes a message, and `closed`
+ *                     resolves when the client goes away
+ */
+function eventStream(req, res, { heartbeat }) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Keeps nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const timer = setInterval(() => res.write(': keep-alive\n\n'), heartbeat * 1000);
+    const closed = new Promise(resolve => req.on('close', resolve)).then(() => clearInterval(timer));
+    return {
+        send: ({ id, event, data }) => res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+        closed,
+    };
+}
+
+/**
+ * Completes a WebSocket upgrade that attachWebSocket passed to the app. Each message is the JSON
+ * of `{ id, event, data }`.
+ * @param {Object} req - Express request of the upgrade
+ * @param {Object} res - The response attachWebSocket made for it
+ * @param {Object} options - `{ heartbeat, driver }`, where `driver` is a ws compatible module
+ * @returns {Promise<Object>} - `{ send, closed }`, as eventStream
+ */
+function socketStream(req, res, { heartbeat, driver }) {
+    const server = webSocketServer(driver);
+    const socket = req.socket;
+    res.detachSocket(socket);
+
+    return new Promise((resolve) => {
+        // A handshake that fails closes the socket without a WebSocket
+        const failed = () => resolve({ send: () => {}, closed: Promise.resolve() });
+        socket.once('close', failed);
+        server.handleUpgrade(req, socket, req.upgradeHead, (ws) => {
+            socket.removeListener('close', failed);
+            const timer = setInterval(() => ws.ping(), heartbeat * 1000);
+            const closed = new Promise(done => ws.on('close', done)).then(() => clearInterval(timer));
+            resolve({
+                send: (message) => ws.send(JSON.stringify(message)),
+                closed,
+            });
+        });
+    });
+}
+
+const socketServers = new WeakMap();
+
+/**
+ * The upgrade handler of a ws module, created when the first WebSocket subscriber connects.
+ * @param {Object} [driver] - A ws compatible module, defaults to `require('ws')`
+ */
+const webSocketServer = (driver) => {
+    let ws = driver;
+    if (!ws) {
+        try {
+            ws = require('ws');
+        } catch (error) {
+            throw new Error("The WebSocket transport of the change feed needs the 'ws' package");
+        }
+    }
+    if (!socketServers.has(ws)) socketServers.set(ws, new (ws.WebSocketServer || ws.Server)({ noServer: true }));
+    return socketServers.get(ws);
+};
+
+/**
+ * Passes WebSocket upgrades under a path to an Express app, so that they go through the same
+ * middleware as other requests. Routes see the upgrade head as `req.upgradeHead`, and a route that
+ * does not take the socket over answers with an ordinary HTTP response, such as a 401.
+ * @param {Object} server - HTTP server of the app
+ * @param {Function} app - Express app
+ * @param {string} path - Only upgrades of URLs below this path, e.g. `/api/v1`
+ */
+function attachWebSocket(server, app, path) {
+    server.on('upgrade', (req, socket, head) => {
+        if (!req.url.startsWith(`${path}/`)) return;
+
+        req.upgradeHead = head;
+        const res = new http.ServerResponse(req);
+        res.shouldKeepAlive = false;
+        res.assignSocket(socket);
+        res.on('finish', () => socket.end());
+        app(req, res);
+    });
+}
+
+module.exports = { changeOptions, createChangeFeed, createStreamTokens, eventStream, socketStream, attachWebSocket };
@@ -0,0 +1,405 @@
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const { openDatabase } = require('./db');
+const { introspectSchema, createSchema, columnKind } = require('./schema');
+const { openKeyStore } = require('./api_keys');
+const { buildOpenAPI } = require('./openapi');
+const { initializeAPI } = require('./index');
+
+/**
+ * The `express-api-generator` command. Every command reads a configuration file in the shape that
+ * initializeAPI takes, `./config.js` unless `--config` names another, and prints JSON with `--json`.
+ *
+ *   express-api-generator keys create --name ci --scopes read,write:orders
+ *   express-api-generator schema --database reports
+ *   express-api-generator openapi --out openapi.json
+ *   express-api-generator serve --port 8080
+ *
+ * Exit codes: 0 on success, 1 when the command fails, 2 for a command line that cannot be run.
+ */
+
+const USAGE = `Usage: express-api-generator <command> [options]
+
+Commands:
+  keys create [--name <name>] [--scopes <scopes>] [--expires <date>] [--metadata <json>]
+                                Create an API key and print it; it cannot be shown again
+  keys list                     List the API keys
+  keys revoke <id>              Deactivate a key
+  keys rotate <id> [--grace <seconds>]
+                                Replace a key; the old one works for the grace period (default: 1 day)
+  schema                        Print the tables and columns the API exposes
+  openapi [--out <file>]        Print or write the OpenAPI document
+  serve [--port <port>] [--host <host>]
+                                Start a server with the API (default port: $PORT or 3000)
+
+Options:
+  --config <file>               Configuration file (default: ./config.js)
+  --database <name>             One of the named databases of the configuration
+  --tenant <name>               The tenant to read the schema of, with tenants
+  --json                        Print JSON
+  --help                        Print this help`;
+
+// Options that are given without a value
+const FLAGS = ['json', 'help'];
+
+/**
+ * A command line that cannot be run, answered with the usage and exit code 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Splits the arguments into positionals and options, given as `--name value` or `--name=value`.
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {Object} - `{ positionals, options }`
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    for (let n = 0; n < argv.length; n += 1) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[n]);
+        if (!match) {
+            positionals.push(argv[n]);
+            continue;
+        }
+        const [, name, inline] = match;
+        if (FLAGS.includes(name)) {
+            if (inline !== undefined) throw new UsageError(`--${name} takes no value`);
+            options[name] = true;
+        } else if (inline !== undefined) {
+            options[name] = inline;
+        } else {
+            if (n + 1 >= argv.length) throw new UsageError(`--${name} needs a value`);
+            options[name] = argv[n += 1];
+        }
+    }
+    return { positionals, options };
+}
+
+/**
+ * Reads the configuration file.
+ * @param {string} [file] - Path from `--config`
+ * @returns {Object}
+ */
+function loadConfig(file = 'config.js') {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) throw new UsageError(`No configuration file at ${resolved}; name one with --config`);
+    return require(resolved);
+}
+
+/**
+ * The configuration of one database: the named database `--database` picks, applied as
+ * initializeAPI applies it, or the configuration itself.
+ * @param {Object} config - The whole configuration
+ * @param {Object} options - Command line options
+ * @returns {Object} - `{ config, path }`, where `path` is where the database is mounted
+ */
+function selectDatabase(config, options) {
+    if (!config.databases) {
+        if (options.database !== undefined) throw new UsageError('--database needs a configuration with databases');
+        return { config, path: `/api/${config.version}` };
+    }
+    const names = Object.keys(config.databases);
+    if (options.database === undefined) throw new UsageError(`--database is needed, one of: ${names.join(', ')}`);
+    if (!names.includes(options.database)) throw new UsageError(`Unknown database '${options.database}', use one of: ${names.join(', ')}`);
+
+    const { databases, ...shared } = config;
+    const { path: mounted = `/api/${config.version}/${options.database}`, ...overrides } = databases[options.database];
+    return { config: { ...shared, ...overrides }, path: mounted };
+}
+
+/**
+ * Opens the database that holds the tables of a configuration, that of `--tenant` with tenants.
+ * @returns {Promise<Object>} - Database adapter
+ */
+async function openUserDatabase(config, options) {
+    if (!config.tenants) {
+        if (options.tenant !== undefined) throw new UsageError('--tenant needs a configuration with tenants');
+        return openDatabase(config.database);
+    }
+    if (options.tenant === undefined) throw new UsageError('--tenant is needed with tenants');
+    const dbConfig = await config.tenants.database(options.tenant);
+    if (!dbConfig) throw new Error(`Tenant '${options.tenant}' does not exist`);
+    return openDatabase(dbConfig);
+}
+
+/**
+ * Runs `fn` with a database, closing it afterwards.
+ */
+const using = async (opening, fn) => {
+    const db = await opening;
+    try {
+        return await fn(db);
+    } finally {
+        await db.close();
+    }
+};
+
+/**
+ * Reads the schema the API of a configuration exposes.
+ * @returns {Promise<Object>} - Schema returned by createSchema
+ */
+const readSchema = (config, options) => using(openUserDatabase(config, options), async db =>
+    createSchema(await introspectSchema(db), config));
+
+/**
+ * Runs `fn` with the key store of a configuration, closing it afterwards.
+ */
+const withKeyStore = async (config, fn) => {
+    if (!config.apiKeys) throw new Error('The configuration has no apiKeys');
+    const { keyDb, keyStore } = await openKeyStore(config.apiKeys);
+    try {
+        return await fn(keyStore);
+    } finally {
+        await keyDb.close();
+    }
+};
+
+/**
+ * Lays out rows of text in columns.
+ * @param {Array<Array<string>>} rows - The first row is the header
+ * @returns {string}
+ */
+const formatTable = (rows) => {
+    const widths = rows[0].map((cell, n) => Math.max(...rows.map(row => String(row[n]).length)));
+    return rows.map(row => row.map((cell, n) => String(cell).padEnd(widths[n])).join('  ').trimEnd()).join('\n');
+};
+
+const keyLine = key => `${key.id} ${key.prefix} (${key.scopes.join(', ') || 'no scopes'})`;
+
+/**
+ * A logger that writes the API's messages to a stream, so that they stay out of the output on stdout.
+ * @param {Object} stream - Where to write, e.g. stderr
+ * @param {boolean} json - Write each message as a line of JSON
+ * @returns {Object} - Logger with `info`, `warn` and `error`
+ */
+const streamLogger = (stream, json) => {
+    const log = level => (message, { error, ...fields } = {}) => {
+        if (json) {
+            stream.write(`${JSON.stringify({ level, message, ...fields, ...(error ? { error: error.message } : {}) })}\n`);
+        } else {
+            stream.write(`${level === 'info' ? '' : `${level}: `}${message}${error ? `: ${error.message}` : ''}\n`);
+        }
+    };
+    return { info: log('info'), warn: log('warn'), error: log('error') };
+};
+
+/**
+ * The key id argument of the key commands.
+ */
+const keyId = (id) => {
+    if (id === undefined) throw new UsageError('A key id is needed');
+    if (!/^\d+$/.test(id)) throw new UsageError(`Key ids are numbers, not '${id}'`);
+    return Number(id);
+};
+
+// Options every command takes
+const COMMON_OPTIONS = ['config', 'json', 'help'];
+
+/**
+ * The commands, each with the options and number of arguments it takes. `run` gets
+ * `{ args, options, config, mounted, print, write, logger }` and resolves to the exit code.
+ */
+const commands = {
+    'keys create': {
+        options: ['database', 'name', 'scopes', 'expires', 'metadata'],
+        run: async ({ options, config, print }) => {
+            let metadata;
+            if (options.metadata !== undefined) {
+                try {
+                    metadata = JSON.parse(options.metadata);
+                } catch (error) {
+                    metadata = null;
+                }
+                if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) throw new UsageError('--metadata must be a JSON object');
+            }
+            if (options.expires !== undefined) {
+                const date = new Date(options.expires);
+                if (isNaN(date)) throw new UsageError('--expires must be an ISO 8601 date');
+                if (date <= new Date()) throw new UsageError('--expires must be in the future');
+            }
+
+            const key = await withKeyStore(config, store => store.createKey({
+                name: options.name,
+                scopes: options.scopes,
+                expiresAt: options.expires,
+                metadata,
+            }));
+            print(key, `Created key ${keyLine(key)}\n${key.key}\nStore it now, it cannot be shown again.`);
+            return 0;
+        },
+    },
+
+    'keys list': {
+        options: ['database'],
+        run: async ({ config, print }) => {
+            const keys = await withKeyStore(config, store => store.listKeys());
+            print(keys, keys.length ? formatTable([
+                ['ID', 'NAME', 'PREFIX', 'SCOPES', 'ACTIVE', 'EXPIRES', 'LAST USED'],
+                ...keys.map(key => [key.id, key.name || '', key.prefix || '', key.scopes.join(','), key.active ? 'yes' : 'no', key.expires_at || '', key.last_used_at || '']),
+            ]) : 'No API keys');
+            return 0;
+        },
+    },
+
+    'keys revoke': {
+        args: 1,
+        options: ['database'],
+        run: async ({ args, config, print }) => {
+            const id = keyId(args[0]);
+            const revoked = await withKeyStore(config, store => store.revokeKey(id));
+            if (!revoked) throw new Error(`Key ${id} does not exist`);
+            print({ id, revoked: true }, `Revoked key ${id}`);
+            return 0;
+        },
+    },
+
+    'keys rotate': {
+        args: 1,
+        options: ['database', 'grace'],
+        run: async ({ args, options, config, print }) => {
+            const id = keyId(args[0]);
+            const gracePeriod = options.grace === undefined ? undefined : Number(options.grace);
+            if (gracePeriod !== undefined && !(Number.isInteger(gracePeriod) && gracePeriod >= 0)) {
+                throw new UsageError('--grace must be a number of seconds');
+            }
+            const key = await withKeyStore(config, store => store.rotateKey(id, { gracePeriod }));
+            if (!key) throw new Error(`Key ${id} does not exist or is revoked`);
+            print({ ...key, replaces: id }, `Replaced key ${id} by key ${keyLine(key)}\n${key.key}\nStore it now, it cannot be shown again.`);
+            return 0;
+        },
+    },
+
+    schema: {
+        options: ['database', 'tenant'],
+        run: async ({ options, config, print }) => {
+            const schema = await readSchema(config, options);
+            const tables = schema.listTables().map(table => ({
+                name: table.name,
+                view: table.view,
+                readOnly: schema.isReadOnly(table.name),
+                primaryKey: table.primaryKey,
+                columns: Object.values(table.columns).map(column => ({ ...column, kind: columnKind(column) })),
+                relations: schema.listRelations(table.name),
+            }));
+
+            const describe = (table) => {
+                const references = new Map(table.relations.filter(relation => relation.kind === 'one').map(relation => [relation.column, relation]));
+                const notes = [table.view ? 'view' : null, table.readOnly && !table.view ? 'read-only' : null].filter(Boolean);
+                const rows = table.columns.map((column) => {
+                    const reference = references.get(column.name);
+                    return [
+                        `  ${column.name}`,
+                        `${column.type}${column.maxLength ? `(${column.maxLength})` : ''}`,
+                        [
+                            column.primaryKey ? 'primary key' : null,
+                            column.autoIncrement ? 'auto increment' : null,
+                            column.nullable || column.primaryKey ? null : 'not null',
+                            column.default !== null && column.default !== undefined ? `default ${column.default}` : null,
+                            reference ? `references ${reference.table}.${reference.foreignColumn}` : null,
+                        ].filter(Boolean).join(', '),
+                    ];
+                });
+                return `${table.name}${notes.length ? ` (${notes.join(', ')})` : ''}\n${formatTable(rows)}`;
+            };
+            print(tables, tables.length ? tables.map(describe).join('\n\n') : 'No tables are exposed');
+            return 0;
+        },
+    },
+
+    openapi: {
+        options: ['database', 'tenant', 'out'],
+        run: async ({ options, config, mounted, write }) => {
+            const spec = { ...buildOpenAPI(await readSchema(config, options), config), servers: [{ url: mounted }] };
+            const text = `${JSON.stringify(spec, null, 2)}\n`;
+            if (options.out === undefined) {
+                write(text);
+            } else {
+                fs.writeFileSync(options.out, text);
+            }
+            return 0;
+        },
+    },
+
+    serve: {
+        options: ['port', 'host'],
+        run: async ({ options, config, print, logger }) => {
+            const port = Number(options.port || process.env.PORT || 3000);
+            if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError('--port must be a port number');
+
+            const app = express();
+            app.use(express.json());
+            const server = http.createServer(app);
+            // The change feed accepts WebSockets on the server, for every database that has one
+            const withServer = entry => (entry.changes ? { ...entry, changes: { ...(entry.changes === true ? {} : entry.changes), server } } : entry);
+            const served = withServer({ logger, ...config });
+            if (served.databases) {
+                served.databases = Object.fromEntries(Object.entries(served.databases).map(([name, entry]) => [name, withServer(entry)]));
+            }
+
+            const api = await initializeAPI(app, served);
+            const apis = config.databases ? Object.values(api) : [api];
+            await new Promise((resolve, reject) => server.once('error', reject).listen(port, options.host, resolve));
+            const { port: listening } = server.address();
+            print({ port: listening, host: options.host || null }, `Server is running on http://${options.host || 'localhost'}:${listening}`);
+
+            // Runs until the process is told to stop
+            return new Promise((resolve) => {
+                const stop = () => {
+                    process.removeListener('SIGINT', stop);
+                    process.removeListener('SIGTERM', stop);
+                    server.close();
+                    Promise.all(apis.map(instance => instance.close())).then(() => resolve(0), () => resolve(1));
+                };
+                process.on('SIGINT', stop);
+                process.on('SIGTERM', stop);
+            });
+        },
+    },
+};
+
+/**
+ * Runs the command line.
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io] - `{ stdout, stderr }` streams to write to (default: those of the process)
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    let json = argv.includes('--json');
+    try {
+        const { positionals, options } = parseArgs(argv);
+        json = Boolean(options.json);
+        if (options.help || !positionals.length || positionals[0] === 'help') {
+            stdout.write(`${USAGE}\n`);
+            return options.help || positionals[0] === 'help' ? 0 : 2;
+        }
+
+        const name = positionals[0] === 'keys' ? positionals.slice(0, 2).join(' ') : positionals[0];
+        const command = commands[name];
+        if (!command) throw new UsageError(`Unknown command '${name}'`);
+        const args = positionals.slice(name.split(' ').length);
+        if (args.length > (command.args || 0)) throw new UsageError(`Unexpected argument '${args[command.args || 0]}' for ${name}`);
+        const unknown = Object.keys(options).find(option => !COMMON_OPTIONS.includes(option) && !(command.options || []).includes(option));
+        if (unknown) throw new UsageError(`Unknown option --${unknown} for ${name}`);
+
+        const whole = loadConfig(options.config);
+        // Serving mounts every named database; other commands work on one of them
+        const { config, path: mounted } = name === 'serve' ? { config: whole, path: null } : selectDatabase(whole, options);
+        return await command.run({
+            args,
+            options,
+            config,
+            mounted,
+            print: (value, text) => stdout.write(`${json ? JSON.stringify(value, null, 2) : text}\n`),
+            write: text => stdout.write(text),
+            logger: streamLogger(stderr, json),
+        });
+    } catch (error) {
+        const usage = error instanceof UsageError;
+        stderr.write(json ? `${JSON.stringify({ error: error.message })}\n` : `Error: ${error.message}\n${usage ? 'Run with --help for usage.\n' : ''}`);
+        return usage ? 2 : 1;
+    }
+}
+
+module.exports = { run };
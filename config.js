@@ -1,4 +1,19 @@
+/**
+ * Configuration in the shape initializeAPI takes, read by the `express-api-generator` command:
+ *
+ *   npx express-api-generator serve --config ./config.js
+ */
 module.exports = {
+    version: 'v1',
+    database: {
+        type: 'mysql',  // Can switch between 'mysql', 'sqlite' or 'postgres'
+        options: {
+            host: 'localhost',
+            user: 'your_mysql_user',
+            password: 'your_mysql_password',
+            database: 'your_mysql_db',
+        },
+    },
     apiKeys: {
         useAppDb: true,  // If true, use a separate application-only DB for API keys
         appDbPath: './app_api_keys.db',  // Path to the application-only SQLite DB (if useAppDb is true)
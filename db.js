@@ -1,60 +1,262 @@
+// Parameters per multi-row insert, within the lowest limit of the supported databases (SQLite's default)
+const MAX_PARAMETERS = 999;
 
-let dbConnection = null;
+// Supported database types, each loaded on first use so only the chosen driver has to be installed
+const dialects = {
+    mysql: () => require('./dialects/mysql'),
+    sqlite: () => require('./dialects/sqlite'),
+    postgres: () => require('./dialects/postgres'),
+};
 
 /**
- * Configures the database connection dynamically
- * @param {Object} dbConfig - Database configuration object
- * @param {string} dbConfig.type - Type of database ('mysql' or 'sqlite')
- * @param {Object} dbConfig.options - Connection options for the database
+ * Wraps a query function to report how long each query took, and whether it failed.
+ * @param {Function} query - Query function of a connection
+ * @param {Function} onQuery - Receives `{ sql, duration, error }`, with the duration in milliseconds
+ * @returns {Function}
  */
-async function configureDatabase(dbConfig) {
+const timedQuery = (query, onQuery) => async (sql, params) => {
+    const start = process.hrtime();
+    const done = (error) => {
+        const [seconds, nanoseconds] = process.hrtime(start);
+        onQuery({ sql, duration: seconds * 1e3 + nanoseconds / 1e6, error });
+    };
     try {
-        if (dbConfig.type === 'mysql') {
-            // Dynamically load MySQL library
-            const mysql = require('mysql2/promise');
-            dbConnection = await mysql.createPool({
-                host: dbConfig.options.host,
-                user: dbConfig.options.user,
-                password: dbConfig.options.password,
-                database: dbConfig.options.database,
-            });
-            console.log('Connected to MySQL database');
-        } else if (dbConfig.type === 'sqlite') {
-            // Dynamically load SQLite library
-            const sqlite3 = require('sqlite3').verbose();
-            const { open } = require('sqlite');
-            dbConnection = await open({
-                filename: dbConfig.options.filename,
-                driver: sqlite3.Database,
-            });
-            console.log('Connected to SQLite database');
-        } else {
-            throw new Error('Unsupported database type. Use "mysql" or "sqlite".');
-        }
-    } catch (err) {
-        console.error('Error configuring the database:', err.message);
-        process.exit(1);
+        const result = await query(sql, params);
+        done(null);
+        return result;
+    } catch (error) {
+        done(error);
+        throw error;
     }
+};
+
+/**
+ * Builds the uniform adapter the rest of the package talks to on top of a dialect connection.
+ * SQL handed to the adapter uses `?` placeholders regardless of the database.
+ * @param {Object} dialect - Connection returned by a dialect's `connect`
+ * @param {Function} [run] - Query function to use instead of the dialect's own (used inside transactions)
+ * @param {Function} [onQuery] - Called after every query with `{ sql, duration, error }`
+ * @returns {Object} - Database adapter
+ */
+function createAdapter(dialect, run = dialect.query, onQuery = null) {
+    const query = onQuery ? timedQuery(run, onQuery) : run;
+    const q = dialect.quote;
+    const where = (condition) => (condition && condition.sql ? ` WHERE ${condition.sql}` : '');
+
+    /**
+     * Inserts a row and returns its key.
+     */
+    const insertRow = async (table, data, primaryKey) => {
+        const columns = Object.keys(data);
+        let sql = columns.length
+            ? `INSERT INTO ${q(table)} (${columns.map(q).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+            : `INSERT INTO ${q(table)} ${dialect.defaultValues}`;
+        if (primaryKey && dialect.returning) sql += dialect.returning(primaryKey);
+
+        const result = await query(sql, Object.values(data));
+        if (result.insertId !== null && result.insertId !== undefined) return result.insertId;
+        return primaryKey && result.rows[0] ? result.rows[0][primaryKey] : null;
+    };
+
+    const adapter = {
+        type: dialect.type,
+        types: dialect.types,
+
+        // Whether NULL sorts after every value in ascending order (Postgres) instead of before it (MySQL, SQLite)
+        nullsLargest: Boolean(dialect.nullsLargest),
+
+        // Appended to a SELECT whose rows a transaction is about to change, so nothing else changes them first
+        lockRows: dialect.lockRows,
+
+        /**
+         * The SQL that sets a column back to its default in an UPDATE.
+         * @param {Object} column - Column metadata from introspection
+         * @returns {string}
+         */
+        columnDefault: dialect.columnDefault,
+
+        /**
+         * The SQL for the first day of the day, week (from Monday), month or year of a date, as YYYY-MM-DD text.
+         * @param {string} expression - SQL of the date, e.g. a quoted column
+         * @param {string} unit - 'day', 'week', 'month' or 'year'
+         * @returns {string}
+         */
+        dateBucket: dialect.dateBucket,
+
+        /**
+         * Quotes a table or column name for this database.
+         * @param {string} name - Identifier to quote
+         * @returns {string}
+         */
+        quote: q,
+
+        /**
+         * Formats a date the way this database expects datetime values.
+         * @param {Date} date
+         * @returns {string}
+         */
+        formatDateTime: dialect.formatDateTime,
+
+        /**
+         * Runs any statement.
+         * @returns {Promise<Object>} - `{ rows, rowCount, insertId }`
+         */
+        execute: (sql, params = []) => query(sql, params),
+
+        /**
+         * @returns {Promise<Array<Object>>} - The selected rows
+         */
+        select: async (sql, params = []) => (await query(sql, params)).rows,
+
+        /**
+         * Inserts a row.
+         * @param {string} table - Table name
+         * @param {Object} data - Column values
+         * @param {string} [primaryKey] - Key column whose generated value should be returned
+         * @returns {Promise<*>} - The id of the new row
+         */
+        insert: (table, data, primaryKey) => insertRow(table, data, primaryKey),
+
+        /**
+         * Whether a query failed because it would have duplicated the value of a unique column.
+         * @param {Error} error - Error a query rejected with
+         * @returns {boolean}
+         */
+        isUniqueViolation: dialect.isUniqueViolation,
+
+        /**
+         * Inserts several rows, in order, with as few statements as possible. Consecutive rows that set
+         * the same columns share a statement, so each row still gets the defaults of the columns it
+         * leaves out. Run it in a transaction for the rows to be inserted all or none.
+         * @param {string} table - Table name
+         * @param {Array<Object>} rows - Column values of each row
+         * @param {string} [primaryKey] - Key column whose generated values should be returned
+         * @returns {Promise<Array>} - The ids of the new rows, in the order of `rows`
+         */
+        async insertMany(table, rows, primaryKey) {
+            const ids = new Array(rows.length).fill(null);
+            const groups = [];
+            rows.forEach((row, index) => {
+                const columns = Object.keys(row).sort();
+                const last = groups[groups.length - 1];
+                if (last && last.columns.join() === columns.join()) last.indexes.push(index);
+                else groups.push({ columns, indexes: [index] });
+            });
+
+            for (const { columns, indexes } of groups) {
+                if (!columns.length) {
+                    for (const index of indexes) ids[index] = await adapter.insert(table, {}, primaryKey);
+                    continue;
+                }
+
+                const perStatement = Math.max(1, Math.floor(MAX_PARAMETERS / columns.length));
+                for (let i = 0; i < indexes.length; i += perStatement) {
+                    const chunk = indexes.slice(i, i + perStatement);
+                    const values = `(${columns.map(() => '?').join(', ')})`;
+                    let sql = `INSERT INTO ${q(table)} (${columns.map(q).join(', ')}) VALUES ${chunk.map(() => values).join(', ')}`;
+                    if (primaryKey && dialect.returning) sql += dialect.returning(primaryKey);
+
+                    const result = await query(sql, [].concat(...chunk.map(index => columns.map(column => rows[index][column]))));
+                    const generated = dialect.returning
+                        ? result.rows.map(row => row[primaryKey])
+                        : result.insertId !== null && result.insertId !== undefined ? dialect.insertedIds(result.insertId, chunk.length) : [];
+                    chunk.forEach((index, n) => {
+                        const given = primaryKey ? rows[index][primaryKey] : undefined;
+                        ids[index] = given !== undefined ? given : primaryKey && generated[n] !== undefined ? generated[n] : null;
+                    });
+                }
+            }
+            return ids;
+        },
+
+        /**
+         * Updates the rows matching a condition.
+         * @param {string} table - Table name
+         * @param {Object} data - Column values to set
+         * @param {Object} condition - `{ sql, params }` for the WHERE clause
+         * @param {Object} [expressions] - Columns to set to SQL expressions, e.g. `{ version: '"version" + 1' }`
+         * @returns {Promise<number>} - Number of rows changed
+         */
+        async update(table, data, condition, expressions = {}) {
+            const assignments = [
+                ...Object.keys(data).map(column => `${q(column)} = ?`),
+                ...Object.entries(expressions).map(([column, sql]) => `${q(column)} = ${sql}`),
+            ].join(', ');
+            const sql = `UPDATE ${q(table)} SET ${assignments}${where(condition)}`;
+            const result = await query(sql, [...Object.values(data), ...((condition && condition.params) || [])]);
+            return result.rowCount;
+        },
+
+        /**
+         * Deletes the rows matching a condition.
+         * @param {string} table - Table name
+         * @param {Object} condition - `{ sql, params }` for the WHERE clause
+         * @returns {Promise<number>} - Number of rows deleted
+         */
+        async delete(table, condition) {
+            const result = await query(`DELETE FROM ${q(table)}${where(condition)}`, (condition && condition.params) || []);
+            return result.rowCount;
+        },
+
+        /**
+         * Runs `fn` inside a transaction, committing if it resolves and rolling back if it throws.
+         * Transactions do not nest; calling `transaction` on the handle reuses the open one.
+         * @param {Function} fn - Receives an adapter bound to the transaction
+         * @returns {Promise<*>} - Whatever `fn` resolves to
+         */
+        transaction: (fn) => dialect.transaction(txQuery => {
+            const tx = createAdapter(dialect, txQuery, onQuery);
+            tx.transaction = (inner) => inner(tx);
+            return fn(tx);
+        }),
+
+        /**
+         * Reads the tables and columns of the database.
+         * @returns {Promise<Object>} - Map of table name to `{ name, view, primaryKey, columns, foreignKeys }`
+         */
+        introspect: () => dialect.introspect(query),
+
+        close: () => dialect.close(),
+    };
+
+    return adapter;
 }
 
-async function getApiKey(apiKey) {
-    try {
-        const query = `SELECT api_key, scopes FROM api_keys WHERE api_key = "${apiKey}"`;
-        let result;
-        const db = dbConnection;
-        if (db.query) {
-            // MySQL
-            [result] = await db.query(query);
-            return result[0]
-        } else {
-            // SQLite
-            result = await db.run(query)
-            return result[0]
-        }
-    } catch (err) {
-        console.error('Error fetching API key:', err);
-        return res.status(500).json({ message: 'Error generating API key' });
+/**
+ * Opens a database and returns its adapter.
+ * @param {Object} dbConfig - Database configuration object
+ * @param {string} dbConfig.type - Type of database ('mysql', 'sqlite' or 'postgres')
+ * @param {Object} dbConfig.options - Connection options for the database
+ * @param {Object} [dbConfig.driver] - Driver module to use instead of the default (e.g. pg-mem's `createPg()`)
+ * @param {Object} [options]
+ * @param {Function} [options.onQuery] - Called after every query with `{ sql, duration, error }`, the duration in milliseconds
+ * @returns {Promise<Object>} - Database adapter
+ */
+async function openDatabase(dbConfig, { onQuery = null } = {}) {
+    const dialect = dialects[dbConfig.type];
+    if (!dialect) {
+        throw new Error('Unsupported database type. Use "mysql", "sqlite" or "postgres".');
     }
+    const connection = await dialect().connect(dbConfig.options || {}, dbConfig.driver);
+    return createAdapter(connection, connection.query, onQuery);
+}
+
+/**
+ * Opens the database of an API instance, logging the connection. Failures reject, so that the
+ * caller decides whether the process can go on without the database.
+ * @param {Object} dbConfig - Database configuration object
+ * @param {string} dbConfig.type - Type of database ('mysql', 'sqlite' or 'postgres')
+ * @param {Object} dbConfig.options - Connection options for the database
+ * @param {Object} [dbConfig.driver] - Driver module to use instead of the default (e.g. pg-mem's `createPg()`)
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger with `info`, `warn` and `error` (default: console)
+ * @param {Function} [options.onQuery] - Called after every query, as with openDatabase
+ * @returns {Promise<Object>} - Database adapter
+ */
+async function configureDatabase(dbConfig, { logger = console, onQuery = null } = {}) {
+    const db = await openDatabase(dbConfig, { onQuery });
+    logger.info(`Connected to ${dbConfig.type} database`);
+    return db;
 }
 
-module.exports = { configureDatabase, getApiKey, getDatabase: () => dbConnection };
\ No newline at end of file
+module.exports = { configureDatabase, openDatabase };
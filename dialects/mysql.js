@@ -0,0 +1,134 @@
+/**
+ * MySQL dialect backed by a mysql2 connection pool.
+ */
+
+const quote = (name) => '`' + String(name).replace(/`/g, '``') + '`';
+
+/**
+ * Normalizes a mysql2 result into `{ rows, rowCount, insertId }`.
+ * @param {Array|Object} result - First element of the array returned by `query`
+ * @returns {Object}
+ */
+const normalize = (result) => (Array.isArray(result)
+    ? { rows: result, rowCount: result.length, insertId: null }
+    : { rows: [], rowCount: result.affectedRows, insertId: result.insertId || null });
+
+/**
+ * Reads tables, columns and foreign keys from information_schema.
+ * @param {Function} query - Query function of the connection
+ * @returns {Promise<Object>} - Map of table name to table metadata
+ */
+async function introspect(query) {
+    const { rows } = await query(`
+        SELECT c.TABLE_NAME AS table_name, t.TABLE_TYPE AS table_type, c.COLUMN_NAME AS column_name,
+            c.DATA_TYPE AS data_type, c.COLUMN_TYPE AS column_type, c.IS_NULLABLE AS is_nullable, c.COLUMN_DEFAULT AS column_default,
+            c.CHARACTER_MAXIMUM_LENGTH AS max_length, c.COLUMN_KEY AS column_key, c.EXTRA AS extra
+        FROM information_schema.COLUMNS c
+        JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+        WHERE c.TABLE_SCHEMA = DATABASE()
+        ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION`);
+    // Only single-column foreign keys can be followed
+    const { rows: foreignKeys } = await query(`
+        SELECT TABLE_NAME AS table_name, MIN(COLUMN_NAME) AS column_name,
+            MIN(REFERENCED_TABLE_NAME) AS foreign_table, MIN(REFERENCED_COLUMN_NAME) AS foreign_column
+        FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_SCHEMA = DATABASE()
+        GROUP BY TABLE_NAME, CONSTRAINT_NAME
+        HAVING COUNT(*) = 1`);
+
+    const tables = {};
+    for (const row of rows) {
+        const table = tables[row.table_name] = tables[row.table_name] || {
+            name: row.table_name,
+            view: row.table_type === 'VIEW',
+            primaryKey: null,
+            columns: {},
+            foreignKeys: [],
+        };
+        const primaryKey = row.column_key === 'PRI';
+        table.columns[row.column_name] = {
+            name: row.column_name,
+            // BOOLEAN columns are stored as tinyint(1)
+            type: row.column_type === 'tinyint(1)' ? 'boolean' : String(row.data_type).toLowerCase(),
+            maxLength: row.max_length === null ? null : Number(row.max_length),
+            nullable: row.is_nullable === 'YES',
+            default: row.column_default,
+            primaryKey,
+            autoIncrement: /auto_increment/i.test(row.extra || ''),
+        };
+        if (primaryKey && !table.primaryKey) table.primaryKey = row.column_name;
+    }
+    for (const row of foreignKeys) {
+        if (!tables[row.table_name]) continue;
+        tables[row.table_name].foreignKeys.push({
+            column: row.column_name,
+            references: { table: row.foreign_table, column: row.foreign_column },
+        });
+    }
+    return tables;
+}
+
+/**
+ * Opens a mysql2 pool.
+ * @param {Object} options - Pool options (`host`, `user`, `password`, `database`, ...)
+ * @param {Object} [driver] - A mysql2/promise compatible module, defaults to `require('mysql2/promise')`
+ * @returns {Promise<Object>} - Dialect connection
+ */
+async function connect(options, driver) {
+    const mysql = driver || require('mysql2/promise');
+    const pool = mysql.createPool(options);
+
+    const runOn = (connection) => async (sql, params = []) => {
+        const [result] = await connection.query(sql, params);
+        return normalize(result);
+    };
+
+    return {
+        type: 'mysql',
+        quote,
+        types: {
+            serial: 'INTEGER AUTO_INCREMENT PRIMARY KEY',
+            string: 'VARCHAR(255)',
+            text: 'TEXT',
+            boolean: 'BOOLEAN',
+        },
+        defaultValues: '() VALUES ()',
+        formatDateTime: (date) => date.toISOString().slice(0, 23).replace('T', ' '),
+        query: runOn(pool),
+        introspect,
+
+        // The insertId of a multi-row insert is the id of its first row
+        insertedIds: (insertId, count) => Array.from({ length: count }, (_, n) => insertId + n),
+
+        // Reads for a conditional write hold the row until the transaction ends
+        lockRows: ' FOR UPDATE',
+        // Formatted, since mysql2 would turn DATE values into Dates at local midnight. WEEKDAY counts from Monday
+        dateBucket: (expression, unit) => ({
+            day: `DATE_FORMAT(${expression}, '%Y-%m-%d')`,
+            week: `DATE_FORMAT(DATE_SUB(${expression}, INTERVAL WEEKDAY(${expression}) DAY), '%Y-%m-%d')`,
+            month: `DATE_FORMAT(${expression}, '%Y-%m-01')`,
+            year: `DATE_FORMAT(${expression}, '%Y-01-01')`,
+        })[unit],
+        columnDefault: () => 'DEFAULT',
+        isUniqueViolation: (error) => error.code === 'ER_DUP_ENTRY',
+
+        async transaction(fn) {
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                const result = await fn(runOn(connection));
+                await connection.commit();
+                return result;
+            } catch (err) {
+                await connection.rollback();
+                throw err;
+            } finally {
+                connection.release();
+            }
+        },
+
+        close: () => pool.end(),
+    };
+}
+
+module.exports = { connect, quote };
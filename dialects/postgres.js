@@ -0,0 +1,153 @@
+/**
+ * PostgreSQL dialect backed by a pg connection pool.
+ */
+
+const quote = (name) => '"' + String(name).replace(/"/g, '""') + '"';
+
+/**
+ * Rewrites `?` placeholders to `$1, $2, ...`, leaving quoted strings and identifiers alone.
+ * @param {string} sql - SQL using `?` placeholders
+ * @returns {string} - SQL using numbered placeholders
+ */
+const numberPlaceholders = (sql) => {
+    let index = 0;
+    return sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\?/g, token => (token === '?' ? `$${++index}` : token));
+};
+
+/**
+ * Reads tables, columns, primary keys and foreign keys from information_schema.
+ * @param {Function} query - Query function of the connection
+ * @returns {Promise<Object>} - Map of table name to table metadata
+ */
+async function introspect(query) {
+    const { rows: tableRows } = await query(`SELECT table_name, table_type FROM information_schema.tables
+        WHERE table_schema = current_schema() ORDER BY table_name`);
+    const { rows: columnRows } = await query(`SELECT table_name, column_name, data_type, is_nullable,
+            column_default, character_maximum_length, is_identity
+        FROM information_schema.columns
+        WHERE table_schema = current_schema()
+        ORDER BY table_name, ordinal_position`);
+    const { rows: keyRows } = await query(`SELECT kcu.table_name, kcu.column_name
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+            ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+        WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = current_schema()
+        ORDER BY kcu.ordinal_position`);
+    const { rows: foreignKeyRows } = await query(`SELECT tc.constraint_name, kcu.table_name, kcu.column_name,
+            ccu.table_name AS foreign_table, ccu.column_name AS foreign_column
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+            ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+        JOIN information_schema.constraint_column_usage ccu
+            ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
+        WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = current_schema()`);
+
+    const tables = {};
+    for (const row of tableRows) {
+        tables[row.table_name] = {
+            name: row.table_name,
+            view: row.table_type === 'VIEW',
+            primaryKey: null,
+            columns: {},
+            foreignKeys: [],
+        };
+    }
+    for (const row of columnRows) {
+        const table = tables[row.table_name];
+        if (!table) continue;
+        const defaultValue = row.column_default;
+        table.columns[row.column_name] = {
+            name: row.column_name,
+            type: String(row.data_type).toLowerCase(),
+            maxLength: row.character_maximum_length === null ? null : Number(row.character_maximum_length),
+            nullable: row.is_nullable === 'YES',
+            default: defaultValue,
+            primaryKey: false,
+            autoIncrement: row.is_identity === 'YES' || /^nextval\(/i.test(defaultValue || ''),
+        };
+    }
+    for (const row of keyRows) {
+        const table = tables[row.table_name];
+        if (!table || !table.columns[row.column_name]) continue;
+        table.columns[row.column_name].primaryKey = true;
+        if (!table.primaryKey) table.primaryKey = row.column_name;
+    }
+    // Only single-column foreign keys can be followed; composite keys have several rows per constraint
+    const constraintRows = ({ table_name, constraint_name }) => foreignKeyRows
+        .filter(row => row.table_name === table_name && row.constraint_name === constraint_name).length;
+    for (const row of foreignKeyRows) {
+        if (!tables[row.table_name] || constraintRows(row) > 1) continue;
+        tables[row.table_name].foreignKeys.push({
+            column: row.column_name,
+            references: { table: row.foreign_table, column: row.foreign_column },
+        });
+    }
+    return tables;
+}
+
+/**
+ * Opens a pg pool.
+ * @param {Object} options - Pool options (`host`, `user`, `password`, `database`, `connectionString`, ...)
+ * @param {Object} [driver] - A pg compatible module exposing `Pool`, defaults to `require('pg')`.
+ *                            Pass `newDb().adapters.createPg()` from pg-mem to run against an in-memory database.
+ * @returns {Promise<Object>} - Dialect connection
+ */
+async function connect(options, driver) {
+    const { Pool } = driver || require('pg');
+    const pool = new Pool(options);
+
+    const runOn = (client) => async (sql, params = []) => {
+        const result = await client.query(numberPlaceholders(sql), params);
+        return { rows: result.rows || [], rowCount: result.rowCount, insertId: null };
+    };
+
+    // Fail fast on bad connection settings instead of on the first request
+    await pool.query('SELECT 1');
+
+    return {
+        type: 'postgres',
+        quote,
+        types: {
+            serial: 'SERIAL PRIMARY KEY',
+            string: 'VARCHAR(255)',
+            text: 'TEXT',
+            boolean: 'BOOLEAN',
+        },
+        defaultValues: 'DEFAULT VALUES',
+        formatDateTime: (date) => date.toISOString(),
+        query: runOn(pool),
+        introspect,
+
+        nullsLargest: true,
+
+        // Reads for a conditional write hold the row until the transaction ends
+        lockRows: ' FOR UPDATE',
+        // Formatted, since pg would turn DATE values into Dates at local midnight. Weeks of date_trunc start on Monday
+        dateBucket: (expression, unit) => `to_char(date_trunc('${unit}', ${expression}), 'YYYY-MM-DD')`,
+        columnDefault: () => 'DEFAULT',
+        // unique_violation
+        isUniqueViolation: (error) => error.code === '23505',
+
+        // Postgres has no insertId, so inserts ask for the key back
+        returning: (column) => ` RETURNING ${quote(column)}`,
+
+        async transaction(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await fn(runOn(client));
+                await client.query('COMMIT');
+                return result;
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            } finally {
+                client.release();
+            }
+        },
+
+        close: () => pool.end(),
+    };
+}
+
+module.exports = { connect, quote, numberPlaceholders };
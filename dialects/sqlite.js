@@ -0,0 +1,171 @@
+/**
+ * SQLite dialect backed by a single sqlite3 connection.
+ */
+
+const quote = (name) => '"' + String(name).replace(/"/g, '""') + '"';
+
+// Statements after which lastID is the rowid of the row they inserted
+const INSERT = /^\s*(INSERT|REPLACE)\b/i;
+const UPSERT = /\bON\s+CONFLICT\b/i;
+
+/**
+ * Splits a declared column type such as `VARCHAR(255)` into its base type and length.
+ * @param {string} declared - The column type as written in the CREATE TABLE statement.
+ * @returns {Object} - `{ type, maxLength }` with a lower-case base type.
+ */
+const parseColumnType = (declared) => {
+    const match = /^\s*([a-z ]*[a-z])\s*(?:\(\s*(\d+)(?:\s*,\s*\d+)?\s*\))?/i.exec(declared || '');
+    if (!match) return { type: '', maxLength: null };
+    return {
+        type: match[1].toLowerCase(),
+        maxLength: match[2] ? parseInt(match[2], 10) : null,
+    };
+};
+
+// Tables FTS5 and R-Tree virtual tables store their data in, named after the virtual table
+const SHADOW_TABLES = ['content', 'data', 'idx', 'docsize', 'config', 'node', 'parent', 'rowid'];
+
+/**
+ * Reads tables and columns from sqlite_master and PRAGMA table_info, and foreign keys from PRAGMA foreign_key_list.
+ * @param {Function} query - Query function of the connection
+ * @returns {Promise<Object>} - Map of table name to table metadata
+ */
+async function introspect(query) {
+    const { rows: all } = await query(`SELECT name, type, sql FROM sqlite_master
+        WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name`);
+
+    // Virtual tables such as full-text indexes, and the tables they keep their data in, are not for the API
+    const virtual = all.filter(row => /^\s*CREATE\s+VIRTUAL\b/i.test(row.sql || '')).map(row => row.name);
+    const rows = all.filter(({ name }) => !virtual.some(owner => name === owner
+        || SHADOW_TABLES.some(suffix => name === `${owner}_${suffix}`)));
+
+    const tables = {};
+    for (const { name, type } of rows) {
+        const { rows: columns } = await query(`PRAGMA table_info(${quote(name)})`);
+        const keyColumns = columns.filter(column => column.pk > 0);
+        const table = tables[name] = {
+            name,
+            view: type === 'view',
+            primaryKey: keyColumns.length ? keyColumns.sort((a, b) => a.pk - b.pk)[0].name : null,
+            columns: {},
+            foreignKeys: [],
+        };
+        for (const column of columns) {
+            const { type: baseType, maxLength } = parseColumnType(column.type);
+            table.columns[column.name] = {
+                name: column.name,
+                type: baseType,
+                maxLength,
+                nullable: !column.notnull && !column.pk,
+                default: column.dflt_value,
+                primaryKey: column.pk > 0,
+                // A lone INTEGER PRIMARY KEY is an alias for the rowid
+                autoIncrement: column.pk > 0 && keyColumns.length === 1 && baseType === 'integer',
+            };
+        }
+
+        if (type === 'table') {
+            const { rows: references } = await query(`PRAGMA foreign_key_list(${quote(name)})`);
+            // Only single-column keys can be followed; composite keys have several rows with the same id
+            const single = references.filter(ref => references.filter(other => other.id === ref.id).length === 1);
+            table.foreignKeys = single.map(ref => ({ column: ref.from, references: { table: ref.table, column: ref.to } }));
+        }
+    }
+
+    // A reference without a column points at the primary key of the other table
+    for (const table of Object.values(tables)) {
+        for (const key of table.foreignKeys) {
+            if (!key.references.column && tables[key.references.table]) {
+                key.references.column = tables[key.references.table].primaryKey;
+            }
+        }
+    }
+    return tables;
+}
+
+/**
+ * Opens a SQLite database file.
+ * @param {Object} options - `{ filename }`
+ * @param {Object} [driver] - A sqlite3 compatible module, defaults to `require('sqlite3')`
+ * @returns {Promise<Object>} - Dialect connection
+ */
+async function connect(options, driver) {
+    const sqlite3 = driver || require('sqlite3');
+    const db = await new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(options.filename, err => (err ? reject(err) : resolve(connection)));
+    });
+
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        // Statements that return rows go through `all`, everything else through `run` for lastID/changes
+        if (/^\s*(SELECT|PRAGMA|WITH)\b/i.test(sql) || /\bRETURNING\b/i.test(sql)) {
+            db.all(sql, params, (err, rows) => (err ? reject(err) : resolve({ rows, rowCount: rows.length, insertId: null })));
+        } else {
+            db.run(sql, params, function (err) {
+                if (err) return reject(err);
+                // lastID is the connection's last inserted rowid, which other statements, an insert that
+                // inserted nothing and an upsert that updated leave as it was
+                const inserted = this.changes > 0 && INSERT.test(sql) && !UPSERT.test(sql);
+                resolve({ rows: [], rowCount: this.changes, insertId: inserted ? this.lastID || null : null });
+            });
+        }
+    });
+
+    // There is only one connection, so a transaction holds a lock that other queries wait on
+    let lock = Promise.resolve();
+
+    return {
+        type: 'sqlite',
+        quote,
+        types: {
+            serial: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            string: 'VARCHAR(255)',
+            text: 'TEXT',
+            boolean: 'BOOLEAN',
+        },
+        defaultValues: 'DEFAULT VALUES',
+        // The format SQLite's own CURRENT_TIMESTAMP and date functions use
+        formatDateTime: (date) => date.toISOString().slice(0, 23).replace('T', ' '),
+        query: async (sql, params) => {
+            await lock;
+            return run(sql, params);
+        },
+        introspect,
+
+        // lastID of a multi-row insert is the rowid of its last row
+        insertedIds: (insertId, count) => Array.from({ length: count }, (_, n) => insertId - count + 1 + n),
+
+        // Transactions already run one at a time, so rows need no locks. UPDATE has no DEFAULT keyword,
+        // so columns are reset to their default expression
+        lockRows: '',
+
+        // Weeks start on Monday: the next Sunday, or the same day, less six days
+        dateBucket: (expression, unit) => ({
+            day: `date(${expression})`,
+            week: `date(${expression}, 'weekday 0', '-6 days')`,
+            month: `date(${expression}, 'start of month')`,
+            year: `date(${expression}, 'start of year')`,
+        })[unit],
+        columnDefault: (column) => (column.default === null || column.default === undefined ? 'NULL' : `(${column.default})`),
+        isUniqueViolation: (error) => error.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(error.message),
+
+        transaction(fn) {
+            const result = lock.then(async () => {
+                await run('BEGIN');
+                try {
+                    const value = await fn(run);
+                    await run('COMMIT');
+                    return value;
+                } catch (err) {
+                    await run('ROLLBACK');
+                    throw err;
+                }
+            });
+            lock = result.catch(() => {});
+            return result;
+        },
+
+        close: () => new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve()))),
+    };
+}
+
+module.exports = { connect, quote };
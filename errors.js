@@ -0,0 +1,87 @@
+const http = require('http');
+const { contextOf } = require('./middleware/request_context');
+
+/**
+ * Errors of the API. Every error response is an RFC 7807 problem document, sent as
+ * `application/problem+json`, with a `code` that stays the same across releases so that clients
+ * can tell problems apart without parsing `detail`:
+ *
+ *   {
+ *       "type": "about:blank", "title": "Not Found", "status": 404,
+ *       "code": "table_not_found", "detail": "Table 'orderz' does not exist",
+ *       "instance": "/api/v1/orderz", "requestId": "1b4e28ba-2fa1-41d2-883f-0016d3cca427"
+ *   }
+ *
+ * Errors that are not ApiErrors are reported as `500 internal_error` with a generic `detail`. Their
+ * own message is only added, as `debug`, outside production.
+ */
+
+// Media type of error responses
+const PROBLEM_TYPE = 'application/problem+json';
+
+/**
+ * The code of a status without a more specific one, e.g. `not_found` for 404.
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+const statusCode = (status) => (http.STATUS_CODES[status] || 'error').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+// Thrown when a request cannot be carried out, with the HTTP status and code to report it with.
+// Hooks and custom routes throw it to reject a request, e.g. `throw new ApiError(409, 'Already shipped', 'already_shipped')`
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status of the response
+     * @param {string} message - What went wrong, sent as `detail`
+     * @param {string} [code] - Stable code of the problem (default: from the status, e.g. `conflict` for 409)
+     * @param {Object} [members] - More members of the problem document, e.g. `errors` or `results`
+     */
+    constructor(status, message, code = statusCode(status), members = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.members = members;
+    }
+}
+
+/**
+ * Turns an error into the status and problem document to respond with.
+ * @param {Error} error
+ * @param {string} [fallback] - `detail` for errors that are not ApiErrors
+ * @param {boolean} [debug] - Add the message of such errors as `debug`
+ * @returns {Object} - `{ status, body }`
+ */
+function describeError(error, fallback = 'Operation failed', debug = false) {
+    const known = error instanceof ApiError;
+    const status = known ? error.status : 500;
+    const body = {
+        type: 'about:blank',
+        title: http.STATUS_CODES[status] || 'Error',
+        status,
+        code: known ? error.code : 'internal_error',
+        detail: known ? error.message : fallback,
+        ...(known ? error.members : {}),
+    };
+    if (!known && debug) body.debug = error.message;
+    return { status, body };
+}
+
+/**
+ * Responds with the problem document of an error, naming the request it belongs to. Errors that are
+ * not ApiErrors are logged, since their response does not say what happened.
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @param {string} [fallback] - `detail` for errors that are not ApiErrors
+ */
+function sendProblem(res, error, fallback) {
+    const context = contextOf(res.req);
+    const { status, body } = describeError(error, fallback, context.debug);
+    if (!(error instanceof ApiError)) context.logger.error(body.detail, { requestId: context.id, error });
+
+    context.problem = body;
+    body.instance = res.req.originalUrl.split('?')[0];
+    if (context.id) body.requestId = context.id;
+    return res.status(status).type(PROBLEM_TYPE).json(body);
+}
+
+module.exports = { ApiError, HttpError: ApiError, describeError, sendProblem, PROBLEM_TYPE };
@@ -0,0 +1,302 @@
+const { ApiError } = require('./errors');
+
+/**
+ * Compiles the `filter`, `sort` and `fields` query parameters into parameterized SQL.
+ *
+ *   ?filter[status]=active                      status = 'active'
+ *   ?filter[age][gte]=18&filter[age][lt]=65     age >= 18 AND age < 65
+ *   ?filter[status][in]=a,b                     status IN ('a', 'b')
+ *   ?filter[or][0][name][like]=%25a%25&filter[or][1][age][null]=true
+ *                                               (name LIKE '%a%' OR age IS NULL)
+ *   ?sort=-created_at,name                      ORDER BY created_at DESC, name ASC
+ *   ?fields=id,name                             SELECT id, name
+ */
+
+// Thrown for malformed filters, reported to the client as a 400
+class FilterError extends ApiError {
+    constructor(message) {
+        super(400, message, 'invalid_query');
+        this.name = 'FilterError';
+    }
+}
+
+const comparisons = { eq: '=', ne: '<>', lt: '<', lte: '<=', gt: '>', gte: '>=', like: 'LIKE', nlike: 'NOT LIKE' };
+const operators = [...Object.keys(comparisons), 'in', 'nin', 'null', 'between'];
+const groups = { and: 'AND', or: 'OR' };
+
+// Whether a value is an object other than an array, such as a parsed query group or a JSON body
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keys come from the client, so `constructor` or `__proto__` must not find what objects inherit
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Turns `a,b` or `['a', 'b']` into a list of values.
+ * @param {string|Array} value - Raw query value
+ * @returns {Array<string>} - The individual values
+ */
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(',')).map(String);
+
+/**
+ * Compiles a single `column: { op: value }` condition.
+ * @param {string} column - Validated column name
+ * @param {string} op - Operator name
+ * @param {*} value - Raw query value
+ * @param {Array} params - Parameter list to append to
+ * @param {Function} quote - Identifier quoting of the database
+ * @param {Function} cast - `(column, value)` to the parameter value
+ * @returns {string} - SQL fragment
+ */
+const compileCondition = (column, op, value, params, quote, cast) => {
+    const target = quote(column);
+
+    if (isPlainObject(value)) {
+        throw new FilterError(`Invalid value for filter[${column}][${op}]: expected a value, got an object`);
+    }
+
+    if (has(comparisons, op)) {
+        if (Array.isArray(value)) {
+            throw new FilterError(`filter[${column}][${op}] accepts a single value`);
+        }
+        params.push(cast(column, value));
+        return `${target} ${comparisons[op]} ?`;
+    }
+
+    if (op === 'in' || op === 'nin') {
+        const values = toList(value);
+        if (!values.length || values.some(item => item === '')) {
+            throw new FilterError(`filter[${column}][${op}] needs a comma-separated list of values`);
+        }
+        params.push(...values.map(item => cast(column, item)));
+        return `${target} ${op === 'in' ? 'IN' : 'NOT IN'} (${values.map(() => '?').join(', ')})`;
+    }
+
+    if (op === 'between') {
+        const values = toList(value);
+        if (values.length !== 2 || values.some(item => item === '')) {
+            throw new FilterError(`filter[${column}][between] needs exactly two comma-separated values`);
+        }
+        params.push(...values.map(item => cast(column, item)));
+        return `${target} BETWEEN ? AND ?`;
+    }
+
+    if (op === 'null') {
+        if (!['true', 'false'].includes(String(value))) {
+            throw new FilterError(`filter[${column}][null] must be 'true' or 'false'`);
+        }
+        return `${target} IS ${String(value) === 'true' ? '' : 'NOT '}NULL`;
+    }
+
+    throw new FilterError(`Unknown operator '${op}' for column '${column}'. Supported operators: ${operators.join(', ')}`);
+};
+
+/**
+ * Compiles one level of a filter object, recursing into `and`/`or` groups.
+ * @param {Object} filter - Parsed `filter` query object
+ * @param {Object} table - Table metadata from the schema
+ * @param {Array} params - Parameter list to append to
+ * @param {string} joiner - 'AND' or 'OR'
+ * @param {Function} quote - Identifier quoting of the database
+ * @param {Function} cast - `(column, value)` to the parameter value
+ * @returns {string} - SQL fragment, or an empty string if the filter is empty
+ */
+const compileGroup = (filter, table, params, joiner, quote, cast) => {
+    if (!isPlainObject(filter)) {
+        throw new FilterError('filter must be given as filter[column]=value or filter[column][operator]=value');
+    }
+
+    const clauses = [];
+    for (const [key, value] of Object.entries(filter)) {
+        if (has(groups, key)) {
+            // qs gives us an array for filter[or][0]..., or an object for large/sparse indices
+            const members = Array.isArray(value) ? value : isPlainObject(value) ? Object.values(value) : null;
+            if (!members || !members.length) {
+                throw new FilterError(`filter[${key}] must contain one or more conditions, e.g. filter[${key}][0][column]=value`);
+            }
+            const compiled = members
+                .map(member => compileGroup(member, table, params, 'AND', quote, cast))
+                .filter(Boolean);
+            if (compiled.length) clauses.push(`(${compiled.map(sql => `(${sql})`).join(` ${groups[key]} `)})`);
+            continue;
+        }
+
+        if (!has(table.columns, key)) {
+            throw new FilterError(`Cannot filter on unknown column '${key}' of table '${table.name}'`);
+        }
+
+        if (isPlainObject(value)) {
+            const ops = Object.entries(value);
+            if (!ops.length) throw new FilterError(`filter[${key}] needs an operator`);
+            for (const [op, operand] of ops) clauses.push(compileCondition(key, op, operand, params, quote, cast));
+        } else {
+            clauses.push(compileCondition(key, 'eq', value, params, quote, cast));
+        }
+    }
+
+    return clauses.join(` ${joiner} `);
+};
+
+/**
+ * Compiles the `filter` query parameter into a parameterized WHERE clause body.
+ * @param {Object} filter - Parsed `filter` query object (may be undefined)
+ * @param {Object} table - Table metadata from the schema
+ * @param {Function} quote - Identifier quoting of the database; may also give an expression for a name
+ * @param {Function} [cast] - `(column, value)` to the parameter value, for values the database would not
+ *                            convert itself (default: the value as given)
+ * @returns {Object} - `{ sql, params }`; `sql` is empty when there is nothing to filter on
+ */
+function compileFilter(filter, table, quote, cast = (column, value) => value) {
+    const params = [];
+    if (filter === undefined || filter === '') return { sql: '', params };
+    return { sql: compileGroup(filter, table, params, 'AND', quote, cast), params };
+}
+
+/**
+ * Parses the `sort` query parameter (`-created_at,name`) into the columns to order by.
+ * @param {string} sort - Comma-separated column list, `-` prefix for descending
+ * @param {Object} table - Table metadata from the schema
+ * @returns {Array<Object>} - `{ column, descending }` for each column, empty when no sort was requested
+ */
+function parseSort(sort, table) {
+    if (sort === undefined || sort === '') return [];
+    if (typeof sort !== 'string') {
+        throw new FilterError('sort must be a comma-separated list of columns, e.g. sort=-created_at,name');
+    }
+
+    return sort.split(',').map(entry => {
+        const descending = entry.startsWith('-');
+        const column = entry.replace(/^[-+]/, '').trim();
+        if (!has(table.columns, column)) {
+            throw new FilterError(`Cannot sort on unknown column '${column}' of table '${table.name}'`);
+        }
+        return { column, descending };
+    });
+}
+
+/**
+ * Compiles the `fields` query parameter (`id,name`) into a SELECT column list.
+ * @param {string} fields - Comma-separated column list
+ * @param {Object} table - Table metadata from the schema
+ * @param {Function} quote - Identifier quoting of the database
+ * @returns {string} - Column list, or `*` when no fields were requested
+ */
+function compileFields(fields, table, quote) {
+    if (fields === undefined || fields === '') return '*';
+    if (typeof fields !== 'string') {
+        throw new FilterError('fields must be a comma-separated list of columns, e.g. fields=id,name');
+    }
+
+    const columns = [...new Set(fields.split(',').map(column => column.trim()))];
+    const unknown = columns.filter(column => !has(table.columns, column));
+    if (unknown.length) {
+        throw new FilterError(`Unknown field(s) for table '${table.name}': ${unknown.join(', ')}`);
+    }
+    return columns.map(quote).join(', ');
+}
+
+/**
+ * Compares two values the way the database would: numerically when both are numbers
+ * (or numeric strings), otherwise as strings.
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+    const numeric = (value) => typeof value === 'number' || typeof value === 'boolean'
+        || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    if (numeric(a) && numeric(b)) return Number(a) - Number(b);
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+/**
+ * Turns a LIKE pattern into a regular expression. Matching ignores case, as it does by default
+ * on SQLite and MySQL.
+ * @param {string} pattern - Pattern with `%` and `_` wildcards
+ * @returns {RegExp}
+ */
+const likePattern = (pattern) => new RegExp(`^${String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.')}$`, 'is');
+
+/**
+ * Evaluates a single `column: { op: value }` condition against a value, with SQL semantics
+ * for NULL: only the `null` operator matches a missing value.
+ * @param {string} column - Column name, used in error messages
+ * @param {string} op - Operator name
+ * @param {*} operand - Value from the filter
+ * @param {*} value - Value of the record
+ * @returns {boolean}
+ */
+const matchCondition = (column, op, operand, value) => {
+    if (op === 'null') {
+        if (!['true', 'false'].includes(String(operand))) {
+            throw new FilterError(`filter[${column}][null] must be 'true' or 'false'`);
+        }
+        return (value === null || value === undefined) === (String(operand) === 'true');
+    }
+    if (!operators.includes(op)) {
+        throw new FilterError(`Unknown operator '${op}' for column '${column}'. Supported operators: ${operators.join(', ')}`);
+    }
+    if (value === null || value === undefined) return false;
+
+    switch (op) {
+        case 'eq': return compareValues(value, operand) === 0;
+        case 'ne': return compareValues(value, operand) !== 0;
+        case 'lt': return compareValues(value, operand) < 0;
+        case 'lte': return compareValues(value, operand) <= 0;
+        case 'gt': return compareValues(value, operand) > 0;
+        case 'gte': return compareValues(value, operand) >= 0;
+        case 'like': return likePattern(operand).test(String(value));
+        case 'nlike': return !likePattern(operand).test(String(value));
+        case 'in': return toList(operand).some(item => compareValues(value, item) === 0);
+        case 'nin': return !toList(operand).some(item => compareValues(value, item) === 0);
+        default: {
+            const [low, high] = toList(operand);
+            return compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+        }
+    }
+};
+
+/**
+ * Checks a record against a filter object in JavaScript, for rows that are not in the
+ * database yet. Accepts the same filters as compileFilter.
+ * @param {Object} filter - Filter object, e.g. `{ tenant_id: 4, status: { in: 'a,b' } }`
+ * @param {Object} record - Column values
+ * @returns {boolean}
+ */
+function matchesFilter(filter, record) {
+    if (filter === undefined || filter === null || filter === '') return true;
+    if (!isPlainObject(filter)) {
+        throw new FilterError('filter must be given as filter[column]=value or filter[column][operator]=value');
+    }
+
+    return Object.entries(filter).every(([key, value]) => {
+        if (has(groups, key)) {
+            const members = Array.isArray(value) ? value : isPlainObject(value) ? Object.values(value) : [];
+            if (!members.length) {
+                throw new FilterError(`filter[${key}] must contain one or more conditions, e.g. filter[${key}][0][column]=value`);
+            }
+            return key === 'or'
+                ? members.some(member => matchesFilter(member, record))
+                : members.every(member => matchesFilter(member, record));
+        }
+
+        const conditions = isPlainObject(value) ? Object.entries(value) : [['eq', value]];
+        return conditions.every(([op, operand]) => matchCondition(key, op, operand, has(record, key) ? record[key] : undefined));
+    });
+}
+
+/**
+ * Parses a non-negative integer paging parameter such as `limit` or `offset`.
+ * @param {string} name - Parameter name, used in the error message
+ * @param {*} value - Raw query value
+ * @returns {number|undefined} - The parsed number, or undefined when not given
+ */
+function parseCount(name, value) {
+    if (value === undefined || value === '') return undefined;
+    if (!/^\d+$/.test(String(value))) {
+        throw new FilterError(`${name} must be a non-negative integer`);
+    }
+    return parseInt(value, 10);
+}
+
+module.exports = { compileFilter, parseSort, compileFields, parseCount, matchesFilter, isPlainObject, FilterError };
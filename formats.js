@@ -0,0 +1,321 @@
+const { columnKind } = require('./schema');
+const { FilterError } = require('./filters');
+const { ApiError } = require('./errors');
+
+/**
+ * CSV and NDJSON, for exporting lists and importing rows in bulk.
+ *
+ *   GET /orders  Accept: text/csv                  id,customer_id,total\r\n1,4,9.5\r\n...
+ *   GET /orders?format=ndjson                      {"id":1,"customer_id":4,"total":9.5}\n...
+ *   POST /orders  Content-Type: text/csv           one row per record after the header
+ *
+ * Both are read and written a batch of rows at a time, so neither side holds a whole table in memory.
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+// A record is held in memory until it ends, so one without an end could otherwise grow without bound
+const DEFAULT_MAX_LINE_LENGTH = 1024 * 1024;
+
+const mediaTypes = { json: 'application/json', csv: 'text/csv', ndjson: 'application/x-ndjson' };
+
+/**
+ * Reads the `streaming` option of the configuration.
+ * @param {Object} [streaming] - `config.streaming`
+ * @returns {Object} - `{ batchSize, maxLineLength, maxBodySize }`, where `maxBodySize` is null without a limit
+ */
+function streamingOptions(streaming = {}) {
+    const { batchSize = DEFAULT_BATCH_SIZE, maxLineLength = DEFAULT_MAX_LINE_LENGTH, maxBodySize = null } = streaming;
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error('streaming.batchSize must be a positive integer');
+    if (!Number.isInteger(maxLineLength) || maxLineLength < 1) throw new Error('streaming.maxLineLength must be a positive integer');
+    if (maxBodySize !== null && (!Number.isInteger(maxBodySize) || maxBodySize < 1)) {
+        throw new Error('streaming.maxBodySize must be a positive integer or null');
+    }
+    return { batchSize, maxLineLength, maxBodySize };
+}
+
+/**
+ * The problem of a record longer than `streaming.maxLineLength`.
+ * @param {number} line - The line the record starts on
+ * @param {number} max - The longest a record may be, in characters
+ */
+const lineTooLong = (line, max) => new ApiError(413, `Line ${line} is longer than ${max} characters`, 'line_too_long');
+
+// The problem of an import larger than `streaming.maxBodySize`
+const tooLarge = (maxBodySize) => new ApiError(413, `The body is larger than ${maxBodySize} bytes`);
+
+/**
+ * The format a list is answered in: `?format=` when given, otherwise the best match of the
+ * `Accept` header, with JSON for clients that accept anything.
+ * @param {Object} req - Express request
+ * @returns {string} - 'json', 'csv' or 'ndjson'
+ */
+function responseFormat(req) {
+    const { format } = req.query;
+    if (format !== undefined) {
+        if (!Object.keys(mediaTypes).includes(String(format))) throw new FilterError("format must be 'json', 'csv' or 'ndjson'");
+        return String(format);
+    }
+    const accepted = req.accepts(Object.values(mediaTypes));
+    return Object.keys(mediaTypes).find(name => mediaTypes[name] === accepted) || 'json';
+}
+
+/**
+ * The format of a request body that is imported row by row.
+ * @param {Object} req - Express request
+ * @returns {string|null} - 'csv' or 'ndjson', or null for other bodies
+ */
+function requestFormat(req) {
+    const type = req.is([mediaTypes.csv, mediaTypes.ndjson]);
+    return type ? Object.keys(mediaTypes).find(name => mediaTypes[name] === type) : null;
+}
+
+/**
+ * Values as JSON would give them: dates in ISO 8601, binary in base64 and documents as their JSON.
+ */
+const plainValue = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+/**
+ * A CSV field as RFC 4180 quotes it. Null is an empty field and the empty string a quoted one,
+ * so that imports can tell them apart.
+ */
+const csvField = (value) => {
+    const plain = plainValue(value);
+    if (plain === null || plain === undefined) return '';
+    const text = String(plain);
+    return text === '' || /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvField).join(',') + '\r\n';
+
+/**
+ * Writes rows in a format. The columns of a CSV are those of the first row written, or `columns`
+ * when there are no rows.
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Array<string>} columns - Columns selected for the rows
+ * @returns {Object} - `{ mediaType, rows(rows), end() }`, where `rows` and `end` return the text to write
+ */
+function rowWriter(format, columns) {
+    if (format === 'ndjson') {
+        return {
+            mediaType: mediaTypes.ndjson,
+            rows: rows => rows.map(row => JSON.stringify(row) + '\n').join(''),
+            end: () => '',
+        };
+    }
+
+    let header = null;
+    const start = (row) => {
+        if (header) return '';
+        header = row ? Object.keys(row) : columns;
+        return csvLine(header);
+    };
+    return {
+        mediaType: mediaTypes.csv,
+        rows: rows => rows.map((row, n) => (n ? '' : start(row)) + csvLine(header.map(column => (column in row ? row[column] : null)))).join(''),
+        end: () => start(null),
+    };
+}
+
+/**
+ * Splits CSV text into records, as RFC 4180 describes it: quoted fields may hold commas, quotes
+ * written twice and line breaks. Blank lines are skipped.
+ * @param {AsyncIterable<string>} source - The text, in chunks of any size
+ * @param {number} maxLineLength - The longest a record may be, in characters, line breaks in quoted fields included
+ * @yields {Object} - `{ line, values }`, where `line` is the line the record starts on and unquoted
+ *                    empty fields are null, or `{ line, error }` for an unterminated quoted field
+ * @throws {ApiError} - 413 for a record longer than `maxLineLength`
+ */
+async function* csvRecords(source, maxLineLength) {
+    let values = [];
+    let length = 0;
+    let field = '';
+    let quoted = false;
+    let inQuotes = false;
+    let afterQuote = false;
+    let line = 1;
+    let start = 1;
+    let first = true;
+
+    const endField = () => {
+        values.push(field === '' && !quoted ? null : field);
+        field = '';
+        quoted = false;
+    };
+
+    for await (const chunk of source) {
+        const text = first ? chunk.replace(/^\uFEFF/, '') : chunk;
+        first = false;
+        for (const char of text) {
+            length += 1;
+            if (length > maxLineLength) throw lineTooLong(start, maxLineLength);
+            if (afterQuote) {
+                afterQuote = false;
+                // A quote written twice stands for one
+                if (char === '"') {
+                    field += char;
+                    inQuotes = true;
+                    continue;
+                }
+            }
+            if (inQuotes) {
+                if (char === '"') {
+                    inQuotes = false;
+                    afterQuote = true;
+                } else {
+                    if (char === '\n') line += 1;
+                    field += char;
+                }
+            } else if (char === '"' && field === '' && !quoted) {
+                inQuotes = true;
+                quoted = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\n') {
+                endField();
+                const record = { line: start, values };
+                values = [];
+                length = 0;
+                line += 1;
+                start = line;
+                if (record.values.length > 1 || record.values[0] !== null) yield record;
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    }
+
+    if (inQuotes) {
+        yield { line: start, error: 'Unterminated quoted field' };
+    } else if (field !== '' || quoted || values.length) {
+        endField();
+        yield { line: start, values };
+    }
+}
+
+/**
+ * Reads a CSV import: a header row of column names, then a record per row. Columns of the JSON
+ * kind hold JSON text, as exports write them.
+ * @param {AsyncIterable<string>} source - The text, in chunks
+ * @param {Object} schema - Schema returned by createSchema
+ * @param {Object} table - Table metadata from the schema
+ * @param {Object} options - `{ maxLineLength }` of the `streaming` option
+ * @yields {Object} - `{ line, record }`, or `{ line, error }` for a record that cannot be read
+ */
+async function* csvImport(source, schema, table, { maxLineLength }) {
+    let header = null;
+    for await (const { line, values, error } of csvRecords(source, maxLineLength)) {
+        if (!header) {
+            if (error) throw new ApiError(400, `Line ${line}: ${error}`);
+            header = values.map(value => (value === null ? '' : value.trim()));
+            const unknown = schema.unknownColumns(table, header);
+            if (unknown.length) throw new ApiError(400, `Unknown columns in the CSV header: ${unknown.join(', ')}`);
+            const repeated = header.filter((column, n) => header.indexOf(column) !== n);
+            if (repeated.length) throw new ApiError(400, `Columns repeated in the CSV header: ${repeated.join(', ')}`);
+            continue;
+        }
+
+        if (error) {
+            yield { line, error };
+        } else if (values.length !== header.length) {
+            yield { line, error: `Expected ${header.length} fields, found ${values.length}` };
+        } else {
+            try {
+                yield {
+                    line,
+                    record: Object.fromEntries(header.map((column, n) => {
+                        const value = values[n];
+                        if (value === null || columnKind(table.columns[column]) !== 'json') return [column, value];
+                        try {
+                            return [column, JSON.parse(value)];
+                        } catch (parseError) {
+                            throw new Error(`Column '${column}' must hold JSON`);
+                        }
+                    })),
+                };
+            } catch (recordError) {
+                yield { line, error: recordError.message };
+            }
+        }
+    }
+    if (!header) throw new ApiError(400, 'The CSV has no header row');
+}
+
+/**
+ * Reads an NDJSON import: a JSON object per line. Blank lines are skipped.
+ * @param {AsyncIterable<string>} source - The text, in chunks
+ * @param {Object} options - `{ maxLineLength }` of the `streaming` option
+ * @yields {Object} - `{ line, record }`, or `{ line, error }` for a line that is not a JSON object
+ * @throws {ApiError} - 413 for a line longer than `maxLineLength`
+ */
+async function* ndjsonImport(source, { maxLineLength }) {
+    const parse = (text, line) => {
+        if (!text.trim()) return null;
+        try {
+            const record = JSON.parse(text);
+            if (record !== null && typeof record === 'object' && !Array.isArray(record)) return { line, record };
+        } catch (error) {
+            return { line, error: 'Invalid JSON' };
+        }
+        return { line, error: 'Each line must be a JSON object' };
+    };
+
+    let buffer = '';
+    let line = 0;
+    for await (const chunk of source) {
+        buffer += chunk;
+        let end = buffer.indexOf('\n');
+        while (end >= 0) {
+            line += 1;
+            if (end > maxLineLength) throw lineTooLong(line, maxLineLength);
+            const item = parse(buffer.slice(0, end), line);
+            buffer = buffer.slice(end + 1);
+            if (item) yield item;
+            end = buffer.indexOf('\n');
+        }
+        if (buffer.length > maxLineLength) throw lineTooLong(line + 1, maxLineLength);
+    }
+    const last = parse(buffer, line + 1);
+    if (last) yield last;
+}
+
+/**
+ * Passes on the chunks of a body until they add up to more than `maxBodySize` bytes.
+ * @param {AsyncIterable<string>} chunks
+ * @param {number} maxBodySize
+ * @throws {ApiError} - 413 once the body is larger
+ */
+async function* limitSize(chunks, maxBodySize) {
+    let size = 0;
+    for await (const chunk of chunks) {
+        size += Buffer.byteLength(chunk);
+        if (size > maxBodySize) throw tooLarge(maxBodySize);
+        yield chunk;
+    }
+}
+
+/**
+ * The body of an import as text chunks: the request stream itself, or the body another
+ * middleware, such as `express.text()`, has already read.
+ * @param {Object} req - Express request
+ * @param {Object} options - `{ maxBodySize }` of the `streaming` option
+ * @returns {AsyncIterable<string>}
+ * @throws {ApiError} - 413 when the `Content-Length` is larger than `maxBodySize`
+ */
+function importSource(req, { maxBodySize }) {
+    const limit = chunks => (maxBodySize === null ? chunks : limitSize(chunks, maxBodySize));
+    if (!req._body) {
+        if (maxBodySize !== null && Number(req.headers['content-length']) > maxBodySize) throw tooLarge(maxBodySize);
+        req.setEncoding('utf8');
+        return limit(req);
+    }
+    if (typeof req.body === 'string') return limit([req.body]);
+    if (Buffer.isBuffer(req.body)) return limit([req.body.toString('utf8')]);
+    throw new ApiError(400, 'The request body was already parsed as another type');
+}
+
+module.exports = { mediaTypes, streamingOptions, responseFormat, requestFormat, rowWriter, csvImport, ndjsonImport, importSource };
@@ -1,145 +1,480 @@
-require('express');
-const { getDatabase, configureDatabase } = require('./db');
+const util = require('util');
+const express = require('express');
+const { configureDatabase, openDatabase } = require('./db');
+const { introspectSchema, createSchema } = require('./schema');
+const createApiKeyValidator = require('./middleware/validate_api_key');
+const rateLimit = require('./middleware/rate_limit');
+const generateRoutes = require('./routes');
+const { openapiRoutes } = require('./openapi');
+const { openKeyStore, keyRoutes } = require('./api_keys');
+const { auditOptions, createAuditLog, auditRoutes } = require('./audit');
+const { changeOptions, createChangeFeed, createStreamTokens, attachWebSocket } = require('./changes');
+const { createSearch } = require('./search');
+const { tenantOptions, tenantResolver } = require('./tenants');
+const { metricsOptions, createObserver } = require('./metrics');
+const { requestContext } = require('./middleware/request_context');
+const { ApiError, HttpError, sendProblem } = require('./errors');
 
 /**
- * Initializes the API generator
- * @param {Object} app - Express app instance
- * @param {Object} config - Configuration object
- * @param {string} config.version - API version (e.g., 'v1')
- * @param {Object} config.database - Database connection options
+ * A key store that several instances share. The first instance to open it does so with its own logger
+ * and query timing, and its connection is closed once every instance that opened it has closed.
+ * @param {Object} apiKeys - `config.apiKeys`
+ * @returns {Object} - `open(options)`, which resolves to `{ keyDb, keyStore }`, and `release()`
  */
-const validateApiKey = require('./middleware/validate_api_key');
-const generateRoutes = require('./routes');
+function sharedKeyStore(apiKeys) {
+    let opening = null;
+    let users = 0;
+    return {
+        open(options) {
+            users += 1;
+            opening = opening || openKeyStore(apiKeys, options);
+            return opening;
+        },
+        async release() {
+            users -= 1;
+            if (users > 0 || !opening) return;
+            const closing = opening;
+            opening = null;
+            const { keyDb } = await closing.catch(() => ({}));
+            if (keyDb) await keyDb.close();
+        },
+    };
+}
 
-function initializeAPI(app, config) {
-    const { apiKeys, database } = config;
-    let getApiKeyFunc;
-
-    // If user wants to use an application-only SQLite database for API keys:
-    if (apiKeys.useAppDb) {
-        const sqlite3 = require('sqlite3').verbose();
-        const dbPath = apiKeys.appDbPath;
-
-        // Initialize the SQLite database for API keys
-        const apiDb = new sqlite3.Database(dbPath);
-
-        // Create the API keys table if it doesn't exist
-        apiDb.serialize(() => {
-            apiDb.run(`CREATE TABLE IF NOT EXISTS api_keys (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        api_key TEXT UNIQUE NOT NULL,
-        scopes TEXT NOT NULL,
-        active BOOLEAN DEFAULT TRUE
-      )`);
-        });
+/**
+ * Creates an instance of the API: its routes, key store, rate limits and database connections. Instances
+ * share no state, so several can be mounted in one app, or run side by side in tests.
+ * @param {Object} config - Configuration object, as initializeAPI takes it, without `databases`
+ * @param {Object} [keys] - Key store shared with other instances, from sharedKeyStore (default: its own)
+ * @returns {Object} - API with `router`, to mount at /api/{version}, `ready`, a promise that resolves once the
+ *                     routes are in place, `getDatabase`, `close`, `metrics` and the key management functions
+ */
+function createAPI(config, keys = null) {
+    const audit = auditOptions(config.audit);
+    const changes = changeOptions(config.changes);
+    const tenants = tenantOptions(config.tenants);
+    const metrics = metricsOptions(config.metrics);
+    const limiter = rateLimit(config.rateLimit);
+    const logger = config.logger || console;
+    const observer = createObserver(metrics, logger);
+    const streamTokens = changes && createStreamTokens(changes);
+    // Queries are only timed when something takes the timings
+    const onQuery = metrics.query || metrics.prometheus ? observer.query : null;
 
-        // Function to fetch API key data from the application-only SQLite DB
-        getApiKeyFunc = async (apiKey) => {
-            return new Promise((resolve, reject) => {
-                apiDb.get('SELECT * FROM api_keys WHERE api_key = ? AND active = 1', [apiKey], (err, row) => {
-                    if (err) reject(err);
-                    resolve(row);
-                });
+    // Connections the instance opened, which close() closes
+    const opened = new Set();
+    const open = async (dbConfig, connect) => {
+        const db = await connect(dbConfig, { logger, onQuery });
+        opened.add(db);
+        return db;
+    };
+
+    let keyStore = null;
+    let database = null;
+    let openTenant = null;
+    // Whether close() has let go of the shared key store
+    let released = false;
+
+    /**
+     * Returns the key store once the instance is ready.
+     * @returns {Object}
+     */
+    const requireKeyStore = () => {
+        if (!keyStore) throw new Error('The API must be ready before API keys can be managed');
+        return keyStore;
+    };
+
+    const generateAPIKey = async (req, res, next) => {
+        try {
+            // Optionally accept a scope and name in the request body (default to read if not provided)
+            const { scope = 'read', name } = req.body || {};
+
+            // Store the hash of a new API key in the key store
+            const { key } = await requireKeyStore().createKey({ name, scopes: scope });
+
+            // Respond with the newly created API key
+            return res.status(201).json({
+                message: 'API key generated successfully',
+                apiKey: key,
+                scope: scope,
             });
-        };
-    }
-    // If user wants to use their own database (MySQL or SQLite for API keys):
-    else {
-        const { type, options } = apiKeys.dbConfig;
-
-        if (type === 'mysql') {
-            const mysql = require('mysql2/promise');
-            // Initialize MySQL connection pool
-            const dbPool = mysql.createPool(options);
-
-            dbPool.query(`CREATE TABLE IF NOT EXISTS api_keys (
-                            id INTEGER AUTO_INCREMENT PRIMARY KEY ,
-                            api_key VARCHAR(255) UNIQUE NOT NULL,
-                            scopes VARCHAR(255) NOT NULL,
-                            active BOOLEAN DEFAULT TRUE
-                        )`);
-
-            getApiKeyFunc = async (apiKey) => {
-                const [rows] = await dbPool.query('SELECT * FROM api_keys WHERE api_key = ? AND active = 1', [apiKey]);
-                return rows.length ? rows[0] : null;
-            };
+        } catch (err) {
+            return sendProblem(res, err, 'Error generating API key');
         }
-        else if (type === 'sqlite') {
-            const dbPath = options.localDbPath;
-
-            const apiDb = new sqlite3.Database(dbPath);
-
-            // Create the API keys table if it doesn't exist
-            apiDb.serialize(() => {
-                apiDb.run(`CREATE TABLE IF NOT EXISTS api_keys (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          api_key TEXT UNIQUE NOT NULL,
-          scopes TEXT NOT NULL,
-          active BOOLEAN DEFAULT TRUE
-        )`);
-            });
+    };
 
-            // Function to fetch API key data from user's SQLite DB
-            getApiKeyFunc = async (apiKey) => {
-                return new Promise((resolve, reject) => {
-                    apiDb.get('SELECT * FROM api_keys WHERE api_key = ? AND active = 1', [apiKey], (err, row) => {
-                        if (err) reject(err);
-                        resolve(row);
-                    });
-                });
-            };
+    // Filled in once the live schema has been read
+    const routes = express.Router();
+    const ready = (async () => {
+        let keyDb;
+        if (keys) {
+            ({ keyDb, keyStore } = await keys.open({ logger, onQuery }));
         } else {
-            throw new Error('Unsupported database type for API keys. Use "mysql" or "sqlite".');
+            ({ keyDb, keyStore } = await openKeyStore(config.apiKeys, { logger, onQuery }));
+            opened.add(keyDb);
         }
-    }
+        const validateApiKey = createApiKeyValidator(keyStore.verify);
+        const appAuditLog = audit && audit.database === 'app' && await createAuditLog(keyDb, { table: audit.table });
 
-    // Set the API key fetcher function
-    validateApiKey.setApiKeyFetcher(getApiKeyFunc);
+        /**
+         * The routes of a database, which has its own change feed.
+         */
+        const databaseRoutes = async (db) => {
+            // Created before the schema is read, which leaves the table out of the generated routes
+            const auditLog = appAuditLog || (audit && await createAuditLog(db, { table: audit.table, shared: true }));
+            const schema = createSchema(await introspectSchema(db), config);
+            const search = await createSearch(db, schema, config.search, { logger });
+            const changeFeed = changes && createChangeFeed(changes);
 
-    // Set up API routes with versioning (for example)
-    configureDatabase(database)
-    app.use(`/api/${config.version}`, generateRoutes());
+            const router = express.Router();
+            router.use(openapiRoutes(schema, config));
+            if (auditLog && !appAuditLog) router.use(auditRoutes(auditLog, validateApiKey, config.pagination));
+            router.use(generateRoutes(schema, db, config, { validateApiKey, limiter, auditLog, changeFeed, streamTokens, search }));
+            return router;
+        };
 
-    console.log(`API initialized with version /api/${config.version}`);
-}
+        if (metrics.prometheus) {
+            const { path, scope } = metrics.prometheus;
+            routes.get(path, ...(scope ? [validateApiKey([scope])] : []), (req, res) => {
+                res.type('text/plain; version=0.0.4').send(observer.registry.render());
+            });
+        }
+        routes.use(keyRoutes(keyStore, validateApiKey, limiter));
+        if (appAuditLog) routes.use(auditRoutes(appAuditLog, validateApiKey, config.pagination));
+        routes.post('/generate-api-key', validateApiKey(['admin']), generateAPIKey);
 
-const generateAPIKey = async (req, res, next) => {
-    try {
-        // Generate a new UUID v4 for the API key
-        const apiKey = crypto.randomUUID();
-
-        // Optionally accept a scope in the request body (default to empty string if not provided)
-        const { scope = 'read' } = req.body;
-
-        // Insert the new API key into the database
-        const data = { api_key: apiKey, scopes: scope }
-        const columns = Object.keys(data).join(', ');
-        const placeholders = Object.keys(data).map(() => '?').join(', ');
-        const values = Object.values(data);
-        const query = `INSERT INTO api_keys (${columns}) VALUES (${placeholders})`;
-
-        let result;
-        const db = getDatabase();
-        if (db.query) {
-            // MySQL
-            [result] = await db.query(query, values);
-            // return res.json({ message: 'Item inserted successfully', id: result.insertId });
-        } else {
-            // SQLite
-            result = await db.run(query, values);
-            // return res.json({ message: 'Item inserted successfully', id: result.lastID });
+        if (!tenants) {
+            database = await open(config.database, configureDatabase);
+            routes.use(await databaseRoutes(database));
+            logger.info(`API initialized with version /api/${config.version}`);
+            return;
         }
 
-        // Respond with the newly created API key
-        return res.status(201).json({
-            message: 'API key generated successfully',
-            apiKey: apiKey,
-            scope: scope,
+        const tenantDatabases = new Map();
+        openTenant = (tenant) => {
+            if (!tenantDatabases.has(tenant)) {
+                const opening = (async () => {
+                    const dbConfig = await tenants.database(tenant);
+                    if (!dbConfig) throw new ApiError(404, `Tenant '${tenant}' does not exist`, 'tenant_not_found');
+                    const db = await open(dbConfig, openDatabase);
+                    try {
+                        return { db, router: await databaseRoutes(db) };
+                    } catch (error) {
+                        opened.delete(db);
+                        await db.close().catch(() => {});
+                        throw error;
+                    }
+                })();
+                // A tenant that failed to open is tried again on its next request
+                opening.catch(() => tenantDatabases.delete(tenant));
+                tenantDatabases.set(tenant, opening);
+            }
+            return tenantDatabases.get(tenant);
+        };
+
+        const resolveTenant = tenantResolver(tenants, keyStore.verify);
+        routes.use(async (req, res, next) => {
+            let tenant;
+            try {
+                req.tenant = await resolveTenant(req);
+                tenant = await openTenant(req.tenant);
+            } catch (error) {
+                if (error instanceof ApiError) return sendProblem(res, error);
+                logger.error('Error opening the database of a tenant', { requestId: req.id, tenant: req.tenant, error });
+                return sendProblem(res, new ApiError(503, 'The database of the tenant is unavailable', 'tenant_unavailable'));
+            }
+            tenant.router(req, res, next);
         });
-    } catch (err) {
-        console.error('Error generating API key:', err);
-        return res.status(500).json({ message: 'Error generating API key' });
+        logger.info(`API initialized with version /api/${config.version} for tenants`);
+    })();
+    // Whoever awaits `ready` sees the failure; the log covers APIs nobody awaits, without ending the process
+    ready.catch(error => logger.error('The API failed to start', { error }));
+
+    /**
+     * Lets subscribers of change feeds, which cannot send headers from a browser, authenticate with a stream
+     * token: the token is swapped for the key and tenant it was issued for, before the tenant is looked up.
+     * Other routes ignore tokens, so one that leaks cannot be used to write.
+     */
+    const redeemStreamToken = (req, res, next) => {
+        const token = req.query.access_token;
+        if (!streamTokens || token === undefined || req.method !== 'GET' || !req.path.endsWith('/_changes') || req.header('x-api-key')) {
+            return next();
+        }
+        const grant = streamTokens.redeem(token);
+        if (!grant) return sendProblem(res, new ApiError(401, 'The access token is invalid or has expired', 'access_token_invalid'));
+        req.headers['x-api-key'] = grant.apiKey;
+        if (grant.tenant && tenants && tenants.header) req.headers[tenants.header.toLowerCase()] = grant.tenant;
+        next();
+    };
+
+    // Hold requests that arrive before the routes exist, and refuse them if the API could not start
+    const router = express.Router();
+    router.use(
+        requestContext({ logger, debug: config.debug, observer }),
+        (req, res, next) => ready.then(() => next(), () => sendProblem(res, new ApiError(503, 'The API failed to start', 'api_unavailable'))),
+        redeemStreamToken,
+        routes,
+    );
+
+    return {
+        router,
+        ready,
+
+        /**
+         * The database adapter the API serves, or that of a tenant, opened if needed.
+         * @param {string} [tenant] - Tenant name, with `config.tenants`
+         * @returns {Promise<Object>} - Database adapter
+         */
+        async getDatabase(tenant) {
+            await ready;
+            if (!tenants) return database;
+            if (tenant === undefined) throw new Error('getDatabase needs a tenant name when the API has tenants');
+            return (await openTenant(String(tenant))).db;
+        },
+
+        /**
+         * Closes every connection the API opened, including those of its tenants.
+         * @returns {Promise}
+         */
+        async close() {
+            await ready.catch(() => {});
+            await Promise.all([...opened].map(db => db.close()));
+            opened.clear();
+            if (keys && !released) {
+                released = true;
+                await keys.release();
+            }
+        },
+
+        /**
+         * The metrics the instance collected, in the Prometheus text format, as served at `metrics.prometheus.path`.
+         * @returns {string|null} - The metrics, or null without `metrics.prometheus`
+         */
+        metrics: () => (observer.registry ? observer.registry.render() : null),
+
+        /**
+         * Creates an API key. The plaintext key is only returned here, so hand it to its owner right away.
+         * @param {Object} [options] - `name`, `scopes` (array or comma-separated), `expiresAt` and `metadata`
+         * @returns {Promise<Object>} - The key's data plus its plaintext as `key`
+         */
+        createApiKey: (options) => requireKeyStore().createKey(options),
+
+        /**
+         * @returns {Promise<Array<Object>>} - Every API key, without hashes
+         */
+        listApiKeys: () => requireKeyStore().listKeys(),
+
+        /**
+         * Issues a replacement for a key; the old key keeps working for `options.gracePeriod` seconds.
+         * @param {number|string} id - Key id
+         * @param {Object} [options] - `gracePeriod` in seconds (default: 24 hours)
+         * @returns {Promise<Object|null>} - The new key plus its plaintext as `key`, or null if there is no such key;
+         *                                   rejects for a key that has expired
+         */
+        rotateApiKey: (id, options) => requireKeyStore().rotateKey(id, options),
+
+        /**
+         * Deactivates a key immediately.
+         * @param {number|string} id - Key id
+         * @returns {Promise<boolean>} - False if there is no such key
+         */
+        revokeApiKey: (id) => requireKeyStore().revokeKey(id),
+
+        /**
+         * Reads how many requests a key made today and this month, with the limits that apply to it.
+         * @param {number|string} id - Key id
+         * @returns {Promise<Object|null>} - `{ id, day, month, rateLimit }`, or null if there is no such key
+         */
+        async getApiKeyUsage(id) {
+            const key = await requireKeyStore().getKey(id);
+            return key ? { id: key.id, ...(await limiter.usage({ ...key.metadata, ...key })) } : null;
+        },
+    };
+}
+
+// The API of the latest initializeAPI call and its database, which the deprecated module-level functions act on
+let defaultAPI = null;
+let defaultDatabase = null;
+
+/**
+ * Makes an API the one the module-level functions act on.
+ * @param {Object} api - API returned by createAPI
+ * @param {Object} options - Its configuration
+ * @returns {Promise} - Resolves once the API is ready
+ */
+const useAsDefault = (api, options) => {
+    defaultAPI = api;
+    defaultDatabase = null;
+    return api.ready.then(async () => {
+        if (defaultAPI === api && !options.tenants) defaultDatabase = await api.getDatabase();
+    });
+};
+
+/**
+ * Initializes the API generator
+ * @param {Object} app - Express app instance
+ * @param {Object} config - Configuration object
+ * @param {string} config.version - API version (e.g., 'v1')
+ * @param {Object} config.database - Database connection options
+ * @param {Object} [config.databases] - Named databases to serve instead of `config.database`: `{ name: options }`, where
+ *                                      `options` override the rest of the configuration for that database, e.g. its
+ *                                      `database`, `tables` and `apiKeys`, and `path` is where it is mounted
+ *                                      (default: /api/{version}/{name}). Databases without their own `apiKeys` share a key store
+ * @param {Object} [config.tenants] - Serve each request from the database of its tenant instead of `config.database`
+ * @param {string} [config.tenants.header] - Header that names the tenant of a request, e.g. 'x-tenant'
+ * @param {string} [config.tenants.metadata] - Field of the API key's metadata that binds the key to a tenant
+ * @param {Function} config.tenants.database - `(tenant) => dbConfig`, the database of a tenant, or null for unknown tenants
+ * @param {Object} [config.tables] - Which introspected tables to expose
+ * @param {Array<string>} [config.tables.include] - Only expose these tables (default: all)
+ * @param {Array<string>} [config.tables.exclude] - Never expose these tables
+ * @param {Array<string>} [config.tables.readOnly] - Only allow GET requests on these tables
+ * @param {Array<string>} [config.tables.upsert] - Let PUT create records on these tables
+ * @param {Object} [config.validators] - Custom validators per table: `{ table: { column: (value, record) => true | false | message } }`
+ * @param {Object} [config.policies] - Row policies per table: `{ table: { rowFilter: (key) => filter } }`, where the filter
+ *                                     uses the `filter` query syntax and limits the rows the key can read and write
+ * @param {Object} [config.openapi] - OpenAPI document served at /api/{version}/openapi.json
+ * @param {string} [config.openapi.title] - Title of the document
+ * @param {string} [config.openapi.description] - Description of the document
+ * @param {boolean} [config.openapi.docs] - Also serve Swagger UI at /api/{version}/docs
+ * @param {Object} [config.rateLimit] - Per-key rate limits and quotas: `limit`, `window`, `daily`, `monthly`,
+ *                                      `scopes` (limits per scope) and `store`
+ * @param {Object} [config.hooks] - Hooks per table: `{ table: { beforeCreate, afterCreate, beforeUpdate, beforeDelete, afterRead } }`,
+ *                                  each called with `{ req, key, tx, table, ... }`
+ * @param {Function} [config.extend] - Adds custom routes: `(router, { db, schema, operations, authenticate, handle, ApiError }) => {}`
+ * @param {Object} [config.versions] - Version column per table for ETags: `{ table: column }` (default: a hash of the row)
+ * @param {Object} [config.softDelete] - Soft-delete column per table: `{ table: column }`, a datetime column that DELETE
+ *                                      sets to the current time or a boolean flag that it sets to true
+ * @param {Object} [config.search] - Search columns per table for the `q` parameter: `{ table: [columns] }`, indexed
+ *                                   with FTS5 on SQLite and FULLTEXT on MySQL
+ * @param {Object} [config.pagination] - Page sizes of the list routes: `defaultLimit` (default: 100) and `maxLimit` (default: 1000)
+ * @param {Object} [config.streaming] - CSV and NDJSON exports and imports: `batchSize`, the rows per query or insert (default: 500); `maxLineLength`, the longest line of an import in characters (default: 1048576); `maxBodySize`, the largest import body in bytes (default: no limit)
+ * @param {boolean|Object} [config.audit] - Record every write in an audit log, read at /api/{version}/_audit
+ * @param {string} [config.audit.database] - 'user' keeps the log in `config.database`, written in the transaction of
+ *                                           each change (default); 'app' keeps it with the API keys
+ * @param {string} [config.audit.table] - Name of the audit table (default: 'api_audit')
+ * @param {boolean|Object} [config.changes] - Publish every write to a change feed, read at /api/{version}/:table/_changes
+ * @param {number} [config.changes.size] - Number of recent events kept for resuming with Last-Event-ID (default: 1000)
+ * @param {number} [config.changes.heartbeat] - Seconds between keep-alive messages (default: 25)
+ * @param {Object} [config.changes.server] - HTTP server of the app, to also accept WebSocket subscribers on it
+ * @param {Object} [config.changes.driver] - A ws compatible module, defaults to `require('ws')`
+ * @param {number} [config.changes.tokenTtl] - Seconds a stream token from POST /_changes/token can be used for (default: 60)
+ * @param {Object} [config.logger] - Logger with `info`, `warn` and `error`, each called with a message and an object of
+ *                                   fields such as `requestId` and `error` (default: console)
+ * @param {boolean} [config.debug] - Add the messages of internal errors to error responses (default: unless NODE_ENV is 'production')
+ * @param {Object} [config.metrics] - Metrics hooks: `request`, `query` and `authFailure`, each called with an event
+ * @param {boolean|Object} [config.metrics.prometheus] - Serve the metrics in the Prometheus text format at
+ *                                                       /api/{version}/metrics, or at `path`, to keys with `scope` if given
+ * @returns {Promise<Object>} - Resolves once the database schema has been read and the routes are mounted, to the API
+ *                              returned by createAPI, or with `config.databases` to an object of them by name. Rejects
+ *                              when the configuration is invalid or a database cannot be opened
+ */
+async function initializeAPI(app, config) {
+    // Mounts an API right away, so it keeps its place in the app's middleware stack
+    const mount = (path, api, options) => {
+        app.use(path, api.router);
+        const changes = changeOptions(options.changes);
+        if (changes && changes.server) attachWebSocket(changes.server, app, path);
+    };
+
+    // Everything up to the first await runs at once, so the routes are mounted before this returns
+    if (!config.databases) {
+        const api = createAPI(config);
+        mount(`/api/${config.version}`, api, config);
+        await useAsDefault(api, config);
+        return api;
+    }
+
+    const names = Object.keys(config.databases);
+    if (!names.length) throw new Error('databases: name at least one database');
+    const { databases, ...shared } = config;
+    let sharedKeys = null;
+    const apis = {};
+    for (const name of names) {
+        if (!/^[\w-]+$/.test(name)) throw new Error(`databases: '${name}' may only contain letters, digits, _ and -`);
+        const { path = `/api/${config.version}/${name}`, ...overrides } = databases[name];
+        const options = { ...shared, ...overrides };
+        // Databases without their own apiKeys share one key store
+        const keys = overrides.apiKeys ? null : (sharedKeys = sharedKeys || sharedKeyStore(config.apiKeys));
+        apis[name] = createAPI(options, keys);
+        mount(path, apis[name], options);
     }
+    // The deprecated module-level functions act on the first database
+    const first = useAsDefault(apis[names[0]], { ...shared, ...databases[names[0]] });
+    await Promise.all([...names.map(name => apis[name].ready), first]);
+    return apis;
 }
 
-module.exports = { initializeAPI, getDatabase, generateAPIKey };
+/**
+ * Returns the API of the latest initializeAPI call.
+ * @returns {Object}
+ */
+const requireDefaultAPI = () => {
+    if (!defaultAPI) throw new Error('initializeAPI must be called before API keys can be managed');
+    return defaultAPI;
+};
+
+// Module-level versions of the functions of an API, which act on the API of the latest initializeAPI call.
+// They predate createAPI and are kept for existing callers; new code uses the API that initializeAPI resolves to
+const deprecated = (fn, name, replacement = `${name}() of the API that initializeAPI resolves to`) => util.deprecate(fn,
+    `${name}() of the module is deprecated, use ${replacement}`,
+    `EAG_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`);
+
+/**
+ * @deprecated Use `api.getDatabase()`
+ * @returns {Object|null} - The database adapter of the latest initializeAPI call, or null until it is ready
+ *                          or when it has tenants
+ */
+const getDatabase = deprecated(() => defaultDatabase, 'getDatabase');
+
+/**
+ * @deprecated Use `api.createApiKey(options)`
+ */
+const createApiKey = deprecated((options) => requireDefaultAPI().createApiKey(options), 'createApiKey');
+
+/**
+ * @deprecated Use `api.listApiKeys()`
+ */
+const listApiKeys = deprecated(() => requireDefaultAPI().listApiKeys(), 'listApiKeys');
+
+/**
+ * @deprecated Use `api.rotateApiKey(id, options)`
+ */
+const rotateApiKey = deprecated((id, options) => requireDefaultAPI().rotateApiKey(id, options), 'rotateApiKey');
+
+/**
+ * @deprecated Use `api.revokeApiKey(id)`
+ */
+const revokeApiKey = deprecated((id) => requireDefaultAPI().revokeApiKey(id), 'revokeApiKey');
+
+/**
+ * @deprecated Use `api.getApiKeyUsage(id)`
+ */
+const getApiKeyUsage = deprecated((id) => requireDefaultAPI().getApiKeyUsage(id), 'getApiKeyUsage');
+
+/**
+ * Express handler that creates an API key with the `scope` and `name` of the request body.
+ * @deprecated Use the `POST /api/{version}/_keys` route
+ */
+const generateAPIKey = deprecated(async (req, res) => {
+    try {
+        const { scope = 'read', name } = req.body || {};
+        const { key } = await requireDefaultAPI().createApiKey({ name, scopes: scope });
+        return res.status(201).json({ message: 'API key generated successfully', apiKey: key, scope });
+    } catch (err) {
+        return sendProblem(res, err, 'Error generating API key');
+    }
+}, 'generateAPIKey', 'the POST /_keys route');
+
+module.exports = {
+    initializeAPI,
+    createAPI,
+    getDatabase,
+    generateAPIKey,
+    createApiKey,
+    listApiKeys,
+    rotateApiKey,
+    revokeApiKey,
+    getApiKeyUsage,
+    ApiError,
+    HttpError,
+};
@@ -0,0 +1,164 @@
+/**
+ * Metrics of an API instance, reported to hooks and, optionally, collected for Prometheus:
+ *
+ *   metrics: {
+ *       request: ({ method, route, table, status, duration, requestId }) => {},   every response
+ *       query: ({ sql, operation, duration, error }) => {},                      every database query
+ *       authFailure: ({ status, code, method, route, requestId }) => {},         every 401 and 403
+ *       prometheus: true,                                                        or { path: '/metrics', scope: 'admin' }
+ *   }
+ *
+ * Durations are in milliseconds. Hooks run after the fact and cannot fail a request: what they throw
+ * is logged.
+ */
+
+const HOOKS = ['request', 'query', 'authFailure'];
+
+// Upper bounds of the duration histograms, in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Statements reported by their own operation label; others count as `other`, which keeps the labels few
+const OPERATIONS = ['select', 'insert', 'update', 'delete'];
+
+/**
+ * Reads the `metrics` option of the configuration.
+ * @param {Object} [metrics] - `config.metrics`
+ * @returns {Object} - `{ request, query, authFailure, prometheus }`, where `prometheus` is `{ path, scope }` or null
+ */
+function metricsOptions(metrics = {}) {
+    for (const hook of HOOKS) {
+        if (metrics[hook] !== undefined && typeof metrics[hook] !== 'function') throw new Error(`metrics.${hook} must be a function`);
+    }
+    let prometheus = null;
+    if (metrics.prometheus) {
+        const { path = '/metrics', scope = null } = metrics.prometheus === true ? {} : metrics.prometheus;
+        if (typeof path !== 'string' || !path.startsWith('/')) throw new Error('metrics.prometheus.path must start with /');
+        prometheus = { path, scope };
+    }
+    return { request: metrics.request, query: metrics.query, authFailure: metrics.authFailure, prometheus };
+}
+
+/**
+ * The statement a query runs, as an `operation` label.
+ * @param {string} sql
+ * @returns {string}
+ */
+const operationOf = (sql) => {
+    const match = /^\s*(\w+)/.exec(sql);
+    const word = match ? match[1].toLowerCase() : '';
+    return OPERATIONS.includes(word) ? word : 'other';
+};
+
+/**
+ * Writes a label value in the Prometheus text format.
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelText = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * A metric with one series per combination of label values.
+ * @param {string} name - Metric name
+ * @param {string} help - Its description
+ * @param {string} type - 'counter' or 'histogram'
+ * @returns {Object} - `{ add(labels, value), render() }`
+ */
+function metric(name, help, type) {
+    const series = new Map();
+    const seriesOf = (labels) => {
+        const key = JSON.stringify(labels);
+        if (!series.has(key)) series.set(key, { labels, count: 0, sum: 0, buckets: BUCKETS.map(() => 0) });
+        return series.get(key);
+    };
+
+    return {
+        add(labels, value = 1) {
+            const entry = seriesOf(labels);
+            entry.count += 1;
+            entry.sum += value;
+            if (type === 'histogram') BUCKETS.forEach((bound, i) => { if (value <= bound) entry.buckets[i] += 1; });
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+            for (const { labels, count, sum, buckets } of series.values()) {
+                if (type === 'counter') {
+                    lines.push(`${name}${labelText(labels)} ${count}`);
+                    continue;
+                }
+                BUCKETS.forEach((bound, i) => lines.push(`${name}_bucket${labelText({ ...labels, le: bound })} ${buckets[i]}`));
+                lines.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${labelText(labels)} ${sum}`);
+                lines.push(`${name}_count${labelText(labels)} ${count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+/**
+ * Collects the metrics of an instance for Prometheus.
+ * @returns {Object} - Registry with `request`, `query` and `authFailure`, which take the events of the hooks,
+ *                     and `render`, which returns the metrics in the Prometheus text format
+ */
+function createRegistry() {
+    const requests = metric('api_request_duration_seconds', 'Time taken to answer requests, by route', 'histogram');
+    const queries = metric('api_db_query_duration_seconds', 'Time taken by database queries', 'histogram');
+    const queryErrors = metric('api_db_query_errors_total', 'Database queries that failed', 'counter');
+    const authFailures = metric('api_auth_failures_total', 'Requests refused for their API key or scopes', 'counter');
+
+    return {
+        request: ({ method, route, table, status, duration }) => requests.add({
+            method, route: route || 'none', table: table || '', status,
+        }, duration / 1e3),
+        query: ({ operation, duration, error }) => {
+            queries.add({ operation }, duration / 1e3);
+            if (error) queryErrors.add({ operation });
+        },
+        authFailure: ({ code }) => authFailures.add({ code: code || 'unknown' }),
+        render: () => `${[requests, queries, queryErrors, authFailures].map(item => item.render()).join('\n')}\n`,
+    };
+}
+
+/**
+ * Combines the hooks of `config.metrics` with the Prometheus registry, if there is one.
+ * @param {Object} options - Options returned by metricsOptions
+ * @param {Object} [logger] - Where errors of the hooks go (default: console)
+ * @returns {Object} - Observer with `request`, which also reports auth failures, `query`, and the `registry` or null
+ */
+function createObserver(options, logger = console) {
+    const registry = options.prometheus ? createRegistry() : null;
+
+    const report = (name, event) => {
+        if (registry) registry[name](event);
+        const hook = options[name];
+        if (!hook) return;
+        try {
+            Promise.resolve(hook(event)).catch(error => logger.error(`metrics.${name} failed`, { error }));
+        } catch (error) {
+            logger.error(`metrics.${name} failed`, { error });
+        }
+    };
+
+    return {
+        registry,
+
+        request(event) {
+            report('request', event);
+            if (event.status === 401 || event.status === 403) {
+                const { status, code, method, route, requestId } = event;
+                report('authFailure', { status, code, method, route, requestId });
+            }
+        },
+
+        /**
+         * @param {Object} event - `{ sql, duration, error }`, with `error` null for queries that succeeded
+         */
+        query: (event) => report('query', { ...event, operation: operationOf(event.sql) }),
+    };
+}
+
+module.exports = { metricsOptions, createObserver };
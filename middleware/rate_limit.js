@@ -0,0 +1,204 @@
+const { parseScopes } = require('../scopes');
+const { ApiError, sendProblem } = require('../errors');
+const { contextOf } = require('./request_context');
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Default in-process store. Other stores (e.g. Redis, to share limits between processes)
+ * implement the same three async methods.
+ */
+class MemoryStore {
+    constructor() {
+        this.buckets = new Map();
+        this.counters = new Map();
+    }
+
+    /**
+     * Takes one token from a key's bucket, refilling it for the time passed since the last request.
+     * @param {*} id - Key id
+     * @param {Object} bucket - `{ capacity, window }`: `capacity` tokens, refilled evenly over `window` seconds
+     * @returns {Promise<Object>} - `{ allowed, remaining, reset, retryAfter }`, times in seconds
+     */
+    async takeToken(id, { capacity, window }) {
+        const rate = capacity / window;
+        const now = Date.now();
+        const bucket = this.buckets.get(id) || { tokens: capacity, updated: now };
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) / 1000) * rate);
+        bucket.updated = now;
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+        this.buckets.set(id, bucket);
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            reset: Math.ceil((capacity - bucket.tokens) / rate),
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate),
+        };
+    }
+
+    /**
+     * Counts a request in a period, such as `day:2024-05-01`.
+     * @returns {Promise<number>} - The count including this request
+     */
+    async increment(id, period) {
+        const counters = this.counters.get(id) || {};
+        const [kind] = period.split(':');
+
+        // Only the current day and month are kept
+        for (const name of Object.keys(counters)) {
+            if (name.startsWith(`${kind}:`) && name !== period) delete counters[name];
+        }
+        counters[period] = (counters[period] || 0) + 1;
+        this.counters.set(id, counters);
+        return counters[period];
+    }
+
+    /**
+     * @returns {Promise<number>} - Requests counted in a period
+     */
+    async get(id, period) {
+        return (this.counters.get(id) || {})[period] || 0;
+    }
+}
+
+/**
+ * The quota periods a moment falls in, in UTC.
+ * @param {Date} now
+ * @returns {Object} - `{ day, month }`, each `{ period, window, reset }` with times in seconds
+ */
+const periodsAt = (now) => {
+    const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    const until = (time) => Math.ceil((time - now.getTime()) / 1000);
+
+    return {
+        day: { period: `day:${now.toISOString().slice(0, 10)}`, window: DAY, reset: until(nextDay) },
+        month: { period: `month:${now.toISOString().slice(0, 7)}`, window: (nextMonth - monthStart) / 1000, reset: until(nextMonth) },
+    };
+};
+
+/**
+ * Sets the `RateLimit-*` headers from the policy closest to its limit.
+ * @param {Object} res - Express response
+ * @param {Array<Object>} policies - `{ limit, window, remaining, reset }` for each limit that applies
+ * @param {Object} [current] - The policy to report, instead of the one with the fewest requests left
+ */
+const setHeaders = (res, policies, current) => {
+    if (!policies.length) return;
+    const shown = current || policies.reduce((lowest, policy) => (policy.remaining < lowest.remaining ? policy : lowest));
+    res.set({
+        'RateLimit-Policy': policies.map(policy => `${policy.limit};w=${policy.window}`).join(', '),
+        'RateLimit-Limit': String(shown.limit),
+        'RateLimit-Remaining': String(Math.max(0, shown.remaining)),
+        'RateLimit-Reset': String(shown.reset),
+    });
+};
+
+/**
+ * Middleware limiting how often each API key can call the routes after it. It has to come after
+ * validateApiKey, whose `req.apiKeyData` identifies the key. Requests are counted per day and per month
+ * even when no limit is configured, so usage can always be queried.
+ *
+ * Limits come from `options`, then the first entry of `options.scopes` for a scope the key holds,
+ * then the key's own `rateLimit` metadata. A limit left out or set to null does not apply.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Requests allowed in a burst; the bucket refills over `window`
+ * @param {number} [options.window] - Seconds to refill the whole bucket (default: 60)
+ * @param {number} [options.daily] - Requests allowed per UTC day
+ * @param {number} [options.monthly] - Requests allowed per UTC month
+ * @param {Object} [options.scopes] - Limits per scope, e.g. `{ 'read:reports': { limit: 10 } }`
+ * @param {Object} [options.store] - Store to keep buckets and counters in (default: in-process)
+ * @returns {Function} - Middleware, with `usage(key)` to read a key's counters
+ */
+function rateLimit(options = {}) {
+    const store = options.store || new MemoryStore();
+
+    const limitsFor = (key) => {
+        const scopes = parseScopes(key.scopes);
+        const scoped = Object.entries(options.scopes || {}).find(([scope]) => scopes.includes(scope));
+        const { limit, window = 60, daily, monthly } = {
+            ...options,
+            ...(scoped ? scoped[1] : {}),
+            ...(key.rateLimit || {}),
+        };
+        return { limit, window, daily, monthly };
+    };
+
+    const middleware = async (req, res, next) => {
+        const key = req.apiKeyData;
+        if (!key) return next();
+
+        const policies = [];
+        try {
+            const limits = limitsFor(key);
+            const periods = periodsAt(new Date());
+            const quotas = [['day', limits.daily], ['month', limits.monthly]].map(([name, limit]) => ({ name, ...periods[name], limit }));
+
+            for (const quota of quotas.filter(item => item.limit !== undefined && item.limit !== null)) {
+                const used = await store.get(key.id, quota.period);
+                const policy = { limit: quota.limit, window: quota.window, reset: quota.reset, remaining: quota.limit - used };
+                policies.push(policy);
+                quota.policy = policy;
+                if (policy.remaining <= 0) {
+                    setHeaders(res, policies, policy);
+                    res.set('Retry-After', String(policy.reset));
+                    return sendProblem(res, new ApiError(429, `${quota.name === 'day' ? 'Daily' : 'Monthly'} quota exceeded`, 'quota_exceeded'));
+                }
+            }
+
+            if (limits.limit !== undefined && limits.limit !== null) {
+                const bucket = await store.takeToken(key.id, { capacity: limits.limit, window: limits.window });
+                const policy = { limit: limits.limit, window: limits.window, reset: bucket.reset, remaining: bucket.remaining };
+                policies.push(policy);
+                if (!bucket.allowed) {
+                    setHeaders(res, policies, policy);
+                    res.set('Retry-After', String(bucket.retryAfter));
+                    return sendProblem(res, new ApiError(429, 'Rate limit exceeded', 'rate_limited'));
+                }
+            }
+
+            for (const quota of quotas) {
+                const used = await store.increment(key.id, quota.period);
+                if (quota.policy) quota.policy.remaining = quota.limit - used;
+            }
+        } catch (error) {
+            // A broken store should not take the API down with it
+            contextOf(req).logger.error('Rate limiting failed', { requestId: req.id, error });
+            return next();
+        }
+
+        setHeaders(res, policies);
+        next();
+    };
+
+    /**
+     * Reads a key's request counts for the current day and month, with the limits that apply to it.
+     * @param {Object} key - Key data, as returned by the key store
+     * @returns {Promise<Object>} - `{ day, month, rateLimit }`
+     */
+    middleware.usage = async (key) => {
+        const limits = limitsFor(key);
+        const periods = periodsAt(new Date());
+        const count = async (name, limit) => ({
+            period: periods[name].period.slice(name.length + 1),
+            count: await store.get(key.id, periods[name].period),
+            limit: limit === undefined ? null : limit,
+        });
+
+        return {
+            day: await count('day', limits.daily),
+            month: await count('month', limits.monthly),
+            rateLimit: limits.limit === undefined || limits.limit === null ? null : { limit: limits.limit, window: limits.window },
+        };
+    };
+
+    return middleware;
+}
+
+rateLimit.MemoryStore = MemoryStore;
+
+module.exports = rateLimit;
@@ -0,0 +1,62 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Request IDs taken from the X-Request-Id header, e.g. a proxy's, must look like one
+const REQUEST_ID = /^[\w.:@-]{1,128}$/;
+
+const CONTEXT = Symbol('request context');
+
+/**
+ * Whether error responses may carry internal messages: everywhere but in production.
+ * @returns {boolean}
+ */
+const debugDefault = () => process.env.NODE_ENV !== 'production';
+
+/**
+ * The context of a request: its ID, and the logger, error detail and metrics of the API that serves it.
+ * Requests that did not pass through requestContext get a context without ID or metrics.
+ * @param {Object} req - Express request
+ * @returns {Object} - `{ id, logger, debug, observer, problem }`
+ */
+const contextOf = (req) => (req && req[CONTEXT])
+    || { id: null, logger: console, debug: debugDefault(), observer: null, problem: null };
+
+/**
+ * Middleware that gives each request an ID, sent back in the X-Request-Id header and in error responses,
+ * and reports each response to the API's observer once it has been sent.
+ * @param {Object} options
+ * @param {Object} [options.logger] - Logger with `info`, `warn` and `error` (default: console)
+ * @param {boolean} [options.debug] - Add the messages of internal errors to responses (default: outside production)
+ * @param {Object} [options.observer] - Observer returned by createObserver
+ * @returns {Function} - Express middleware
+ */
+function requestContext({ logger = console, debug = debugDefault(), observer = null } = {}) {
+    return (req, res, next) => {
+        const given = req.get('x-request-id');
+        const id = given && REQUEST_ID.test(given) ? given : uuidv4();
+        const context = { id, logger, debug, observer, problem: null };
+        req[CONTEXT] = context;
+        req.id = id;
+        res.set('X-Request-Id', id);
+
+        if (observer) {
+            const start = process.hrtime();
+            res.once('finish', () => {
+                const [seconds, nanoseconds] = process.hrtime(start);
+                observer.request({
+                    method: req.method,
+                    // The pattern of the route that answered, e.g. /:table/:ident, or null when none did
+                    route: req.route ? req.route.path : null,
+                    table: req.table ? req.table.name : null,
+                    tenant: req.tenant || null,
+                    status: res.statusCode,
+                    duration: seconds * 1e3 + nanoseconds / 1e6,
+                    requestId: id,
+                    code: context.problem ? context.problem.code : null,
+                });
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { requestContext, contextOf };
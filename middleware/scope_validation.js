@@ -1,4 +1,19 @@
-const { getApiKey } = require('../db'); // Assuming this function exists in the 'database' module
+const { parseScopes, hasScope, scopeColumns } = require('../scopes');
+const { ApiError, sendProblem } = require('../errors');
+
+// Verbs that can be granted on single columns, e.g. write:orders.status
+const columnVerbs = ['read', 'write'];
+
+/**
+ * Whether the scopes grant `requiredScope`. On routes with a `:table` parameter a bare verb is
+ * checked against that table, and a scope for some of its columns is enough; the route checks which.
+ */
+const isGranted = (scopes, requiredScope, table) => {
+  if (requiredScope === 'any') return true
+  if (!table || requiredScope.includes(':')) return hasScope(scopes, requiredScope)
+  if (columnVerbs.includes(requiredScope)) return scopeColumns(scopes, requiredScope, table) !== null
+  return hasScope(scopes, { verb: requiredScope, table })
+}
 
 // Middleware to check if the API key has the required scope
 function checkScope(requiredScope) {
@@ -6,17 +21,20 @@ function checkScope(requiredScope) {
     const apiKey = req.headers['x-api-key'];  // Assumes the API key is sent in the 'x-api-key' header
 
     if (!apiKey) {
-      return res.status(401).json({ message: 'API key is required' });
+      return sendProblem(res, new ApiError(401, 'API key is missing', 'api_key_missing'));
     }
 
     try {
-      // Fetch the API key from the database
-      const keyData = await getApiKey(apiKey)
-      
-      const scopes = String(keyData.scopes).split(/[,; .|]+/)
+      // The key validateApiKey resolved, which runs before this on every route
+      const keyData = req.apiKeyData
+      if (!keyData) {
+        return sendProblem(res, new ApiError(403, 'Invalid or inactive API key', 'api_key_invalid'))
+      }
+
+      const scopes = parseScopes(keyData.scopes)
       // Check if the API key has the required scope
-      if (!scopes.includes(requiredScope) && requiredScope !== 'any') {
-        return res.status(403).json({ message: 'Insufficient scope' });
+      if (!isGranted(scopes, requiredScope, req.params.table)) {
+        return sendProblem(res, new ApiError(403, 'Insufficient scope', 'insufficient_scope'));
       }
 
       // Attach the scope to the request object for access in the route
@@ -25,8 +43,7 @@ function checkScope(requiredScope) {
       // Continue to the next middleware or route handler
       next();
     } catch (err) {
-      console.error('Error validating API key:', err);
-      return res.status(401).json({ message: 'Invalid API key' })
+      return sendProblem(res, err, 'Scope validation failed')
     }
   };
 }
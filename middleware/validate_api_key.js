@@ -1,42 +1,46 @@
-let getApiKey;  // This will be dynamically set
+const { hasScope } = require('../scopes');
+const { ApiError, sendProblem } = require('../errors');
 
 /**
- * Middleware to validate API keys and scopes.
- * @param {Array} requiredScopes - The scopes required for the route.
+ * Creates the middleware that validates API keys against a key store. Each API instance has its own,
+ * so that instances with different key stores can run side by side.
+ * @param {Function} fetchApiKey - Looks up a key, e.g. the `verify` of a key store; resolves to its data or null
+ * @returns {Function} - `validateApiKey(requiredScopes)`, which returns the middleware for a route
  */
-function validateApiKey(requiredScopes = []) {
-    return async (req, res, next) => {
-        const apiKey = req.header('x-api-key');
+function createApiKeyValidator(fetchApiKey) {
+    /**
+     * Middleware to validate API keys and scopes.
+     * @param {Array} requiredScopes - The scopes required for the route, e.g. `admin` or `read:orders`.
+     */
+    return function validateApiKey(requiredScopes = []) {
+        return async (req, res, next) => {
+            const apiKey = req.header('x-api-key');
+
+            if (!apiKey) {
+                return sendProblem(res, new ApiError(401, 'API key is missing', 'api_key_missing'));
+            }
 
-        if (!apiKey) {
-            return res.status(401).json({ error: 'API key is missing' });
-        }
+            try {
+                // The key may already have been looked up for this request, to find its tenant
+                const apiKeyData = req.apiKeyData || await fetchApiKey(apiKey);
 
-        try {
-            const apiKeyData = await getApiKey(apiKey);
+                if (!apiKeyData) {
+                    return sendProblem(res, new ApiError(403, 'Invalid or inactive API key', 'api_key_invalid'));
+                }
 
-            if (!apiKeyData) {
-                return res.status(403).json({ error: 'Invalid or inactive API key' });
-            }
+                const hasRequiredScopes = requiredScopes.every(scope => hasScope(apiKeyData.scopes, scope));
 
-            const userScopes = apiKeyData.scopes.split(',');
-            const hasRequiredScopes = requiredScopes.every(scope => userScopes.includes(scope));
+                if (!hasRequiredScopes) {
+                    return sendProblem(res, new ApiError(403, 'Insufficient permissions', 'insufficient_scope'));
+                }
 
-            if (!hasRequiredScopes) {
-                return res.status(403).json({ error: 'Insufficient permissions' });
+                req.apiKeyData = apiKeyData;
+                next();
+            } catch (error) {
+                sendProblem(res, error, 'API key validation failed');
             }
-
-            req.apiKeyData = apiKeyData;
-            next();
-        } catch (error) {
-            res.status(500).json({ error: 'API key validation failed', details: error.message });
-        }
+        };
     };
 }
 
-// Set the function to fetch the API key (this will be dynamically set in the main app)
-validateApiKey.setApiKeyFetcher = (fetcherFunc) => {
-    getApiKey = fetcherFunc;
-};
-
-module.exports = validateApiKey;
+module.exports = createApiKeyValidator;
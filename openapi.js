@@ -0,0 +1,789 @@
+const express = require('express');
+const { columnKind } = require('./schema');
+const { pageSizes } = require('./pagination');
+const { auditOptions } = require('./audit');
+const { changeOptions } = require('./changes');
+
+// JSON Schema for each column kind
+const kindSchemas = {
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' },
+    datetime: { type: 'string', format: 'date-time' },
+    time: { type: 'string', format: 'time' },
+    json: {},
+    binary: { type: 'string', contentEncoding: 'base64' },
+    string: { type: 'string' },
+};
+
+// Errors are RFC 7807 problem documents
+const errorResponse = (description, schemaName = 'Problem') => ({
+    description,
+    content: { 'application/problem+json': { schema: { $ref: `#/components/schemas/${schemaName}` } } },
+});
+
+/**
+ * Component names may only contain letters, digits, `.`, `-` and `_`.
+ * @param {string} name - Table name
+ * @returns {string}
+ */
+const componentName = (name) => String(name).replace(/[^A-Za-z0-9._-]/g, '_');
+
+/**
+ * Builds the JSON Schema of one table's rows.
+ * @param {Object} table - Table metadata from the schema
+ * @param {boolean} input - Describe a request body (required columns only) rather than a stored row
+ * @returns {Object}
+ */
+const tableSchema = (table, input) => {
+    const properties = {};
+    const required = [];
+    for (const column of Object.values(table.columns)) {
+        const property = { ...kindSchemas[columnKind(column)] };
+        if (column.maxLength && property.type === 'string') property.maxLength = column.maxLength;
+        if (column.nullable) property.type = property.type ? [property.type, 'null'] : undefined;
+        if (column.autoIncrement) property.readOnly = true;
+        if (property.type === undefined) delete property.type;
+        properties[column.name] = property;
+
+        const hasDefault = column.default !== null && column.default !== undefined;
+        if (input ? !column.nullable && !hasDefault && !column.autoIncrement : !column.nullable) {
+            required.push(column.name);
+        }
+    }
+    return { type: 'object', properties, ...(required.length ? { required } : {}) };
+};
+
+/**
+ * Builds an OpenAPI 3.1 document describing the generated routes.
+ * @param {Object} schema - Introspected schema returned by createSchema
+ * @param {Object} config - initializeAPI configuration object
+ * @returns {Object} - OpenAPI document
+ */
+function buildOpenAPI(schema, config) {
+    const options = config.openapi || {};
+    const security = (verb, table) => [{ ApiKeyAuth: [`${verb}:${table}`] }];
+    const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+    const json = (schemaObject) => ({ 'application/json': { schema: schemaObject } });
+    const rateLimited = errorResponse('Rate limit or quota exceeded; see the Retry-After header');
+    const { defaultLimit, maxLimit } = pageSizes(config.pagination);
+
+    const spec = {
+        openapi: '3.1.0',
+        info: {
+            title: options.title || 'Generated API',
+            version: config.version,
+            ...(options.description ? { description: options.description } : {}),
+        },
+        servers: [{ url: `/api/${config.version}` }],
+        paths: {},
+        components: {
+            securitySchemes: {
+                ApiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'x-api-key',
+                    description: 'API key. Each operation lists the scope the key needs; wider scopes such as `read` or `*:orders` also grant it.',
+                },
+                ...(changeOptions(config.changes) ? {
+                    StreamToken: {
+                        type: 'apiKey',
+                        in: 'query',
+                        name: 'access_token',
+                        description: 'Token from `POST /_changes/token`, for change feeds only. It stands in for the API key it was issued to.',
+                    },
+                } : {}),
+            },
+            parameters: {
+                filter: {
+                    name: 'filter',
+                    in: 'query',
+                    style: 'deepObject',
+                    explode: true,
+                    description: 'filter[column]=value or filter[column][operator]=value. Operators: eq, ne, lt, lte, gt, gte, like, nlike, in, nin, null, between. Group with filter[or][n] and filter[and][n].',
+                    schema: { type: 'object' },
+                },
+                sort: {
+                    name: 'sort',
+                    in: 'query',
+                    description: 'Comma-separated columns, prefixed with `-` for descending order.',
+                    schema: { type: 'string' },
+                },
+                fields: {
+                    name: 'fields',
+                    in: 'query',
+                    description: 'Comma-separated columns to return.',
+                    schema: { type: 'string' },
+                },
+                limit: {
+                    name: 'limit',
+                    in: 'query',
+                    description: `Rows per page. Larger values are lowered to ${maxLimit}.`,
+                    schema: { type: 'integer', minimum: 1, default: defaultLimit },
+                },
+                cursor: {
+                    name: 'cursor',
+                    in: 'query',
+                    description: 'Continue after the page this cursor was returned with (`meta.nextCursor`). Keep the same sort.',
+                    schema: { type: 'string' },
+                },
+                offset: {
+                    name: 'offset',
+                    in: 'query',
+                    description: 'Rows to skip, instead of a cursor.',
+                    schema: { type: 'integer', minimum: 0 },
+                },
+                count: {
+                    name: 'count',
+                    in: 'query',
+                    description: 'Include the number of matching rows as `meta.total`.',
+                    schema: { type: 'boolean' },
+                },
+                mode: {
+                    name: 'mode',
+                    in: 'query',
+                    description: '`atomic` (default) inserts all items or none; `partial` inserts the valid items and reports the others.',
+                    schema: { type: 'string', enum: ['atomic', 'partial'] },
+                },
+                format: {
+                    name: 'format',
+                    in: 'query',
+                    description: 'Answer with every matching row as CSV or NDJSON instead of a JSON page, as `Accept: text/csv` or `Accept: application/x-ndjson` also ask. `limit` is then the most rows to send, and `cursor`, `offset` and `count` cannot be used.',
+                    schema: { type: 'string', enum: ['json', 'csv', 'ndjson'] },
+                },
+                withDeleted: {
+                    name: 'withDeleted',
+                    in: 'query',
+                    description: 'Include soft-deleted records. Needs the `restore` scope for the table.',
+                    schema: { type: 'boolean' },
+                },
+                ifMatch: {
+                    name: 'If-Match',
+                    in: 'header',
+                    description: 'ETag of the record as last read; the write fails with 412 if the record has changed since. `*` matches any existing record.',
+                    schema: { type: 'string' },
+                },
+                ident: {
+                    name: 'ident',
+                    in: 'path',
+                    required: true,
+                    description: 'The `guid` of the record when it is a UUID, otherwise its `id`.',
+                    schema: { type: 'string' },
+                },
+            },
+            schemas: {
+                Problem: {
+                    type: 'object',
+                    description: 'An RFC 7807 problem document. `code` names the problem and does not change between releases.',
+                    properties: {
+                        type: { type: 'string' },
+                        title: { type: 'string' },
+                        status: { type: 'integer' },
+                        code: { type: 'string', examples: ['table_not_found', 'insufficient_scope', 'validation_failed'] },
+                        detail: { type: 'string' },
+                        instance: { type: 'string' },
+                        requestId: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+                        debug: { type: 'string', description: 'Message of an internal error, outside production only' },
+                    },
+                    required: ['type', 'title', 'status', 'code', 'detail'],
+                },
+                ValidationError: {
+                    allOf: [ref('Problem'), {
+                        type: 'object',
+                        properties: {
+                            errors: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: { field: { type: ['string', 'null'] }, message: { type: 'string' } },
+                                },
+                            },
+                        },
+                    }],
+                },
+                PageMeta: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'integer' },
+                        hasMore: { type: 'boolean' },
+                        nextCursor: { type: ['string', 'null'] },
+                        offset: { type: 'integer' },
+                        total: { type: 'integer', description: 'Only with count=true' },
+                    },
+                    required: ['limit', 'hasMore'],
+                },
+                PageLinks: {
+                    type: 'object',
+                    description: 'Also sent as a Link header, without `self`.',
+                    properties: {
+                        self: { type: 'string' },
+                        first: { type: 'string' },
+                        prev: { type: ['string', 'null'] },
+                        next: { type: ['string', 'null'] },
+                    },
+                },
+                Changes: {
+                    type: 'object',
+                    properties: { message: { type: 'string' }, changes: { type: 'integer' } },
+                },
+                BulkResults: {
+                    type: 'object',
+                    description: 'Per-item results. Items that succeeded have `id` or `changes`; items that failed have the problem document of their own request, or status 424 when another item made an atomic request fail. When an atomic request fails, the response is itself a problem document with these results.',
+                    properties: {
+                        message: { type: 'string' },
+                        code: { type: 'string' },
+                        detail: { type: 'string' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    status: { type: 'integer' },
+                                    id: {},
+                                    changes: { type: 'integer' },
+                                    code: { type: 'string' },
+                                    detail: { type: 'string' },
+                                    errors: { type: 'array', items: { type: 'object' } },
+                                },
+                                required: ['index', 'status'],
+                            },
+                        },
+                    },
+                    required: ['results'],
+                },
+                ImportResults: {
+                    type: 'object',
+                    description: 'Outcome of a CSV or NDJSON import. `errors` lists the first 1000 rows that failed, by the line they start on.',
+                    properties: {
+                        message: { type: 'string' },
+                        inserted: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    line: { type: 'integer' },
+                                    status: { type: 'integer' },
+                                    code: { type: 'string' },
+                                    detail: { type: 'string' },
+                                    errors: { type: 'array', items: { type: 'object' } },
+                                },
+                                required: ['line', 'status', 'code', 'detail'],
+                            },
+                        },
+                    },
+                    required: ['inserted', 'failed', 'errors'],
+                },
+            },
+        },
+    };
+
+    const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+    const listParameters = ['filter', 'sort', 'fields', 'limit', 'cursor', 'offset', 'count'].map(param);
+    const page = (items) => json({
+        type: 'object',
+        properties: { data: { type: 'array', items }, meta: ref('PageMeta'), links: ref('PageLinks') },
+        required: ['data', 'meta', 'links'],
+    });
+    // Lists can also be exported, a row per line
+    const exported = {
+        'text/csv': { schema: { type: 'string', description: 'A header row of column names, then a row per record' } },
+        'application/x-ndjson': { schema: { type: 'string', description: 'A record per line, as JSON' } },
+    };
+    const imported = {
+        'text/csv': { schema: { type: 'string', description: 'A header row of column names, then a row per record. Empty fields are null, quoted empty fields empty strings.' } },
+        'application/x-ndjson': { schema: { type: 'string', description: 'A JSON object per line' } },
+    };
+    const linkHeader = { Link: { description: 'RFC 8288 links to the first, previous and next pages', schema: { type: 'string' } } };
+    const etagHeader = { ETag: { description: 'Version of the record, for If-Match and If-None-Match', schema: { type: 'string' } } };
+    const preconditionFailed = errorResponse('If-Match does not match the current version of the record');
+
+    // `include` lists the table's relations, so it differs per table
+    const includeParameter = (tableName) => {
+        const names = schema.listRelations(tableName).map(relation => relation.name);
+        return names.length
+            ? [{ name: 'include', in: 'query', description: `Comma-separated relations to embed: ${names.join(', ')}.`, schema: { type: 'string' } }]
+            : [];
+    };
+    const searchParameter = (tableName) => {
+        const columns = (config.search || {})[tableName];
+        return columns
+            ? [{ name: 'q', in: 'query', description: `Only rows with every word in the searched columns: ${columns.join(', ')}. Without \`sort\`, the best matches come first where the database can rank them; page those with \`offset\`.`, schema: { type: 'string' } }]
+            : [];
+    };
+
+    if (changeOptions(config.changes)) {
+        spec.paths['/_changes/token'] = {
+            post: {
+                tags: ['changes'],
+                summary: 'Issue a token to subscribe to change feeds with',
+                description: 'For browsers, whose `EventSource` and `WebSocket` cannot send the `x-api-key` header. Pass the token as '
+                    + '`?access_token=` to `/{table}/_changes` until it expires; the scopes of the key are checked there.',
+                operationId: 'changes_token',
+                security: [{ ApiKeyAuth: [] }],
+                responses: {
+                    201: {
+                        description: 'The token',
+                        content: json({
+                            type: 'object',
+                            properties: { token: { type: 'string' }, expiresAt: { type: 'string', format: 'date-time' } },
+                            required: ['token', 'expiresAt'],
+                        }),
+                    },
+                    401: errorResponse('Missing API key'),
+                    403: errorResponse('Invalid API key'),
+                    429: rateLimited,
+                },
+            },
+        };
+    }
+
+    spec.paths['/_batch'] = {
+        post: {
+            tags: ['batch'],
+            summary: 'Run inserts, updates and deletes across tables',
+            description: 'Operations need the scopes of the routes they stand for. In `atomic` mode (default) they run in one transaction that the first failure rolls back; in `partial` mode each runs in its own.',
+            operationId: 'batch',
+            security: [{ ApiKeyAuth: [] }],
+            requestBody: {
+                required: true,
+                content: json({
+                    type: 'object',
+                    properties: {
+                        mode: { type: 'string', enum: ['atomic', 'partial'] },
+                        operations: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    method: { type: 'string', enum: ['POST', 'PUT', 'PATCH', 'DELETE'] },
+                                    table: { type: 'string' },
+                                    ident: { type: ['string', 'integer'], description: 'Record to update or delete' },
+                                    filter: { type: 'object', description: 'Rows to update or delete with PATCH or DELETE, instead of an ident' },
+                                    body: { type: 'object' },
+                                    ifMatch: { type: 'string', description: 'ETag the record must still have, as the If-Match header' },
+                                },
+                                required: ['method', 'table'],
+                            },
+                        },
+                    },
+                    required: ['operations'],
+                }),
+            },
+            responses: {
+                200: { description: 'Every operation succeeded', content: json(ref('BulkResults')) },
+                207: { description: 'Some operations failed in partial mode', content: json(ref('BulkResults')) },
+                400: errorResponse('Malformed batch'),
+                '4XX': { description: 'An operation failed and rolled back the atomic batch, with the status of that operation', content: { 'application/problem+json': { schema: ref('BulkResults') } } },
+                429: rateLimited,
+            },
+        },
+    };
+
+    if (auditOptions(config.audit)) {
+        const query = (name, description, schemaObject) => ({ name, in: 'query', description, schema: schemaObject });
+        spec.components.schemas.AuditEntry = {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                created_at: { type: 'string', format: 'date-time' },
+                key_id: { type: ['integer', 'null'] },
+                table: { type: 'string' },
+                ident: { type: ['string', 'null'] },
+                operation: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+                before: { type: ['object', 'null'], description: 'Old values of the changed columns; the whole row for a delete or purge' },
+                after: { type: ['object', 'null'], description: 'New values of the changed columns; the whole row for a create' },
+            },
+        };
+        spec.paths['/_audit'] = {
+            get: {
+                tags: ['audit'],
+                summary: 'List audit log entries, newest first',
+                operationId: 'list_audit',
+                security: [{ ApiKeyAuth: ['admin'] }],
+                parameters: [
+                    query('table', 'Only changes to this table.', { type: 'string' }),
+                    query('key', 'Only changes made with this API key id.', { type: 'integer' }),
+                    query('ident', 'Only changes to this row.', { type: 'string' }),
+                    query('operation', 'Only this kind of change.', { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] }),
+                    query('from', 'Only changes made at or after this time.', { type: 'string', format: 'date-time' }),
+                    query('to', 'Only changes made at or before this time.', { type: 'string', format: 'date-time' }),
+                    param('limit'),
+                    param('cursor'),
+                ],
+                responses: {
+                    200: { description: 'A page of entries', headers: linkHeader, content: page(ref('AuditEntry')) },
+                    400: errorResponse('Malformed query'),
+                    401: errorResponse('Missing API key'),
+                    403: errorResponse('Invalid API key or insufficient scope'),
+                },
+            },
+        };
+    }
+
+    for (const table of schema.listTables()) {
+        const name = componentName(table.name);
+        const readOnly = schema.isReadOnly(table.name);
+        const relations = schema.listRelations(table.name);
+        spec.components.schemas[name] = tableSchema(table, false);
+
+        // Related rows are only in the response when asked for with `include`
+        for (const relation of relations) {
+            const related = ref(componentName(relation.table));
+            spec.components.schemas[name].properties[relation.name] = {
+                description: `Included with include=${relation.name}`,
+                ...(relation.kind === 'many' ? { type: 'array', items: related } : { oneOf: [related, { type: 'null' }] }),
+            };
+        }
+        const include = includeParameter(table.name);
+        const search = searchParameter(table.name);
+        const softDelete = (config.softDelete || {})[table.name] && table.columns[config.softDelete[table.name]];
+        const withDeleted = softDelete ? [param('withDeleted')] : [];
+
+        const collection = {
+            get: {
+                tags: [table.name],
+                summary: `List ${table.name}`,
+                operationId: `list_${name}`,
+                security: security('read', table.name),
+                parameters: [...listParameters, ...search, param('format'), ...include, ...withDeleted],
+                responses: {
+                    200: { description: 'A page of matching rows, or every matching row as CSV or NDJSON', headers: linkHeader, content: { ...page(ref(name)), ...exported } },
+                    400: errorResponse('Malformed filter, sort, fields or paging parameter, or a cursor for another sort'),
+                    401: errorResponse('Missing API key'),
+                    403: errorResponse('Invalid API key or insufficient scope'),
+                    429: rateLimited,
+                },
+            },
+        };
+        const item = {
+            parameters: [param('ident')],
+            get: {
+                tags: [table.name],
+                summary: `Get one ${table.name} record`,
+                operationId: `get_${name}`,
+                security: security('read', table.name),
+                parameters: [param('fields'), ...include, ...withDeleted],
+                responses: {
+                    200: { description: 'The record', headers: etagHeader, content: json(ref(name)) },
+                    304: { description: 'The record still has the ETag given in If-None-Match' },
+                    400: errorResponse('Malformed fields parameter'),
+                    404: errorResponse('No record matches the identifier'),
+                    429: rateLimited,
+                },
+            },
+        };
+
+        if (!readOnly) {
+            const inputName = `${name}Input`;
+            const { required, ...update } = tableSchema(table, true);
+            spec.components.schemas[inputName] = { ...update, ...(required ? { required } : {}) };
+            spec.components.schemas[`${name}Update`] = update;
+
+            collection.post = {
+                tags: [table.name],
+                summary: `Create one or more ${table.name} records`,
+                operationId: `create_${name}`,
+                security: security('write', table.name),
+                parameters: [param('mode')],
+                requestBody: {
+                    required: true,
+                    description: 'A record, an array of records, or CSV or NDJSON rows to import in batches; imports are always partial',
+                    content: { ...json({ oneOf: [ref(inputName), { type: 'array', items: ref(inputName), minItems: 1 }] }), ...imported },
+                },
+                responses: {
+                    200: {
+                        description: 'The record was created, or every item of an array or import',
+                        content: json({ oneOf: [{ type: 'object', properties: { message: { type: 'string' }, id: {} } }, ref('BulkResults'), ref('ImportResults')] }),
+                    },
+                    207: { description: 'Some items could not be inserted in partial mode or imported', content: json({ oneOf: [ref('BulkResults'), ref('ImportResults')] }) },
+                    400: errorResponse('Empty array, unknown mode, or a CSV header with unknown columns'),
+                    403: errorResponse('Insufficient scope for the table or its columns, or the record is outside the row policy'),
+                    422: errorResponse('The request body does not fit the table', 'ValidationError'),
+                    429: rateLimited,
+                },
+            };
+            collection.patch = {
+                tags: [table.name],
+                summary: `Update every ${table.name} record matching a filter`,
+                operationId: `update_many_${name}`,
+                security: security('write', table.name),
+                parameters: [{ ...spec.components.parameters.filter, required: true }],
+                requestBody: { required: true, content: json(ref(`${name}Update`)) },
+                responses: {
+                    200: { description: 'The records were updated', content: json(ref('Changes')) },
+                    400: errorResponse('Missing or malformed filter'),
+                    403: errorResponse('Insufficient scope for the table or its columns, or a record would leave the row policy'),
+                    422: errorResponse('The request body does not fit the table', 'ValidationError'),
+                    429: rateLimited,
+                },
+            };
+            collection.delete = {
+                tags: [table.name],
+                summary: `Delete every ${table.name} record matching a filter`,
+                ...(softDelete ? { description: 'The records are marked as deleted and can be restored.' } : {}),
+                operationId: `delete_many_${name}`,
+                security: security('delete', table.name),
+                parameters: [{ ...spec.components.parameters.filter, required: true }],
+                responses: {
+                    200: { description: 'The records were deleted', content: json(ref('Changes')) },
+                    400: errorResponse('Missing or malformed filter'),
+                    429: rateLimited,
+                },
+            };
+            const upsert = schema.canUpsert(table.name);
+            item.put = {
+                tags: [table.name],
+                summary: upsert ? `Replace or create a ${table.name} record` : `Replace a ${table.name} record`,
+                description: `Columns the body leaves out are set back to their defaults.${upsert ? ' Creates the record when no record has the identifier.' : ''}`,
+                operationId: `replace_${name}`,
+                security: security('write', table.name),
+                parameters: [param('ifMatch')],
+                requestBody: { required: true, content: json(ref(inputName)) },
+                responses: {
+                    200: { description: 'The record was replaced', content: json(ref('Changes')) },
+                    ...(upsert ? {
+                        201: {
+                            description: 'The record was created',
+                            content: json({ type: 'object', properties: { message: { type: 'string' }, id: {} } }),
+                        },
+                    } : {}),
+                    403: errorResponse('Insufficient scope for the table or its columns, or the record would leave the row policy'),
+                    404: errorResponse('The table has no column for this kind of identifier'),
+                    412: preconditionFailed,
+                    422: errorResponse('The request body does not fit the table', 'ValidationError'),
+                    429: rateLimited,
+                },
+            };
+            item.patch = {
+                tags: [table.name],
+                summary: `Update columns of a ${table.name} record`,
+                operationId: `update_${name}`,
+                security: security('write', table.name),
+                parameters: [param('ifMatch')],
+                requestBody: { required: true, content: json(ref(`${name}Update`)) },
+                responses: {
+                    200: { description: 'The record was updated', content: json(ref('Changes')) },
+                    403: errorResponse('Insufficient scope for the table or its columns, or the record would leave the row policy'),
+                    404: errorResponse('The table has no column for this kind of identifier'),
+                    412: preconditionFailed,
+                    422: errorResponse('The request body does not fit the table', 'ValidationError'),
+                    429: rateLimited,
+                },
+            };
+            item.delete = {
+                tags: [table.name],
+                summary: `Delete a ${table.name} record`,
+                ...(softDelete ? { description: 'The record is marked as deleted and can be restored.' } : {}),
+                operationId: `delete_${name}`,
+                security: security('delete', table.name),
+                parameters: [param('ifMatch')],
+                responses: {
+                    200: { description: 'The record was deleted', content: json(ref('Changes')) },
+                    404: errorResponse('The table has no column for this kind of identifier'),
+                    412: preconditionFailed,
+                    429: rateLimited,
+                },
+            };
+        }
+
+        spec.paths[`/${table.name}`] = collection;
+        spec.paths[`/${table.name}/{ident}`] = item;
+
+        spec.paths[`/${table.name}/_aggregate`] = {
+            get: {
+                tags: [table.name],
+                summary: `Aggregate ${table.name}`,
+                description: 'Groups the rows that `filter` matches by `groupBy` and computes `metrics` for each group, or for all rows when there is no `groupBy`. '
+                    + 'Groups are named after their column, or `column_unit` for a date bucket, and metrics `count` or `function_column`, such as `sum_total`. '
+                    + 'Date buckets are the first day of the day, week (from Monday), month or year, as YYYY-MM-DD.',
+                operationId: `aggregate_${name}`,
+                security: security('read', table.name),
+                parameters: [
+                    { name: 'groupBy', in: 'query', description: 'Columns to group by, with `:day`, `:week`, `:month` or `:year` to bucket a date, e.g. `status,created_at:month`.', schema: { type: 'string' } },
+                    { name: 'metrics', in: 'query', description: 'Comma-separated `count`, `count:column`, `countDistinct:column`, `sum:column`, `avg:column`, `min:column` or `max:column` (default: `count`).', schema: { type: 'string' } },
+                    {
+                        name: 'having',
+                        in: 'query',
+                        style: 'deepObject',
+                        explode: true,
+                        description: 'Filter on the metrics, in the form of `filter`, e.g. having[count][gte]=10.',
+                        schema: { type: 'object' },
+                    },
+                    param('filter'),
+                    { ...spec.components.parameters.sort, description: 'Comma-separated groups and metrics, `-` for descending (default: the groups).' },
+                    param('limit'),
+                    param('offset'),
+                    ...withDeleted,
+                ],
+                responses: {
+                    200: {
+                        description: 'A row per group',
+                        content: json({
+                            type: 'object',
+                            properties: {
+                                data: { type: 'array', items: { type: 'object' } },
+                                meta: ref('PageMeta'),
+                            },
+                            required: ['data', 'meta'],
+                        }),
+                    },
+                    400: errorResponse('Unknown column, metric or date bucket, or a malformed filter, having or sort'),
+                    401: errorResponse('Missing API key'),
+                    403: errorResponse('Invalid API key or insufficient scope'),
+                    429: rateLimited,
+                },
+            },
+        };
+
+        if (changeOptions(config.changes)) {
+            spec.paths[`/${table.name}/_changes`] = {
+                get: {
+                    tags: [table.name],
+                    summary: `Subscribe to changes of ${table.name}`,
+                    description: 'Server-Sent Events named `insert`, `update` and `delete`, each with the row as the key may read it. '
+                        + 'An update is sent when the row matched the filter before or after it. `reset` means that the events since '
+                        + '`Last-Event-ID` are no longer available. WebSocket upgrades of the same URL receive the events as JSON messages.',
+                    operationId: `changes_${name}`,
+                    security: [...security('read', table.name), { StreamToken: [] }],
+                    parameters: [
+                        param('filter'),
+                        { name: 'Last-Event-ID', in: 'header', description: 'Resume after this event.', schema: { type: 'string' } },
+                        { name: 'lastEventId', in: 'query', description: 'Resume after this event, for clients that cannot set headers.', schema: { type: 'string' } },
+                    ],
+                    responses: {
+                        200: { description: 'A stream of events', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                        400: errorResponse('Malformed filter'),
+                        401: errorResponse('Missing API key, or an access token that is invalid or has expired'),
+                        403: errorResponse('Invalid API key or insufficient scope'),
+                        429: rateLimited,
+                    },
+                },
+            };
+        }
+
+        if (softDelete && !readOnly) {
+            spec.paths[`/${table.name}/{ident}/_restore`] = {
+                parameters: [param('ident')],
+                post: {
+                    tags: [table.name],
+                    summary: `Restore a deleted ${table.name} record`,
+                    operationId: `restore_${name}`,
+                    security: security('restore', table.name),
+                    parameters: [param('ifMatch')],
+                    responses: {
+                        200: { description: 'The record was restored, or `changes` is 0 when no deleted record has the identifier', content: json(ref('Changes')) },
+                        404: errorResponse('The table has no column for this kind of identifier'),
+                        412: preconditionFailed,
+                        429: rateLimited,
+                    },
+                },
+            };
+            spec.paths[`/${table.name}/{ident}/_purge`] = {
+                parameters: [param('ident')],
+                delete: {
+                    tags: [table.name],
+                    summary: `Delete a ${table.name} record for good`,
+                    description: 'Removes the record from the table, whether or not it was deleted before.',
+                    operationId: `purge_${name}`,
+                    security: security('purge', table.name),
+                    parameters: [param('ifMatch')],
+                    responses: {
+                        200: { description: 'The record was removed', content: json(ref('Changes')) },
+                        404: errorResponse('The table has no column for this kind of identifier'),
+                        412: preconditionFailed,
+                        429: rateLimited,
+                    },
+                },
+            };
+        }
+
+        for (const relation of relations) {
+            const target = componentName(relation.table);
+            spec.paths[`/${table.name}/{ident}/${relation.name}`] = {
+                parameters: [param('ident')],
+                get: {
+                    tags: [table.name],
+                    summary: relation.kind === 'many'
+                        ? `List the ${relation.table} of a ${table.name} record`
+                        : `Get the ${relation.name} of a ${table.name} record`,
+                    operationId: `get_${name}_${componentName(relation.name)}`,
+                    security: security('read', relation.table),
+                    parameters: [...listParameters, ...(relation.kind === 'many' ? [...searchParameter(relation.table), param('format')] : []), ...includeParameter(relation.table)],
+                    responses: {
+                        200: relation.kind === 'many'
+                            ? { description: 'A page of related rows, or every related row as CSV or NDJSON', headers: linkHeader, content: { ...page(ref(target)), ...exported } }
+                            : { description: 'The related record', content: json(ref(target)) },
+                        400: errorResponse('Malformed filter, sort, fields or paging parameter'),
+                        403: errorResponse(`Insufficient scope for ${relation.table}`),
+                        404: errorResponse('No record matches the identifier'),
+                        429: rateLimited,
+                    },
+                },
+            };
+        }
+    }
+
+    return spec;
+}
+
+/**
+ * Swagger UI page that loads the document from `openapi.json` next to it.
+ * @param {string} title - Page title
+ * @returns {string} - HTML
+ */
+const docsPage = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${title.replace(/[<>&"]/g, c => `&#${c.charCodeAt(0)};`)}</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>`;
+
+/**
+ * Serves the OpenAPI document at `/openapi.json` and, if enabled, Swagger UI at `/docs`.
+ * The document is rebuilt whenever the set of exposed tables or the `openapi` options change.
+ * @param {Object} schema - Introspected schema returned by createSchema
+ * @param {Object} config - initializeAPI configuration object
+ * @returns {Router} Express router instance
+ */
+function openapiRoutes(schema, config) {
+    const router = express.Router();
+    let cached = null;
+    let cachedFor = null;
+
+    const currentSpec = () => {
+        const tableSet = JSON.stringify([
+            schema.listTables().map(table => [table.name, schema.isReadOnly(table.name), schema.canUpsert(table.name)]),
+            config.openapi,
+        ]);
+        if (tableSet !== cachedFor) {
+            cached = buildOpenAPI(schema, config);
+            cachedFor = tableSet;
+        }
+        return cached;
+    };
+
+    // The server is where the API is mounted, which differs from /api/{version} for named databases
+    router.get('/openapi.json', (req, res) => res.json({ ...currentSpec(), servers: [{ url: req.baseUrl }] }));
+
+    router.get('/docs', (req, res, next) => {
+        if (!(config.openapi && config.openapi.docs)) return next();
+        res.type('html').send(docsPage(currentSpec().info.title));
+    });
+
+    return router;
+}
+
+module.exports = { buildOpenAPI, openapiRoutes };
@@ -0,0 +1,1015 @@
+const crypto = require('crypto');
+const { validate: isValidUUID, version: getUUIDVersion } = require('uuid');
+const { compileFilter, matchesFilter, isPlainObject } = require('./filters');
+const { validateRecord } = require('./validation');
+const { columnKind } = require('./schema');
+const { hasScope, scopeColumns } = require('./scopes');
+const { changedValues, snapshot } = require('./audit');
+const { ApiError, describeError } = require('./errors');
+const { contextOf } = require('./middleware/request_context');
+
+/**
+ * Writes shared by the table routes, the bulk routes and `/_batch`. Each operation checks the key's
+ * scopes, runs the table's hooks, validates the body, applies the table's row policy, records the
+ * change in the audit log and publishes it to the change feed, and reports problems by throwing
+ * ApiErrors, which the routes answer with problem documents.
+ */
+
+// Keys per query when rows are addressed by key, well below the parameter limits of every database
+const BATCH_SIZE = 500;
+
+// Operations accepted in one `/_batch` request
+const MAX_BATCH_OPERATIONS = 1000;
+
+// Scope verb needed for each method of a batch operation
+const methodVerbs = { POST: 'write', PUT: 'write', PATCH: 'write', DELETE: 'delete' };
+
+/**
+ * Validates if the provided string is a UUID (v1 or v4).
+ * @param {string} ident - The identifier to validate.
+ * @returns {boolean} - True if it's a valid UUID (v1 or v4), false otherwise.
+ */
+const validateGUID = (ident) => {
+    // Check if the identifier is a valid UUID
+    if (!isValidUUID(ident)) return false;
+
+    // Allow only v1 and v4 UUIDs
+    const uuidVersion = getUUIDVersion(ident);
+    return uuidVersion === 1 || uuidVersion === 4;
+};
+
+/**
+ * The numeric key of a table: its `id` column, or else its primary key.
+ * @param {Object} table - Table metadata from the schema
+ * @returns {string|null} - Column name, or null if the table has neither
+ */
+const keyColumn = (table) => (table.columns.id ? 'id' : table.primaryKey);
+
+/**
+ * Picks the column a route's `:ident` refers to: `guid` for UUIDs, otherwise the numeric key.
+ * @param {Object} table - Table metadata from the schema
+ * @param {string} ident - The identifier from the URL
+ * @returns {string|null} - Column name, or null if the table has no such column
+ */
+const identColumn = (table, ident) => {
+    const column = validateGUID(ident) ? 'guid' : keyColumn(table);
+    return column && table.columns[column] ? column : null;
+};
+
+/**
+ * Joins WHERE conditions with AND, skipping empty ones.
+ * @param {...Object} conditions - `{ sql, params }` objects, or null
+ * @returns {Object} - `{ sql, params }`
+ */
+const allOf = (...conditions) => {
+    const parts = conditions.filter(condition => condition && condition.sql);
+    return {
+        sql: parts.map(condition => `(${condition.sql})`).join(' AND '),
+        params: [].concat(...parts.map(condition => condition.params)),
+    };
+};
+
+/**
+ * Compares an `If-Match` header with an ETag. Weak tags never match, as writes need the strong comparison.
+ * @param {string} header - Header value: `*` or comma-separated ETags
+ * @param {string} tag - ETag of the current record
+ * @returns {boolean}
+ */
+const ifMatches = (header, tag) => String(header).split(',').map(value => value.trim())
+    .some(value => value === '*' || value === tag || `"${value}"` === tag);
+
+/**
+ * The per-item result of a failed item or operation: the problem document of its error.
+ * @param {Object} req - Express request, whose context decides whether internal messages are shown
+ */
+const failure = (req, error, fallback) => describeError(error, fallback, contextOf(req).debug).body;
+
+// The problem of a write that would duplicate a value of a unique column, which the client has to fix
+const uniqueViolation = () => new ApiError(409, 'A record with the same value in a unique column already exists', 'unique_violation');
+
+/**
+ * Whether an error is a unique violation that a write was rethrown as.
+ */
+const isUniqueViolation = (error) => error instanceof ApiError && error.code === 'unique_violation';
+
+/**
+ * The per-item result of an item or operation that did not run, or was rolled back, because another failed.
+ */
+const notRun = (detail) => describeError(new ApiError(424, detail, 'dependency_failed')).body;
+
+/**
+ * Parses the `mode` of a bulk request.
+ * @param {*} mode - 'atomic' (the default) or 'partial'
+ * @returns {boolean} - Whether every item has to succeed for any to be kept
+ */
+function parseMode(mode) {
+    if (mode === undefined || mode === 'atomic') return true;
+    if (mode === 'partial') return false;
+    throw new ApiError(400, "mode must be 'atomic' or 'partial'");
+}
+
+/**
+ * Creates the write operations for a schema.
+ * @param {Object} schema - Introspected schema returned by createSchema
+ * @param {Object} db - Database adapter returned by configureDatabase
+ * @param {Object} [config] - initializeAPI configuration object, for `validators`, `policies`, `hooks`, `versions`, `softDelete` and `logger`
+ * @param {Object} [auditLog] - Audit log returned by createAuditLog, to record every change in
+ * @param {Object} [changeFeed] - Change feed returned by createChangeFeed, to publish every change to
+ * @returns {Object} - Operations; each takes the Express request first and an optional transaction handle last
+ */
+function createOperations(schema, db, config = {}, auditLog = null, changeFeed = null) {
+    const q = db.quote;
+    const logger = config.logger || console;
+
+    // Audit entries and change feed events waiting for their transaction to commit, as `{ entries, events }`
+    const pendingChanges = new WeakMap();
+
+    // Version columns per table, which the API moves on every write and derives ETags from
+    const versions = config.versions || {};
+    for (const [name, column] of Object.entries(versions)) {
+        const table = schema.tables[name];
+        if (!table) throw new Error(`versions: table '${name}' does not exist`);
+        if (!table.columns[column]) throw new Error(`versions: table '${name}' has no column '${column}'`);
+        if (!['integer', 'datetime', 'string'].includes(columnKind(table.columns[column]))) {
+            throw new Error(`versions: '${name}.${column}' must be an integer, datetime or string column`);
+        }
+    }
+    const versionColumn = (table) => (versions[table.name] && table.columns[versions[table.name]] ? versions[table.name] : null);
+
+    // Soft-delete columns per table: deleting a row sets its column instead of removing the row
+    const softDelete = config.softDelete || {};
+    for (const [name, column] of Object.entries(softDelete)) {
+        const table = schema.tables[name];
+        // A misspelt table would otherwise go without its soft deletes, and lose rows to DELETE
+        if (!table) throw new Error(`softDelete: table '${name}' does not exist`);
+        if (!table.columns[column]) throw new Error(`softDelete: table '${name}' has no column '${column}'`);
+        if (!['datetime', 'string', 'boolean', 'integer'].includes(columnKind(table.columns[column]))) {
+            throw new Error(`softDelete: '${name}.${column}' must be a datetime, string, boolean or integer column`);
+        }
+        if (column === versions[name]) throw new Error(`softDelete: '${name}.${column}' is the version column of the table`);
+    }
+    const deletedColumn = (table) => (softDelete[table.name] && table.columns[softDelete[table.name]] ? softDelete[table.name] : null);
+
+    /**
+     * The value of the soft-delete column of a live row: NULL for timestamps, false or 0 for flags.
+     */
+    const liveMark = (table) => {
+        const kind = columnKind(table.columns[deletedColumn(table)]);
+        if (kind === 'boolean') return false;
+        return kind === 'integer' ? 0 : null;
+    };
+
+    /**
+     * The value that marks a row as deleted: the current time for timestamps, true or 1 for flags.
+     */
+    const deletedMark = (table) => {
+        const kind = columnKind(table.columns[deletedColumn(table)]);
+        if (kind === 'datetime') return db.formatDateTime(new Date());
+        if (kind === 'string') return new Date().toISOString();
+        return kind === 'boolean' ? true : 1;
+    };
+
+    /**
+     * The condition for the rows of a table that are not soft-deleted.
+     * @param {Object} table - Table metadata from the schema
+     * @returns {Object|null} - `{ sql, params }`, or null when the table deletes rows for good
+     */
+    const notDeleted = (table) => {
+        const column = deletedColumn(table);
+        if (!column) return null;
+        const live = liveMark(table);
+        return live === null
+            ? { sql: `${q(column)} IS NULL`, params: [] }
+            : { sql: `${q(column)} IS NULL OR ${q(column)} = ?`, params: [live] };
+    };
+
+    /**
+     * The condition for the soft-deleted rows of a table, the opposite of notDeleted.
+     */
+    const onlyDeleted = (table) => {
+        const column = deletedColumn(table);
+        const live = liveMark(table);
+        return live === null
+            ? { sql: `${q(column)} IS NOT NULL`, params: [] }
+            : { sql: `${q(column)} <> ?`, params: [live] };
+    };
+
+    /**
+     * The soft-delete column of a table that restore and purge work on.
+     * @throws {ApiError} - 400 when the table deletes rows for good
+     */
+    const softDeleteColumn = (table) => {
+        const column = deletedColumn(table);
+        if (!column) throw new ApiError(400, `Table '${table.name}' does not use soft deletes`);
+        return column;
+    };
+
+    /**
+     * Computes the ETag of a row: a hash of its version column, or of the whole row when the table has none.
+     * @param {Object} table - Table metadata from the schema
+     * @param {Object} row - The row, with at least the version column or every column
+     * @returns {string} - Quoted strong ETag
+     */
+    const etag = (table, row) => {
+        const column = versionColumn(table);
+        const values = (column ? [column] : Object.keys(table.columns)).map((name) => {
+            const value = row[name];
+            if (value instanceof Date) return db.formatDateTime(value);
+            return Buffer.isBuffer(value) ? value.toString('base64') : value;
+        });
+        return `"${crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex')}"`;
+    };
+
+    /**
+     * The columns a read needs for the ETag of its rows.
+     * @param {Object} table - Table metadata from the schema
+     * @returns {Array<string>}
+     */
+    const etagColumns = (table) => (versionColumn(table) ? [versionColumn(table)] : Object.keys(table.columns));
+
+    /**
+     * Moves the version column of an update: integers count up, timestamps take the current time.
+     * @param {Object} table - Table metadata from the schema
+     * @param {Object} record - Values of the update, which receives a new timestamp
+     * @returns {Object} - SQL expressions for the update
+     */
+    const nextVersion = (table, record) => {
+        const column = versionColumn(table);
+        if (!column) return {};
+        delete record[column];
+        const kind = columnKind(table.columns[column]);
+        if (kind === 'integer') return { [column]: `COALESCE(${q(column)}, 0) + 1` };
+        record[column] = kind === 'datetime' ? db.formatDateTime(new Date()) : new Date().toISOString();
+        return {};
+    };
+
+    /**
+     * Checks an `If-Match` header against the current row, which a conditional write has read and locked.
+     * @param {Object} table - Table metadata from the schema
+     * @param {Object} [row] - The current row, if there is one
+     * @param {string} [ifMatch] - Header value, if the request has one
+     */
+    const checkPrecondition = (table, row, ifMatch) => {
+        if (ifMatch === undefined) return;
+        if (!row) throw new ApiError(412, 'Precondition failed: the record does not exist');
+        if (!ifMatches(ifMatch, etag(table, row))) {
+            throw new ApiError(412, 'Precondition failed: the record has changed since it was read');
+        }
+    };
+
+    /**
+     * Compiles a table's row policy for an API key.
+     * @param {Object} key - API key data
+     * @param {Object} table - Table metadata from the schema
+     * @returns {Object|null} - `{ filter, sql, params }`, or null when the table has none
+     */
+    const rowPolicy = (key, table) => {
+        const policy = (config.policies || {})[table.name];
+        try {
+            const filter = policy && policy.rowFilter ? policy.rowFilter(key) : null;
+            return filter ? { filter, ...compileFilter(filter, table, q) } : null;
+        } catch (error) {
+            throw new Error(`Row policy of '${table.name}' failed: ${error.message}`);
+        }
+    };
+
+    const outsidePolicy = () => new ApiError(403, 'The record is outside the row policy of this API key', 'outside_row_policy');
+
+    /**
+     * The table narrowed to the columns the key's read scopes cover, so that a key with
+     * `read:orders.total` can neither select, filter nor sort on other columns.
+     * @param {Object} key - API key data
+     * @param {Object} table - Table metadata from the schema
+     * @returns {Object|null} - Table metadata, or null if the key may not read any of its columns
+     */
+    const visibleTable = (key, table) => {
+        const columns = scopeColumns(key.scopes, 'read', table.name);
+        if (columns === '*') return table;
+
+        const visible = (columns || []).filter(column => table.columns[column]);
+        if (!visible.length) return null;
+        return { ...table, columns: Object.fromEntries(visible.map(column => [column, table.columns[column]])) };
+    };
+
+    /**
+     * Resolves a table by name for a write, as the table routes do with their middleware.
+     * @param {Object} key - API key data
+     * @param {string} name - Table name
+     * @param {string} verb - 'write' or 'delete'
+     * @returns {Object} - Table metadata
+     */
+    const writableTable = (key, name, verb) => {
+        const table = schema.getTable(String(name));
+        if (!table) throw new ApiError(404, `Table '${name}' does not exist`, 'table_not_found');
+        if (schema.isReadOnly(table.name)) throw new ApiError(405, `Table '${table.name}' is read-only`, 'table_read_only');
+
+        const granted = verb === 'delete' ? hasScope(key.scopes, { verb, table: table.name }) : scopeColumns(key.scopes, verb, table.name) !== null;
+        if (!granted) throw new ApiError(403, 'Insufficient scope', 'insufficient_scope');
+        return table;
+    };
+
+    /**
+     * Runs a table's hook, if it has one. Hooks receive `{ req, key, tx, table, ... }` and may
+     * change `record` or `row` in place or return a new one.
+     * @param {string} name - 'beforeCreate', 'afterCreate', 'beforeUpdate', 'beforeDelete' or 'afterRead'
+     * @param {Object} table - Table metadata from the schema
+     * @param {Object} context - Arguments for the hook
+     * @returns {Promise<*>} - What the hook returned
+     */
+    const runHook = async (name, table, context) => {
+        const hook = ((config.hooks || {})[table.name] || {})[name];
+        return hook ? hook({ ...context, table: table.name }) : undefined;
+    };
+
+    /**
+     * Prepares a body for a write: checks that the key's write scopes cover the columns it sets,
+     * passes it through the table's `before` hook, then validates and coerces the result. Validation
+     * comes after the hook, so hooks can fill in required columns such as `created_by`.
+     * @param {Object} req - Express request, with the key in `req.apiKeyData`
+     * @param {Object} table - Table metadata from the schema
+     * @param {*} body - The body as sent
+     * @param {Object} options - `{ partial, hook, tx, assign }` and the extra arguments of the hook, where
+     *                           `assign` has values set over the body that the key's column scopes do not cover
+     * @returns {Promise<Object>} - The coerced record
+     */
+    const prepare = async (req, table, body, { partial, hook, tx, assign = {}, ...context }) => {
+        const key = req.apiKeyData;
+        let record = body;
+        if (isPlainObject(body)) {
+            const columns = scopeColumns(key.scopes, 'write', table.name) || [];
+            const denied = columns === '*' ? [] : Object.keys(body).filter(column => table.columns[column] && !columns.includes(column));
+            if (denied.length) {
+                throw new ApiError(403, `API key cannot write ${denied.join(', ')} of table '${table.name}'`, 'insufficient_scope');
+            }
+
+            const hookContext = { req, key, tx, record: { ...body, ...assign }, ...context };
+            const result = await runHook(hook, table, hookContext);
+            record = result === undefined ? hookContext.record : result;
+
+            // The version and soft-delete columns belong to the API; whole records start at the first
+            // version and are not deleted
+            const version = versionColumn(table);
+            const marker = deletedColumn(table);
+            if ((version || marker) && isPlainObject(record)) {
+                record = { ...record };
+                if (version) {
+                    delete record[version];
+                    if (!partial) record[version] = columnKind(table.columns[version]) === 'integer' ? 1 : new Date().toISOString();
+                }
+                if (marker) {
+                    delete record[marker];
+                    if (!partial) record[marker] = liveMark(table);
+                }
+            }
+        }
+        return validateRecord(table, record, { db, partial, validators: (config.validators || {})[table.name] });
+    };
+
+    /**
+     * Rethrows an error of a write, with a duplicate value in a unique column as the client's error
+     * rather than the server's.
+     * @throws {ApiError} - 409 `unique_violation` for unique violations, otherwise the error itself
+     */
+    const rethrowWriteError = (error) => {
+        if (db.isUniqueViolation(error)) throw uniqueViolation();
+        throw error;
+    };
+
+    /**
+     * Runs `fn` in a transaction, as `handle.transaction` does. Change feed events, and audit entries
+     * when the audit log is kept in another database, cannot be part of the transaction, so they are
+     * passed on once it commits.
+     */
+    const transaction = async (handle, fn) => {
+        const deferred = changeFeed || (auditLog && !auditLog.shared);
+        if (!deferred || handle !== db) return handle.transaction(fn).catch(rethrowWriteError);
+        const pending = { entries: [], events: [] };
+        const result = await db.transaction((tx) => {
+            pendingChanges.set(tx, pending);
+            return fn(tx);
+        }).catch(rethrowWriteError);
+        // The change is committed by now, so a failed entry must not fail the request
+        if (pending.entries.length) {
+            await auditLog.write(pending.entries).catch(error => logger.error('Error writing the audit log', { error }));
+        }
+        if (changeFeed) changeFeed.publish(pending.events);
+        return result;
+    };
+
+    /**
+     * Records changes in the audit log, if there is one: in the same transaction when the log is in
+     * this database, otherwise once the transaction commits.
+     * @param {Object} tx - Transaction handle of the change
+     * @param {Array<Object>} entries - `{ key, table, ident, operation, before, after }` each
+     */
+    const audit = async (tx, entries) => {
+        if (!auditLog || !entries.length) return;
+        if (auditLog.shared) return auditLog.write(entries, tx);
+        const pending = pendingChanges.get(tx);
+        if (pending) pending.entries.push(...entries);
+        else await auditLog.write(entries);
+    };
+
+    /**
+     * Publishes changes to the change feed, if there is one, once the transaction commits.
+     * @param {Object} tx - Transaction handle of the change
+     * @param {Array<Object>} events - `{ table, operation, ident, row, before }` each
+     */
+    const publish = (tx, events) => {
+        if (!changeFeed || !events.length) return;
+        const pending = pendingChanges.get(tx);
+        if (pending) pending.events.push(...events);
+        else changeFeed.publish(events);
+    };
+
+    /**
+     * Reads the rows a write is about to change, so the audit log and the change feed have their old
+     * values. With `lock`, the rows are read even without either and locked, for checking `If-Match`.
+     * @returns {Promise<Array<Object>>} - The rows, or none when there is no audit log or change feed
+     */
+    const rowsBefore = async (tx, table, condition, lock = false) => {
+        if (!auditLog && !changeFeed && !lock) return [];
+        const sql = `SELECT * FROM ${q(table.name)}${condition.sql ? ` WHERE ${condition.sql}` : ''}${lock ? db.lockRows : ''}`;
+        return tx.select(sql, condition.params);
+    };
+
+    /**
+     * Reads rows again once a write has changed them, for the change feed. The rows are found by their
+     * key, or by the key the record gave them; a table without a key gets the record laid over the old rows.
+     * @param {Array<Object>} rows - The rows as read before the write
+     * @param {Object} record - The values written
+     * @returns {Promise<Array<Object>>} - The rows, or none when there is no change feed
+     */
+    const rowsAfter = async (tx, table, rows, record) => {
+        const column = keyColumn(table);
+        if (!changeFeed || !rows.length) return [];
+        if (!column) return rows.map(row => ({ ...row, ...record }));
+
+        const keys = record[column] !== undefined ? [record[column]] : [...new Set(rows.map(row => row[column]))];
+        const found = [];
+        for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+            const batch = keys.slice(i, i + BATCH_SIZE);
+            found.push(...await tx.select(`SELECT * FROM ${q(table.name)} WHERE ${q(column)} IN (${batch.map(() => '?').join(', ')})`, batch));
+        }
+        return found;
+    };
+
+    /**
+     * The identity of a row in the audit log: its key, or the ident it was addressed by.
+     */
+    const rowIdent = (table, row, fallback = null) => {
+        const column = keyColumn(table);
+        return column && row[column] !== undefined && row[column] !== null ? row[column] : fallback;
+    };
+
+    /**
+     * Audit entries of an update, for the rows whose values the record changes. Soft deletes and
+     * restores are updates of the soft-delete column, recorded as 'delete' and 'restore'.
+     */
+    const updateEntries = (req, table, rows, record, ident, operation = 'update') => rows
+        .map(row => ({ row, changes: changedValues(row, record, db.formatDateTime) }))
+        .filter(({ changes }) => changes)
+        .map(({ row, changes }) => ({
+            key: req.apiKeyData, table: table.name, ident: rowIdent(table, row, ident), operation, ...changes,
+        }));
+
+    /**
+     * Audit entries of a delete, or of a purge.
+     */
+    const deleteEntries = (req, table, rows, ident, operation = 'delete') => rows.map(row => ({
+        key: req.apiKeyData, table: table.name, ident: rowIdent(table, row, ident), operation, before: snapshot(row), after: null,
+    }));
+
+    /**
+     * An inserted record with the id the database gave it.
+     */
+    const insertedRow = (table, record, id) => {
+        const column = keyColumn(table);
+        return column && id !== undefined && id !== null ? { ...record, [column]: id } : record;
+    };
+
+    /**
+     * Audit entry of an insert.
+     */
+    const createEntry = (req, table, record, id) => ({
+        key: req.apiKeyData, table: table.name, ident: id, operation: 'create', before: null, after: snapshot(insertedRow(table, record, id)),
+    });
+
+    /**
+     * Change feed event of a row: 'insert', 'update' or 'delete', with the row before an update.
+     */
+    const changeEvent = (table, operation, row, before = null) => ({
+        table: table.name, operation, ident: rowIdent(table, row), row: snapshot(row), before: before && snapshot(before),
+    });
+
+    /**
+     * Change feed events of an update, for the rows that it changed.
+     * @param {Array<Object>} before - The rows as read before the update
+     * @param {Array<Object>} after - The rows as returned by rowsAfter
+     */
+    const updateEvents = (table, before, after) => {
+        const column = keyColumn(table);
+        const previous = new Map(column ? before.map(row => [String(row[column]), row]) : []);
+        return after
+            .map((row, n) => ({ row, old: column ? previous.get(String(row[column])) : before[n] }))
+            .filter(({ row, old }) => !old || changedValues(old, row, db.formatDateTime))
+            .map(({ row, old }) => changeEvent(table, 'update', row, old));
+    };
+
+    /**
+     * Whether a row of a soft-delete table is live, i.e. not marked as deleted.
+     */
+    const isLive = (table, row) => {
+        const value = row[deletedColumn(table)];
+        if (value === null || value === undefined) return true;
+        return liveMark(table) !== null && !Number(value);
+    };
+
+    /**
+     * The condition of a bulk update or delete. An empty filter is refused, so that a forgotten
+     * query string cannot change the whole table.
+     */
+    const bulkCondition = (key, table, filter) => {
+        // The number of rows changed would tell the key which rows match a column it cannot read
+        const visible = visibleTable(key, table);
+        if (!visible) throw new ApiError(403, `API key cannot read table '${table.name}' to filter it`, 'insufficient_scope');
+        const condition = compileFilter(filter, visible, q);
+        if (!condition.sql) {
+            throw new ApiError(400, 'Updating or deleting several rows needs a filter, e.g. ?filter[status]=archived');
+        }
+        return condition;
+    };
+
+    /**
+     * Checks that rows still match the key's row policy after an update, e.g. that a key cannot move a
+     * row to another tenant. Throwing inside the transaction rolls the update back.
+     * @param {Object} tx - Transaction handle
+     * @param {Array} keys - Values of `column` of the updated rows
+     */
+    const verifyPolicy = async (tx, table, policy, column, keys) => {
+        if (!policy || !policy.sql) return;
+        const values = [...new Set(keys)];
+        for (let i = 0; i < values.length; i += BATCH_SIZE) {
+            const batch = values.slice(i, i + BATCH_SIZE);
+            const match = allOf({ sql: `${q(column)} IN (${batch.map(() => '?').join(', ')})`, params: batch }, policy);
+            const [{ count }] = await tx.select(`SELECT COUNT(*) AS count FROM ${q(table.name)} WHERE ${match.sql}`, match.params);
+            if (Number(count) < batch.length) throw outsidePolicy();
+        }
+    };
+
+    /**
+     * Prepares a new row inside a transaction and checks it against the key's row policy.
+     * @returns {Promise<Object>} - The coerced record
+     */
+    const prepareCreate = async (req, table, body, tx, assign) => {
+        const record = await prepare(req, table, body, { hook: 'beforeCreate', tx, assign });
+        const policy = rowPolicy(req.apiKeyData, table);
+        if (policy && !matchesFilter(policy.filter, record)) throw outsidePolicy();
+        return record;
+    };
+
+    /**
+     * Inserts a row inside a transaction.
+     * @param {Object} [assign] - Values that win over the body's, e.g. the ident from the URL of a PUT
+     * @returns {Promise<*>} - The id of the new row
+     */
+    const insertRecord = async (req, table, body, tx, assign = undefined) => {
+        const record = await prepareCreate(req, table, body, tx, assign);
+        const id = await tx.insert(table.name, record, keyColumn(table));
+        await audit(tx, [createEntry(req, table, record, id)]);
+        const created = await rowsAfter(tx, table, [insertedRow(table, record, id)], {});
+        publish(tx, created.map(row => changeEvent(table, 'insert', row)));
+        await runHook('afterCreate', table, { req, key: req.apiKeyData, tx, record, id });
+        return id;
+    };
+
+    /**
+     * Inserts a row. The hooks run in the same transaction as the insert.
+     * @returns {Promise<*>} - The id of the new row
+     */
+    const create = async (req, table, body, handle = db) => transaction(handle, tx => insertRecord(req, table, body, tx));
+
+    /**
+     * Inserts several rows with multi-row inserts, in one transaction. In atomic mode nothing is
+     * inserted unless every item is valid; in partial mode the valid items are inserted and the others
+     * reported. When the database rejects the insert in partial mode, the items are inserted one at
+     * a time to find the rows it rejects.
+     * @param {Object} req - Express request, with the key in `req.apiKeyData`
+     * @param {Object} table - Table metadata from the schema
+     * @param {Array<Object>} bodies - The items
+     * @param {Object} [options]
+     * @param {boolean} [options.atomic] - All or nothing (default: true)
+     * @returns {Promise<Array<Object>>} - `{ index, status, id }`, or the index and problem document of a failed item
+     */
+    const createMany = async (req, table, bodies, { atomic = true } = {}) => {
+        if (!bodies.length) throw new ApiError(400, 'Request body must contain at least one item');
+        const column = keyColumn(table);
+        const rejected = new Error('Some items are invalid');
+
+        let items = [];
+        try {
+            await transaction(db, async (tx) => {
+                items = [];
+                for (const [index, body] of bodies.entries()) {
+                    try {
+                        items.push({ index, record: await prepareCreate(req, table, body, tx) });
+                    } catch (error) {
+                        items.push({ index, result: { index, ...failure(req, error, 'Insert operation failed') } });
+                    }
+                }
+
+                const valid = items.filter(item => item.record);
+                // Roll back whatever the hooks of the valid items wrote
+                if (atomic && valid.length < items.length) throw rejected;
+
+                const ids = await tx.insertMany(table.name, valid.map(item => item.record), column);
+                await audit(tx, valid.map((item, n) => createEntry(req, table, item.record, ids[n])));
+                const created = await rowsAfter(tx, table, valid.map((item, n) => insertedRow(table, item.record, ids[n])), {});
+                publish(tx, created.map(row => changeEvent(table, 'insert', row)));
+                for (const [n, item] of valid.entries()) {
+                    await runHook('afterCreate', table, { req, key: req.apiKeyData, tx, record: item.record, id: ids[n] });
+                    item.result = { index: item.index, status: 201, id: ids[n] };
+                }
+            });
+        } catch (error) {
+            if (error === rejected) {
+                return items.map(item => item.result || { index: item.index, ...notRun('Not inserted because another item failed') });
+            }
+            if (atomic) throw error;
+
+            const results = [];
+            for (const [index, body] of bodies.entries()) {
+                try {
+                    results.push({ index, status: 201, id: await create(req, table, body) });
+                } catch (itemError) {
+                    results.push({ index, ...failure(req, itemError, 'Insert operation failed') });
+                }
+            }
+            return results;
+        }
+        return items.map(item => item.result);
+    };
+
+    /**
+     * Updates the columns of a row that the body sets, by ident, within the key's row policy.
+     * @param {Object} [options]
+     * @param {string} [options.ifMatch] - `If-Match` header the row's ETag has to match
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    const update = async (req, table, ident, body, { ifMatch } = {}, handle = db) => {
+        const column = identColumn(table, ident);
+        if (!column) throw new ApiError(404, 'Item not found', 'record_not_found');
+
+        const policy = rowPolicy(req.apiKeyData, table);
+        const condition = allOf({ sql: `${q(column)} = ?`, params: [ident] }, policy, notDeleted(table));
+        return transaction(handle, async (tx) => {
+            const rows = await rowsBefore(tx, table, condition, ifMatch !== undefined);
+            checkPrecondition(table, rows[0], ifMatch);
+
+            const record = await prepare(req, table, body, { partial: true, hook: 'beforeUpdate', tx, ident });
+            const updated = await tx.update(table.name, record, condition, nextVersion(table, record));
+            if (updated) await verifyPolicy(tx, table, policy, column, [record[column] !== undefined ? record[column] : ident]);
+            await audit(tx, updateEntries(req, table, rows, record, ident));
+            if (updated) publish(tx, updateEvents(table, rows, await rowsAfter(tx, table, rows, record)));
+            return updated;
+        });
+    };
+
+    /**
+     * Replaces a row by ident, within the key's row policy. Columns the body leaves out are set back
+     * to their defaults, except the keys, the version and the soft-delete column. With `upsert`, a row that does not
+     * exist yet is created with a plain insert. When another request creates the same ident first, the insert
+     * fails on the unique key and the replace runs again, as an update with the checks of the row it finds,
+     * so that it never overwrites a row outside the key's row policy.
+     * @param {Object} [options]
+     * @param {string} [options.ifMatch] - `If-Match` header the row's ETag has to match
+     * @param {boolean} [options.upsert] - Create the row when there is none with this ident
+     * @returns {Promise<Object>} - `{ changes }`, or `{ created: true, id }` when the row was created
+     */
+    const replace = async (req, table, ident, body, { ifMatch, upsert = false } = {}, handle = db) => {
+        const column = identColumn(table, ident);
+        if (!column) throw new ApiError(404, 'Item not found', 'record_not_found');
+
+        const key = req.apiKeyData;
+        const policy = rowPolicy(key, table);
+        const byIdent = { sql: `${q(column)} = ?`, params: [ident] };
+        const condition = allOf(byIdent, policy, notDeleted(table));
+        let inserting = false;
+        const attempt = () => transaction(handle, async (tx) => {
+            inserting = false;
+            const [row] = await rowsBefore(tx, table, condition, true);
+            if (!row && upsert && ifMatch === undefined) {
+                if (deletedColumn(table)) {
+                    const deleted = allOf(byIdent, policy, onlyDeleted(table));
+                    const [found] = await tx.select(`SELECT 1 AS found FROM ${q(table.name)} WHERE ${deleted.sql}`, deleted.params);
+                    if (found) throw new ApiError(409, 'The record is deleted; restore it before replacing it', 'record_deleted');
+                }
+                // A row the key cannot see is not created again over
+                const [hidden] = await tx.select(`SELECT 1 AS found FROM ${q(table.name)} WHERE ${byIdent.sql}`, byIdent.params);
+                if (hidden) throw outsidePolicy();
+                // The ident from the URL wins over the body's, so the insert cannot create another row
+                inserting = true;
+                return { created: true, id: await insertRecord(req, table, body, tx, { [column]: ident }) };
+            }
+            checkPrecondition(table, row, ifMatch);
+            if (!row) return { changes: 0 };
+
+            // Key columns the body leaves out keep their values, which the record may still need to be valid
+            const keys = [column, keyColumn(table), 'guid'].filter(name => name && table.columns[name]);
+            const assign = !isPlainObject(body) ? {} : Object.fromEntries(keys
+                .filter(name => body[name] === undefined)
+                .map(name => [name, row[name]]));
+            const kept = [...keys, versionColumn(table), deletedColumn(table)];
+            const record = await prepare(req, table, body, { partial: false, hook: 'beforeUpdate', tx, ident, assign });
+            const resets = Object.values(table.columns).filter(definition => !(definition.name in record)
+                && !definition.primaryKey && !definition.autoIncrement && !kept.includes(definition.name));
+
+            const writable = scopeColumns(key.scopes, 'write', table.name) || [];
+            const denied = writable === '*' ? [] : resets.map(definition => definition.name).filter(name => !writable.includes(name));
+            if (denied.length) {
+                throw new ApiError(403, `API key cannot write ${denied.join(', ')} of table '${table.name}', which replacing the record resets; use PATCH instead`, 'insufficient_scope');
+            }
+
+            const expressions = Object.fromEntries(resets.map(definition => [definition.name, db.columnDefault(definition)]));
+            const updated = await tx.update(table.name, record, condition, { ...expressions, ...nextVersion(table, record) });
+            const newIdent = record[column] !== undefined ? record[column] : ident;
+            if (updated) await verifyPolicy(tx, table, policy, column, [newIdent]);
+            if (updated && (auditLog || changeFeed)) {
+                // Read back, as the database fills in the defaults
+                const [after] = await tx.select(`SELECT * FROM ${q(table.name)} WHERE ${q(column)} = ?`, [newIdent]);
+                await audit(tx, updateEntries(req, table, [row], after || record, ident));
+                if (after) publish(tx, updateEvents(table, [row], [after]));
+            }
+            return { changes: updated };
+        });
+
+        try {
+            return await attempt();
+        } catch (error) {
+            if (!inserting || !isUniqueViolation(error)) throw error;
+            // PostgreSQL cannot go on with a transaction after a failed statement, so only a replace that has
+            // its own transaction runs again
+            if (handle !== db) throw new ApiError(409, 'Another request created the record at the same time', 'record_conflict');
+            return attempt();
+        }
+    };
+
+    /**
+     * Updates every row matching a filter that is not soft-deleted, within the key's row policy. With a policy, the rows are
+     * picked by key first so that they can be checked against it again after the update.
+     * @param {Object} filter - Filter object, as in the `filter` query parameter
+     * @returns {Promise<number>} - Number of rows changed
+     */
+    const updateWhere = async (req, table, filter, body, handle = db) => {
+        const policy = rowPolicy(req.apiKeyData, table);
+        const condition = allOf(bulkCondition(req.apiKeyData, table, filter), policy, notDeleted(table));
+        const column = keyColumn(table);
+        if (policy && policy.sql && !column) {
+            throw new ApiError(403, `Table '${table.name}' has no key to check its row policy with`);
+        }
+
+        return transaction(handle, async (tx) => {
+            const record = await prepare(req, table, body, { partial: true, hook: 'beforeUpdate', tx, filter });
+            const before = await rowsBefore(tx, table, condition);
+            const expressions = nextVersion(table, record);
+            if (!policy || !policy.sql) {
+                const changes = await tx.update(table.name, record, condition, expressions);
+                await audit(tx, updateEntries(req, table, before, record));
+                publish(tx, updateEvents(table, before, await rowsAfter(tx, table, before, record)));
+                return changes;
+            }
+
+            const rows = await tx.select(`SELECT ${q(column)} FROM ${q(table.name)} WHERE ${condition.sql}`, condition.params);
+            const keys = rows.map(row => row[column]);
+
+            let updated = 0;
+            for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+                const batch = keys.slice(i, i + BATCH_SIZE);
+                updated += await tx.update(table.name, record, { sql: `${q(column)} IN (${batch.map(() => '?').join(', ')})`, params: batch }, expressions);
+            }
+            await verifyPolicy(tx, table, policy, column, record[column] !== undefined ? [record[column]] : keys);
+            await audit(tx, updateEntries(req, table, before, record));
+            publish(tx, updateEvents(table, before, await rowsAfter(tx, table, before, record)));
+            return updated;
+        });
+    };
+
+    /**
+     * Deletes the rows matching a condition inside a transaction, or marks them as deleted when the
+     * table soft-deletes, and records the change.
+     * @param {Array<Object>} rows - The rows as read before, for the audit log
+     * @returns {Promise<number>} - Number of rows deleted
+     */
+    const discard = async (req, table, tx, condition, rows, ident = null) => {
+        const column = deletedColumn(table);
+        if (!column) {
+            const deleted = await tx.delete(table.name, condition);
+            await audit(tx, deleteEntries(req, table, rows, ident));
+            publish(tx, rows.map(row => changeEvent(table, 'delete', row)));
+            return deleted;
+        }
+
+        const record = { [column]: deletedMark(table) };
+        const deleted = await tx.update(table.name, record, condition, nextVersion(table, record));
+        await audit(tx, updateEntries(req, table, rows, record, ident, 'delete'));
+        publish(tx, rows.map(row => changeEvent(table, 'delete', row)));
+        return deleted;
+    };
+
+    /**
+     * Deletes a row by ident, within the key's row policy. On a soft-delete table the row is marked
+     * as deleted instead.
+     * @param {Object} [options]
+     * @param {string} [options.ifMatch] - `If-Match` header the row's ETag has to match
+     * @returns {Promise<number>} - Number of rows deleted
+     */
+    const remove = async (req, table, ident, { ifMatch } = {}, handle = db) => {
+        const column = identColumn(table, ident);
+        if (!column) throw new ApiError(404, 'Item not found', 'record_not_found');
+
+        const condition = allOf({ sql: `${q(column)} = ?`, params: [ident] }, rowPolicy(req.apiKeyData, table), notDeleted(table));
+        return transaction(handle, async (tx) => {
+            const rows = await rowsBefore(tx, table, condition, ifMatch !== undefined);
+            checkPrecondition(table, rows[0], ifMatch);
+
+            await runHook('beforeDelete', table, { req, key: req.apiKeyData, tx, ident });
+            return discard(req, table, tx, condition, rows, ident);
+        });
+    };
+
+    /**
+     * Deletes every row matching a filter, within the key's row policy. On a soft-delete table the
+     * rows are marked as deleted instead.
+     * @returns {Promise<number>} - Number of rows deleted
+     */
+    const removeWhere = async (req, table, filter, handle = db) => {
+        const condition = allOf(bulkCondition(req.apiKeyData, table, filter), rowPolicy(req.apiKeyData, table), notDeleted(table));
+        return transaction(handle, async (tx) => {
+            await runHook('beforeDelete', table, { req, key: req.apiKeyData, tx, filter });
+            const rows = await rowsBefore(tx, table, condition);
+            return discard(req, table, tx, condition, rows);
+        });
+    };
+
+    /**
+     * Restores a soft-deleted row by ident, within the key's row policy.
+     * @param {Object} [options]
+     * @param {string} [options.ifMatch] - `If-Match` header the row's ETag has to match
+     * @returns {Promise<number>} - Number of rows restored
+     */
+    const restore = async (req, table, ident, { ifMatch } = {}, handle = db) => {
+        const marker = softDeleteColumn(table);
+        const column = identColumn(table, ident);
+        if (!column) throw new ApiError(404, 'Item not found', 'record_not_found');
+
+        const condition = allOf({ sql: `${q(column)} = ?`, params: [ident] }, rowPolicy(req.apiKeyData, table), onlyDeleted(table));
+        return transaction(handle, async (tx) => {
+            const rows = await rowsBefore(tx, table, condition, ifMatch !== undefined);
+            checkPrecondition(table, rows[0], ifMatch);
+
+            const record = { [marker]: liveMark(table) };
+            const restored = await tx.update(table.name, record, condition, nextVersion(table, record));
+            await audit(tx, updateEntries(req, table, rows, record, ident, 'restore'));
+            // To the change feed, a restored row is a new one
+            publish(tx, (await rowsAfter(tx, table, rows, record)).map(row => changeEvent(table, 'insert', row)));
+            return restored;
+        });
+    };
+
+    /**
+     * Deletes a row of a soft-delete table for good, by ident and within the key's row policy,
+     * whether or not it was soft-deleted first. The `beforeDelete` hook runs with `purge: true`.
+     * @param {Object} [options]
+     * @param {string} [options.ifMatch] - `If-Match` header the row's ETag has to match
+     * @returns {Promise<number>} - Number of rows deleted
+     */
+    const purge = async (req, table, ident, { ifMatch } = {}, handle = db) => {
+        softDeleteColumn(table);
+        const column = identColumn(table, ident);
+        if (!column) throw new ApiError(404, 'Item not found', 'record_not_found');
+
+        const condition = allOf({ sql: `${q(column)} = ?`, params: [ident] }, rowPolicy(req.apiKeyData, table));
+        return transaction(handle, async (tx) => {
+            const rows = await rowsBefore(tx, table, condition, ifMatch !== undefined);
+            checkPrecondition(table, rows[0], ifMatch);
+
+            await runHook('beforeDelete', table, { req, key: req.apiKeyData, tx, ident, purge: true });
+            const purged = await tx.delete(table.name, condition);
+            await audit(tx, deleteEntries(req, table, rows, ident, 'purge'));
+            // Rows deleted before were already published as deleted
+            publish(tx, rows.filter(row => isLive(table, row)).map(row => changeEvent(table, 'delete', row)));
+            return purged;
+        });
+    };
+
+    /**
+     * Passes rows read from a table through its `afterRead` hook, e.g. to add computed fields or
+     * remove secrets.
+     * @param {Object} req - Express request, with the key in `req.apiKeyData`
+     * @param {Object} table - Table metadata from the schema
+     * @param {Array<Object>} rows - The rows
+     * @returns {Promise<Array<Object>>} - The rows to respond with
+     */
+    const afterRead = async (req, table, rows) => {
+        if (!((config.hooks || {})[table.name] || {}).afterRead) return rows;
+        const results = [];
+        for (const row of rows) {
+            const result = await runHook('afterRead', table, { req, key: req.apiKeyData, tx: db, row });
+            results.push(result === undefined ? row : result);
+        }
+        return results;
+    };
+
+    /**
+     * Runs one operation of a batch.
+     * @param {Object} operation - `{ method, table, ident, filter, body, ifMatch }`
+     * @returns {Promise<Object>} - `{ status, id }` for inserts, `{ status, changes }` otherwise
+     */
+    const runOperation = async (req, operation, tx) => {
+        if (!isPlainObject(operation)) throw new ApiError(400, 'Each operation must be an object');
+        const method = String(operation.method || '').toUpperCase();
+        const verb = methodVerbs[method];
+        if (!verb) throw new ApiError(400, `method must be one of ${Object.keys(methodVerbs).join(', ')}`);
+        if (operation.table === undefined) throw new ApiError(400, 'table is required');
+
+        const table = writableTable(req.apiKeyData, operation.table, verb);
+        const { filter, body } = operation;
+        const ident = operation.ident === undefined || operation.ident === null ? null : String(operation.ident);
+        const ifMatch = operation.ifMatch === undefined || operation.ifMatch === null ? undefined : String(operation.ifMatch);
+        if (method === 'POST') return { status: 201, id: await create(req, table, body, tx) };
+        if (ident === null && (method === 'PUT' || filter === undefined)) {
+            throw new ApiError(400, `${method} needs an ident${method === 'PUT' ? '' : ' or a filter'}`);
+        }
+        if (ident === null && ifMatch !== undefined) throw new ApiError(400, 'ifMatch needs an ident');
+
+        if (method === 'PUT') {
+            const result = await replace(req, table, ident, body, { ifMatch, upsert: schema.canUpsert(table.name) }, tx);
+            return result.created ? { status: 201, id: result.id } : { status: 200, changes: result.changes };
+        }
+        const changes = method === 'DELETE'
+            ? ident !== null ? await remove(req, table, ident, { ifMatch }, tx) : await removeWhere(req, table, filter, tx)
+            : ident !== null ? await update(req, table, ident, body, { ifMatch }, tx) : await updateWhere(req, table, filter, body, tx);
+        return { status: 200, changes };
+    };
+
+    /**
+     * Runs mixed operations across tables. In atomic mode they share one transaction, and the first
+     * failure rolls back the whole batch; in partial mode each runs in its own transaction.
+     * @param {Object} req - Express request, with the key in `req.apiKeyData`
+     * @param {Array<Object>} operations - `{ method, table, ident, filter, body, ifMatch }` each
+     * @param {Object} [options]
+     * @param {boolean} [options.atomic] - All or nothing (default: true)
+     * @returns {Promise<Array<Object>>} - `{ index, status, ... }` per operation
+     */
+    const batch = async (req, operations, { atomic = true } = {}) => {
+        if (!Array.isArray(operations) || !operations.length) {
+            throw new ApiError(400, 'operations must be a non-empty array');
+        }
+        if (operations.length > MAX_BATCH_OPERATIONS) {
+            throw new ApiError(400, `A batch may contain at most ${MAX_BATCH_OPERATIONS} operations`);
+        }
+
+        if (!atomic) {
+            const results = [];
+            for (const [index, operation] of operations.entries()) {
+                try {
+                    results.push({ index, ...(await transaction(db, tx => runOperation(req, operation, tx))) });
+                } catch (error) {
+                    results.push({ index, ...failure(req, error) });
+                }
+            }
+            return results;
+        }
+
+        const results = [];
+        let failed = null;
+        try {
+            await transaction(db, async (tx) => {
+                for (const [index, operation] of operations.entries()) {
+                    try {
+                        results.push({ index, ...(await runOperation(req, operation, tx)) });
+                    } catch (error) {
+                        failed = { index, ...failure(req, error) };
+                        throw error;
+                    }
+                }
+            });
+        } catch (error) {
+            // Without a failed operation, the commit itself failed
+            if (!failed) throw error;
+            return operations.map((operation, index) => {
+                if (index === failed.index) return failed;
+                const reason = index < failed.index ? 'Rolled back' : 'Not run';
+                return { index, ...notRun(`${reason} because operation ${failed.index} failed`) };
+            });
+        }
+        return results;
+    };
+
+    return {
+        rowPolicy, visibleTable, notDeleted, deletedColumn, etag, etagColumns,
+        create, createMany, update, replace, updateWhere, remove, removeWhere, restore, purge, afterRead, batch,
+    };
+}
+
+module.exports = { createOperations, parseMode, keyColumn, identColumn, allOf };
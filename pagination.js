@@ -0,0 +1,152 @@
+const { parseCount, FilterError } = require('./filters');
+
+/**
+ * Keyset (cursor) pagination for the list routes.
+ *
+ *   GET /orders?sort=-total&limit=20              first page, ordered by total DESC, id ASC
+ *   GET /orders?sort=-total&limit=20&cursor=...   the rows after the last row of the previous page
+ *   GET /orders?limit=20&offset=40                offset paging, still supported
+ *
+ * Pages are ordered by the sort columns followed by the table's key, so every row has a unique
+ * position. A cursor holds that position for the last row of a page, and the next page asks for the
+ * rows after it: rows inserted or deleted in between do not shift the pages.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * The page sizes of a configuration.
+ * @param {Object} [options] - `config.pagination`
+ * @param {number} [options.defaultLimit] - Page size when no limit is given (default: 100)
+ * @param {number} [options.maxLimit] - Largest page size (default: 1000)
+ * @returns {Object} - `{ defaultLimit, maxLimit }`
+ */
+const pageSizes = ({ defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => ({ defaultLimit: Math.min(defaultLimit, maxLimit), maxLimit });
+
+/**
+ * Parses the `limit` query parameter within the configured page sizes. Larger limits are
+ * lowered to the maximum rather than rejected.
+ * @param {*} value - Raw query value
+ * @param {Object} [options] - `config.pagination`
+ * @returns {number}
+ */
+function pageLimit(value, options) {
+    const { defaultLimit, maxLimit } = pageSizes(options);
+    const limit = parseCount('limit', value);
+    if (limit === 0) throw new FilterError('limit must be at least 1');
+    return Math.min(limit === undefined ? defaultLimit : limit, maxLimit);
+}
+
+/**
+ * The position of a row in an order: the values of the order columns, as afterCursor takes them.
+ * @param {Array<Object>} order - `{ column, descending }` the rows are ordered by
+ * @param {Object} row - The row
+ * @param {Function} formatDateTime - Formats dates the way the database compares them
+ * @returns {Array}
+ */
+const rowPosition = (order, row, formatDateTime) => order.map(({ column }) => (row[column] instanceof Date ? formatDateTime(row[column]) : row[column]));
+
+/**
+ * Encodes the position of a row as an opaque, URL-safe cursor.
+ * @param {Array<Object>} order - `{ column, descending }` the page is ordered by
+ * @param {Object} row - The last row of the page
+ * @param {string} sort - The `sort` parameter, so the cursor cannot be used with another order
+ * @param {Function} formatDateTime - Formats dates the way the database compares them
+ * @returns {string}
+ */
+function encodeCursor(order, row, sort, formatDateTime) {
+    return Buffer.from(JSON.stringify({ s: sort || '', v: rowPosition(order, row, formatDateTime) }))
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor for the same order.
+ * @returns {Array} - The values of the order columns
+ */
+function decodeCursor(cursor, order, sort) {
+    let payload;
+    try {
+        // Node's base64 decoding also accepts the URL-safe alphabet
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    } catch (error) {
+        throw new FilterError('Invalid cursor');
+    }
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== order.length) {
+        throw new FilterError('Invalid cursor');
+    }
+    if (payload.s !== (sort || '')) {
+        throw new FilterError('The cursor belongs to another sort order; start again without a cursor');
+    }
+    return payload.v;
+}
+
+/**
+ * Compiles the condition for the rows after a cursor position: the rows that sort after it on the
+ * first column, or tie on it and sort after it on the next, and so on. NULL sorts before every value
+ * on MySQL and SQLite and after every value on Postgres, as in their ORDER BY.
+ * @param {Array<Object>} order - `{ column, descending }` the page is ordered by
+ * @param {Array} values - Values of the order columns at the cursor
+ * @param {Object} db - Database adapter, for quoting and its NULL order
+ * @returns {Object} - `{ sql, params }`
+ */
+function afterCursor(order, values, db) {
+    const alternatives = [];
+    const params = [];
+
+    order.forEach(({ column, descending }, index) => {
+        const target = db.quote(column);
+        const value = values[index];
+        const nullsAfter = descending !== db.nullsLargest;
+
+        let beyond = null;
+        if (value === null) {
+            if (!nullsAfter) beyond = { sql: `${target} IS NOT NULL`, params: [] };
+        } else {
+            const comparison = `${target} ${descending ? '<' : '>'} ?`;
+            beyond = { sql: nullsAfter ? `(${comparison} OR ${target} IS NULL)` : comparison, params: [value] };
+        }
+        if (!beyond) return;
+
+        const ties = order.slice(0, index).map(({ column: tied }, position) => (values[position] === null
+            ? { sql: `${db.quote(tied)} IS NULL`, params: [] }
+            : { sql: `${db.quote(tied)} = ?`, params: [values[position]] }));
+        alternatives.push([...ties, beyond].map(part => part.sql).join(' AND '));
+        params.push(...[].concat(...ties.map(tie => tie.params)), ...beyond.params);
+    });
+
+    // Nothing sorts after a row that is last on every column
+    if (!alternatives.length) return { sql: '1 = 0', params };
+    return { sql: alternatives.map(sql => `(${sql})`).join(' OR '), params };
+}
+
+/**
+ * Builds the URL of another page of the current request, keeping its other query parameters.
+ * @param {Object} req - Express request
+ * @param {Object} changes - Query parameters to set, or to remove when null
+ * @returns {string} - Path and query string
+ */
+function pageUrl(req, changes) {
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    for (const [name, value] of Object.entries(changes)) {
+        if (value === null) params.delete(name);
+        else params.set(name, String(value));
+    }
+    const search = params.toString();
+    return `${req.baseUrl}${req.path}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Formats page links as an RFC 8288 `Link` header.
+ * @param {Object} links - URLs by relation, null for the ones that do not apply
+ * @returns {string}
+ */
+const linkHeader = (links) => Object.entries(links)
+    .filter(([, url]) => url)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(', ');
+
+module.exports = { pageSizes, pageLimit, rowPosition, encodeCursor, decodeCursor, afterCursor, pageUrl, linkHeader };
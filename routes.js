@@ -1,229 +1,801 @@
 const express = require('express');
-const { getDatabase } = require('./db');  // Database connection module
-const { validate: isValidUUID, version: getUUIDVersion } = require('uuid');
 const crypto = require('crypto');
-const validateApiKey = require('./middleware/validate_api_key');
 const { checkScope } = require('./middleware/scope_validation');
+const rateLimit = require('./middleware/rate_limit');
+const { compileFilter, matchesFilter, parseSort, compileFields, parseCount, FilterError } = require('./filters');
+const { pageLimit, rowPosition, encodeCursor, decodeCursor, afterCursor, pageUrl, linkHeader } = require('./pagination');
+const { hasScope } = require('./scopes');
+const { createOperations, parseMode, keyColumn, identColumn, allOf } = require('./operations');
+const { ApiError, HttpError, describeError, sendProblem } = require('./errors');
+const { contextOf } = require('./middleware/request_context');
+const { changeOptions, eventStream, socketStream } = require('./changes');
+const { compileAggregate } = require('./aggregates');
+const { streamingOptions, responseFormat, requestFormat, rowWriter, csvImport, ndjsonImport, importSource } = require('./formats');
 
-/**
- * Validates if the provided string is a UUID (v1 or v4).
- * @param {string} ident - The identifier to validate.
- * @returns {boolean} - True if it's a valid UUID (v1 or v4), false otherwise.
- */
-const validateGUID = (ident) => {
-    // Check if the identifier is a valid UUID
-    if (!isValidUUID(ident)) return false;
+// Keys per query when loading included relations, well below the parameter limits of every database
+const INCLUDE_BATCH_SIZE = 500;
 
-    // Allow only v1 and v4 UUIDs
-    const uuidVersion = getUUIDVersion(ident);
-    return uuidVersion === 1 || uuidVersion === 4;
-};
+// Failed rows an import reports by line; the rest are only counted
+const MAX_IMPORT_ERRORS = 1000;
 
-const disabledTables = ['api_keys']
+const notFound = () => new ApiError(404, 'Item not found', 'record_not_found');
 
 /**
  * Generates CRUD routes dynamically based on table and ident
+ * @param {Object} schema - Introspected schema returned by createSchema
+ * @param {Object} db - Database adapter returned by configureDatabase
+ * @param {Object} config - initializeAPI configuration object; `config.extend(router, helpers)` adds custom routes
+ * @param {Object} services - Parts of the API instance the routes share
+ * @param {Function} services.validateApiKey - Middleware factory returned by createApiKeyValidator
+ * @param {Function} [services.limiter] - Rate limiting middleware returned by rateLimit (default: count requests only)
+ * @param {Object} [services.auditLog] - Audit log returned by createAuditLog, to record every write in
+ * @param {Object} [services.changeFeed] - Change feed returned by createChangeFeed, to publish every write to
+ *                                         and serve at `/:table/_changes`
+ * @param {Object} [services.streamTokens] - Stream tokens returned by createStreamTokens, issued at `/_changes/token`
+ * @param {Object} [services.search] - Search returned by createSearch, for the `q` parameter of the list routes
  * @returns {Router} Express router instance
  */
-function generateRoutes() {
+function generateRoutes(schema, db, config, {
+    validateApiKey, limiter = rateLimit(), auditLog = null, changeFeed = null, streamTokens = null, search = null,
+}) {
     const router = express.Router();
+    const operations = createOperations(schema, db, config, auditLog, changeFeed);
+    const streaming = streamingOptions(config.streaming);
 
-// Route to fetch an entire table
-    // router.get('/generate-api-key', generateAPIKey);
-    // router.post('/generate-api-key', generateAPIKey);
-    
-    router.get('/:table', validateApiKey(), checkScope('read'), async (req, res) => {
-        const { table } = req.params;
-        const { where, order, limit, offset } = req.query; // capture query params
-        
-        // Check if the table is in the disabled list
-        if (disabledTables.includes(table)) {
-            return res.status(500).json({ error: 'You do not have permission to access this resource!' });
-        }
-        
-        // Construct the SQL query safely with defaults
-        let query = `SELECT * FROM ${table}`;
-        const params = [];
-    
-        // Add WHERE clause if specified (parameterized)
-        if (where) {
-            query += ' WHERE ' + where; // Validate this or use a safe mechanism to build the WHERE clause
-            // You might want to sanitize 'where' to ensure it's a safe and valid SQL fragment
+    /**
+     * Resolves `req.params.table` against the schema and attaches its metadata as `req.table`.
+     * @param {Object} [options]
+     * @param {boolean} [options.write] - Reject tables configured as read-only
+     */
+    const resolveTable = ({ write = false } = {}) => (req, res, next) => {
+        const table = schema.getTable(req.params.table);
+        if (!table) {
+            return sendProblem(res, new ApiError(404, `Table '${req.params.table}' does not exist`, 'table_not_found'));
         }
-    
-        // Add ORDER BY clause if specified
-        if (order) {
-            query += ' ORDER BY ' + order; // Validate order parameter to prevent SQL injection
+        if (write && schema.isReadOnly(table.name)) {
+            return sendProblem(res, new ApiError(405, `Table '${table.name}' is read-only`, 'table_read_only'));
         }
-    
-        // Add LIMIT and OFFSET for pagination
-        if (limit) {
-            query += ' LIMIT ?';
-            params.push(parseInt(limit, 10));
+        req.table = table;
+        next();
+    };
+
+    /**
+     * The condition for the rows of a table the key may read: its row policy, and only the rows
+     * that are not soft-deleted unless `withDeleted` is set.
+     * @returns {Object} - `{ sql, params }`
+     */
+    const readableRows = (key, table, withDeleted = false) => allOf(
+        operations.rowPolicy(key, table),
+        withDeleted ? null : operations.notDeleted(table),
+    );
+
+    /**
+     * What the key may read of a table other than the one in the URL, such as a related table.
+     * Soft-deleted rows of related tables are never included.
+     * @param {Object} key - API key data
+     * @param {Object} table - Table metadata from the schema
+     * @returns {Object} - `{ table, visible, policy }`, where `policy` is the condition for the readable rows
+     * @throws {ApiError} - 403 when the key has no read scope for the table
+     */
+    const readAccess = (key, table) => {
+        const visible = operations.visibleTable(key, table);
+        if (!visible) throw new ApiError(403, `API key cannot read table '${table.name}'`, 'insufficient_scope');
+        return { table, visible, policy: readableRows(key, table) };
+    };
+
+    /**
+     * Sets `req.visibleTable` to the part of the table the key may read.
+     */
+    const readableTable = (req, res, next) => {
+        req.visibleTable = operations.visibleTable(req.apiKeyData, req.table);
+        if (!req.visibleTable) {
+            return sendProblem(res, new ApiError(403, 'Insufficient permissions', 'insufficient_scope'));
         }
-        if (offset) {
+        next();
+    };
+
+    /**
+     * Compiles the condition for the rows of the table the request's API key may read into
+     * `req.policy` (`{ sql, params }`): the table's row policy, without soft-deleted rows unless the
+     * request asks for them with `withDeleted=true` and the key has the `restore` scope for the table.
+     */
+    const applyPolicy = (req, res, next) => {
+        const { withDeleted } = req.query;
+        if (withDeleted !== undefined && !['true', 'false'].includes(String(withDeleted))) {
+            return sendProblem(res, new ApiError(400, "withDeleted must be 'true' or 'false'", 'invalid_query'));
+        }
+        const deleted = String(withDeleted) === 'true' && Boolean(operations.deletedColumn(req.table));
+        if (deleted && !hasScope(req.apiKeyData.scopes, { verb: 'restore', table: req.table.name })) {
+            return sendProblem(res, new ApiError(403, 'Reading deleted records needs the restore scope', 'insufficient_scope'));
+        }
+
+        try {
+            req.policy = readableRows(req.apiKeyData, req.table, deleted);
+        } catch (error) {
+            return sendProblem(res, error, 'Row policy failed');
+        }
+        next();
+    };
+
+    /**
+     * Builds the column list to select: the requested fields, or every column the key may read.
+     * @param {Object} visible - The part of the table the key may read
+     * @param {Object} table - The whole table
+     * @param {string} fields - The `fields` query parameter
+     * @param {Array<string>} [required] - Columns that have to be selected to load relations
+     * @returns {Object} - `{ sql, hidden }`; `hidden` lists the required columns that were not asked for
+     */
+    const selectList = (visible, table, fields, required = []) => {
+        const requested = (fields === undefined || fields === '') && visible !== table ? Object.keys(visible.columns).join(',') : fields;
+        const sql = compileFields(requested, visible, db.quote);
+        if (sql === '*') return { sql, hidden: [] };
+
+        const selected = requested.split(',').map(column => column.trim());
+        const hidden = [...new Set(required)].filter(column => !selected.includes(column));
+        return { sql: [sql, ...hidden.map(db.quote)].join(', '), hidden };
+    };
+
+    /**
+     * Parses the `include` query parameter (`customer,order_items`) into the relations to embed.
+     * @param {Object} key - API key data
+     * @param {Object} table - Table metadata from the schema
+     * @param {string} include - Comma-separated relation names
+     * @returns {Array<Object>} - `{ relation, table, visible, policy }` for each relation
+     */
+    const parseIncludes = (key, table, include) => {
+        if (include === undefined || include === '') return [];
+        if (typeof include !== 'string') {
+            throw new FilterError('include must be a comma-separated list of relations, e.g. include=customer,order_items');
+        }
+
+        return [...new Set(include.split(',').map(name => name.trim()))].map(name => {
+            const relation = schema.getRelation(table.name, name);
+            if (!relation) {
+                const known = schema.listRelations(table.name).map(({ name: known }) => known);
+                throw new FilterError(`Unknown relation '${name}' of table '${table.name}'${known.length ? `. Relations: ${known.join(', ')}` : ''}`);
+            }
+            return { relation, ...readAccess(key, schema.getTable(relation.table)) };
+        });
+    };
+
+    /**
+     * Embeds included relations into rows. Each relation is loaded with one query per batch of
+     * keys instead of one per row. Columns that were only selected to link rows are removed afterwards,
+     * and the `afterRead` hooks of the related tables run on the embedded rows.
+     * @param {Object} req - Express request
+     * @param {Array<Object>} rows - Rows of the parent table
+     * @param {Array<Object>} includes - Relations returned by parseIncludes
+     * @param {Array<string>} hidden - Columns to remove from the rows
+     * @returns {Promise<Array<Object>>} - The rows
+     */
+    const withRelations = async (req, rows, includes, hidden) => {
+        for (const { relation, table, visible, policy } of includes) {
+            const columns = selectList(visible, table, undefined, [relation.foreignColumn]);
+            const order = keyColumn(table) ? ` ORDER BY ${db.quote(keyColumn(table))}` : '';
+            const values = [...new Set(rows.map(row => row[relation.column]).filter(value => value !== null && value !== undefined))];
+
+            const related = new Map();
+            for (let i = 0; i < values.length; i += INCLUDE_BATCH_SIZE) {
+                const batch = values.slice(i, i + INCLUDE_BATCH_SIZE);
+                const match = allOf({ sql: `${db.quote(relation.foreignColumn)} IN (${batch.map(() => '?').join(', ')})`, params: batch }, policy);
+                const found = await db.select(`SELECT ${columns.sql} FROM ${db.quote(table.name)} WHERE ${match.sql}${order}`, match.params);
+
+                // Drivers do not all return keys with the same type, so rows are matched on strings
+                const links = found.map(row => String(row[relation.foreignColumn]));
+                found.forEach(row => columns.hidden.forEach(column => delete row[column]));
+                (await operations.afterRead(req, table, found)).forEach((row, n) => {
+                    related.set(links[n], [...(related.get(links[n]) || []), row]);
+                });
+            }
+
+            for (const row of rows) {
+                const matches = related.get(String(row[relation.column])) || [];
+                row[relation.name] = relation.kind === 'one' ? matches[0] || null : matches;
+            }
+        }
+
+        for (const row of rows) hidden.forEach(column => delete row[column]);
+        return rows;
+    };
+
+    /**
+     * Plans the query of a list from the query string (filter, q, sort, fields, include), within the key's
+     * row policy. Lists are ordered by the sort columns, or by relevance to `q` when there is no sort,
+     * and then the table's key. When the key column is missing or hidden from the API key, or the list
+     * is ranked, there is no keyset to continue a list from.
+     * @param {Object} req - Express request
+     * @param {Object} access - `{ table, visible, policy }` for the table
+     * @param {Object} [condition] - Extra `{ sql, params }` condition, e.g. the parent of a nested route
+     * @returns {Object} - `{ table, includes, order, rank, keyset, columns, matching }`
+     */
+    const listPlan = (req, { table, visible, policy }, condition = null) => {
+        const { filter, q, sort, fields, include } = req.query;
+        const includes = parseIncludes(req.apiKeyData, table, include);
+        if (q !== undefined && !(search && search.searchable(table))) throw new FilterError(`Table '${table.name}' cannot be searched`);
+        // Matches on a column the key cannot read would tell it what the column holds
+        if (q !== undefined && !search.readable(table, visible)) {
+            throw new ApiError(403, `API key cannot read every search column of table '${table.name}'`, 'insufficient_scope');
+        }
+        const found = q === undefined ? null : search.condition(table, q);
+        const rank = found && (sort === undefined || sort === '') ? search.rank(table, q) : null;
+
+        const order = parseSort(sort, visible);
+        const key = keyColumn(table);
+        const keyset = Boolean(key && visible.columns[key]) && !rank;
+        if (key && visible.columns[key] && !order.some(({ column }) => column === key)) order.push({ column: key, descending: false });
+
+        const columns = selectList(visible, table, fields, [
+            ...includes.map(({ relation }) => relation.column),
+            ...(keyset ? order.map(({ column }) => column) : []),
+        ]);
+
+        // Restricted to the rows the key may see
+        const matching = allOf(condition, compileFilter(filter, visible, db.quote), found, policy);
+        return { table, includes, order, rank, keyset, columns, matching };
+    };
+
+    /**
+     * Selects rows of a planned list.
+     * @param {Object} plan - Returned by listPlan
+     * @param {Object} options - `{ after, limit, offset }`, where `after` is the position to continue after
+     * @returns {Promise<Array<Object>>}
+     */
+    const selectRows = ({ table, order, rank, columns, matching }, { after = null, limit, offset }) => {
+        const conditions = after ? allOf(matching, afterCursor(order, after, db)) : matching;
+        const ordering = [
+            ...(rank ? [`${rank.sql} ${rank.descending ? 'DESC' : 'ASC'}`] : []),
+            ...order.map(({ column, descending }) => `${db.quote(column)} ${descending ? 'DESC' : 'ASC'}`),
+        ];
+
+        let query = `SELECT ${columns.sql} FROM ${db.quote(table.name)}`;
+        if (conditions.sql) query += ' WHERE ' + conditions.sql;
+        if (ordering.length) query += ' ORDER BY ' + ordering.join(', ');
+
+        query += ' LIMIT ?';
+        const params = [...conditions.params, ...(rank ? rank.params : []), limit];
+        if (offset !== undefined) {
             query += ' OFFSET ?';
-            params.push(parseInt(offset, 10));
+            params.push(offset);
         }
-    
+        return db.select(query, params);
+    };
+
+    /**
+     * Lists a page of rows of a table as the query string asks (filter, sort, fields, include, limit,
+     * cursor or offset, count), within the key's row policy. Tables whose key column is missing or
+     * hidden from the API key can only be paged by offset.
+     * @param {Object} req - Express request
+     * @param {Object} access - `{ table, visible, policy }` for the table
+     * @param {Object} [condition] - Extra `{ sql, params }` condition, e.g. the parent of a nested route
+     * @returns {Promise<Object>} - `{ data, meta, links }`
+     */
+    const listPage = async (req, access, condition = null) => {
+        const { sort, cursor, count } = req.query;
+        const plan = listPlan(req, access, condition);
+        const { table, order, keyset, matching } = plan;
+        const limit = pageLimit(req.query.limit, config.pagination);
+        const offset = parseCount('offset', req.query.offset);
+        if (count !== undefined && !['true', 'false'].includes(String(count))) {
+            throw new FilterError("count must be 'true' or 'false'");
+        }
+
+        if (cursor !== undefined && offset !== undefined) throw new FilterError('cursor and offset cannot be used together');
+        if (cursor !== undefined && plan.rank) throw new FilterError('Search results ranked by relevance are paged with offset, or give sort to page with a cursor');
+        if (cursor !== undefined && !keyset) throw new FilterError(`Table '${table.name}' cannot be paged with a cursor, use offset instead`);
+
+        // One row more than the page tells whether there is a next page
+        const rows = await selectRows(plan, {
+            after: cursor === undefined ? null : decodeCursor(cursor, order, sort),
+            limit: limit + 1,
+            offset,
+        });
+        const page = rows.slice(0, limit);
+        const hasMore = rows.length > limit;
+        const nextCursor = keyset && hasMore && offset === undefined
+            ? encodeCursor(order, page[page.length - 1], sort, db.formatDateTime)
+            : null;
+
+        const meta = { limit, hasMore };
+        if (offset !== undefined) meta.offset = offset;
+        else meta.nextCursor = nextCursor;
+        if (String(count) === 'true') {
+            const [{ total }] = await db.select(`SELECT COUNT(*) AS total FROM ${db.quote(table.name)}${matching.sql ? ` WHERE ${matching.sql}` : ''}`, matching.params);
+            meta.total = Number(total);
+        }
+
+        const links = {
+            self: pageUrl(req, {}),
+            first: pageUrl(req, { cursor: null, offset: null }),
+            prev: offset ? pageUrl(req, { offset: Math.max(0, offset - limit) }) : null,
+            next: !hasMore ? null : nextCursor ? pageUrl(req, { cursor: nextCursor }) : pageUrl(req, { offset: (offset || 0) + limit }),
+        };
+
+        const data = await operations.afterRead(req, table, await withRelations(req, page, plan.includes, plan.columns.hidden));
+        return { data, meta, links };
+    };
+
+    /**
+     * Streams every row of a list the query string selects as CSV or NDJSON, with `limit` as the most
+     * rows to send rather than a page size. Rows are read `streaming.batchSize` at a time, each batch
+     * after the last row of the one before as cursor pages are (or by offset when there is no keyset),
+     * so rows written during an export may or may not be in it.
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response; once the first batch is written, a failure can only end it early
+     * @param {string} format - 'csv' or 'ndjson'
+     * @param {Object} access - `{ table, visible, policy }` for the table
+     * @param {Object} [condition] - Extra `{ sql, params }` condition, as listPage takes
+     */
+    const streamList = async (req, res, format, access, condition = null) => {
+        const { fields, cursor, offset, count } = req.query;
+        if (cursor !== undefined || offset !== undefined || count !== undefined) {
+            throw new FilterError('cursor, offset and count cannot be used with CSV or NDJSON, which list every row');
+        }
+        const plan = listPlan(req, access, condition);
+        if (format === 'csv' && plan.includes.length) throw new FilterError('include cannot be used with CSV, use NDJSON instead');
+        const total = req.query.limit === undefined ? Infinity : parseCount('limit', req.query.limit);
+
+        const columns = fields ? String(fields).split(',').map(column => column.trim()) : Object.keys(access.visible.columns);
+        const writer = rowWriter(format, columns);
+        res.type(writer.mediaType);
+
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        // Waits for the client to take what is written before the next batch is read
+        const write = text => new Promise((resolve) => {
+            if (!text || res.write(text)) return resolve();
+            const done = () => {
+                res.removeListener('drain', done);
+                res.removeListener('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+
+        let sent = 0;
+        let after = null;
+        while (sent < total && !closed) {
+            const size = Math.min(streaming.batchSize, total - sent);
+            const rows = await selectRows(plan, plan.keyset ? { after, limit: size } : { limit: size, offset: sent });
+            if (rows.length) after = rowPosition(plan.order, rows[rows.length - 1], db.formatDateTime);
+            sent += rows.length;
+
+            await write(writer.rows(await operations.afterRead(req, plan.table, await withRelations(req, rows, plan.includes, plan.columns.hidden))));
+            if (rows.length < size) break;
+        }
+        res.end(writer.end());
+    };
+
+    /**
+     * Imports a CSV or NDJSON body into a table, `streaming.batchSize` rows at a time, as a partial
+     * bulk insert: the valid rows of each batch are inserted and the others reported by line. The body
+     * is read as the batches are inserted, so it is never held in memory as a whole.
+     * @param {Object} req - Express request
+     * @param {string} format - 'csv' or 'ndjson'
+     * @returns {Promise<Object>} - `{ inserted, failed, errors }`, where `errors` holds the line and problem document
+     *                              of the first failed rows
+     */
+    const importRows = async (req, format) => {
+        const source = importSource(req, streaming);
+        const items = format === 'csv' ? csvImport(source, schema, req.table, streaming) : ndjsonImport(source, streaming);
+        const summary = { inserted: 0, failed: 0, errors: [] };
+        const report = (line, outcome) => {
+            summary.failed += 1;
+            if (summary.errors.length < MAX_IMPORT_ERRORS) summary.errors.push({ line, ...outcome });
+        };
+
+        // Rows that cannot be read stay in their batch, so that errors are reported in the order of the lines
+        let batch = [];
+        const flush = async () => {
+            const rows = batch.filter(item => !item.error);
+            const results = rows.length ? await operations.createMany(req, req.table, rows.map(({ record }) => record), { atomic: false }) : [];
+            results.forEach(({ index, ...outcome }) => { rows[index].outcome = outcome; });
+            for (const { line, error, outcome } of batch) {
+                if (error) report(line, describeError(new ApiError(400, error, 'malformed_row')).body);
+                else if (outcome.status === 201) summary.inserted += 1;
+                else report(line, outcome);
+            }
+            batch = [];
+        };
+
+        let pending = 0;
         try {
-            const db = getDatabase();
-            let rows;
-    
-            // Execute the query with parameters (parameterized query for safety)
-            if (db.query) {
-                // MySQL
-                [rows] = await db.query(query, params);
-            } else {
-                // SQLite
-                rows = await db.all(query, params);
+            for await (const item of items) {
+                batch.push(item);
+                if (!item.error) pending += 1;
+                if (pending >= streaming.batchSize) {
+                    await flush();
+                    pending = 0;
+                }
             }
-    
-            return res.json(rows);
         } catch (error) {
-            return res.status(500).json({ error: 'Database query failed', details: error.message });
-        }
-    });
-    
-  
-    // GET: Fetch entire table or single object by ident
-    router.get('/:table', validateApiKey(), checkScope('read'), async (req, res) => {
-        const { table } = req.params;
-        const { where, order, limit, offset } = req.query; // capture query params
-        
-        // Check if the table is in the disabled list
-        if (disabledTables.includes(table)) {
-            return res.status(500).json({ error: 'You do not have permission to access this resource!' });
+            // The batches before a body or line that is too large are committed, so say how many rows they held
+            if (error instanceof ApiError && error.status === 413) {
+                throw new ApiError(413, error.message, error.code, { inserted: summary.inserted });
+            }
+            throw error;
         }
-    
-        // Construct the SQL query safely with defaults
-        let query = `SELECT * FROM ${table}`;
-        const params = [];
-    
-        // Add WHERE clause if specified (parameterized)
-        if (where) {
-            query += ' WHERE ' + where; // Validate this or use a safe mechanism to build the WHERE clause
-            // You might want to sanitize 'where' to ensure it's a safe and valid SQL fragment
+        await flush();
+        return summary;
+    };
+
+    /**
+     * Responds with a page, with its links also in an RFC 8288 `Link` header.
+     */
+    const sendPage = (res, page) => {
+        const { self, ...others } = page.links;
+        const header = linkHeader(others);
+        if (header) res.set('Link', header);
+        return res.json(page);
+    };
+
+    /**
+     * Reports errors of a read.
+     */
+    const readFailed = (res, error) => sendProblem(res, error, 'Database query failed');
+
+    /**
+     * Responds with the per-item results of a bulk request: 200 when every item succeeded, 207 when
+     * some failed in partial mode, and the status of the first failure when an atomic request was undone.
+     * @param {Object} messages - `{ success, partial, failure }` messages for the three cases
+     */
+    const sendResults = (res, results, atomic, messages) => {
+        const failed = results.find(result => result.status >= 400 && result.status !== 424);
+        if (!failed) return res.json({ message: messages.success, results });
+        if (atomic) return sendProblem(res, new ApiError(failed.status, messages.failure, failed.code, { results }));
+        return res.status(207).json({ message: messages.partial, results });
+    };
+
+    // Custom routes go first, so that a path such as /orders/summary is not taken for a record
+    if (config.extend) {
+        config.extend(router, {
+            db,
+            schema,
+            operations,
+            ApiError,
+            HttpError,
+            // Middleware that checks the API key, counts the request against its limits and, when given, checks a scope
+            authenticate: (scope) => [validateApiKey(), limiter, ...(scope ? [checkScope(scope)] : [])],
+            // Wraps an async handler so that errors it throws are answered like those of the generated routes
+            handle: (handler) => async (req, res, next) => {
+                try {
+                    await handler(req, res, next);
+                } catch (error) {
+                    sendProblem(res, error, 'Request failed');
+                }
+            },
+        });
+    }
+
+    // POST: Run operations across tables, e.g. { "operations": [{ "method": "POST", "table": "orders", "body": {...} }] }.
+    // Registered before the table routes, which would otherwise take _batch for a table name
+    router.post('/_batch', validateApiKey(), limiter, async (req, res) => {
+        const { operations: batch, mode } = req.body || {};
+        try {
+            const atomic = parseMode(mode);
+            const results = await operations.batch(req, batch, { atomic });
+            return sendResults(res, results, atomic, {
+                success: 'Batch completed successfully',
+                partial: 'Some operations failed',
+                failure: 'Batch rolled back',
+            });
+        } catch (error) {
+            return sendProblem(res, error, 'Batch failed');
         }
-    
-        // Add ORDER BY clause if specified
-        if (order) {
-            query += ' ORDER BY ' + order; // Validate order parameter to prevent SQL injection
+    });
+
+    // GET: Subscribe to the changes of a table, as Server-Sent Events or, for WebSocket upgrades, over
+    // the socket. Registered before the record routes, which would otherwise take _changes for an ident
+    if (changeFeed) {
+        const changes = changeOptions(config.changes);
+
+        // POST: Issue a short-lived token to subscribe with as ?access_token=, for browsers, which cannot send
+        // the x-api-key header with an EventSource or a WebSocket. Scopes are checked when the token is used
+        if (streamTokens) {
+            router.post('/_changes/token', validateApiKey(), limiter, (req, res) => {
+                const { token, expiresAt } = streamTokens.issue({ apiKey: req.header('x-api-key'), tenant: req.tenant || null });
+                return res.status(201).json({ token, expiresAt });
+            });
         }
-    
-        // Add LIMIT and OFFSET for pagination
-        if (limit) {
+
+        router.get('/:table/_changes', validateApiKey(), limiter, checkScope('read'), resolveTable(), readableTable, async (req, res) => {
+            const { filter } = req.query;
+            const table = req.table;
+            const columns = Object.keys(req.visibleTable.columns);
+            let policy;
+            try {
+                // Checks the filter against the columns the key may read
+                compileFilter(filter, req.visibleTable, db.quote);
+                policy = operations.rowPolicy(req.apiKeyData, table);
+            } catch (error) {
+                return readFailed(res, error);
+            }
+
+            let opening;
+            try {
+                opening = req.upgradeHead !== undefined ? socketStream(req, res, changes) : Promise.resolve(eventStream(req, res, changes));
+            } catch (error) {
+                return sendProblem(res, error, 'Could not open the change feed');
+            }
+
+            // Events wait for the stream to open and go out in order, each after the afterRead hook of the one before
+            let queue = opening;
+            const send = (message) => {
+                queue = queue.then(async (stream) => {
+                    try {
+                        stream.send(await message());
+                    } catch (error) {
+                        contextOf(req).logger.error('Error sending a change', { requestId: req.id, error });
+                    }
+                    return stream;
+                });
+            };
+
+            // An update is sent when the row matched before or matches now, so that subscribers see rows leave the filter
+            const accepts = (row) => Boolean(row) && (!policy || matchesFilter(policy.filter, row)) && matchesFilter(filter, row);
+            const deliver = (entry) => {
+                if (entry.table !== table.name || !(accepts(entry.row) || accepts(entry.before))) return;
+                send(async () => {
+                    const visible = Object.fromEntries(columns.filter(column => column in entry.row).map(column => [column, entry.row[column]]));
+                    const [row] = await operations.afterRead(req, table, [visible]);
+                    return {
+                        id: entry.id,
+                        event: entry.operation,
+                        data: { table: table.name, ident: columns.includes(keyColumn(table)) ? entry.ident : null, time: entry.time, row },
+                    };
+                });
+            };
+
+            // Subscribed before the stream opens, so that no event falls between the missed ones and the live ones
+            const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+            const missed = lastEventId === undefined ? [] : changeFeed.since(lastEventId);
+            const unsubscribe = changeFeed.subscribe(deliver);
+            if (missed) missed.forEach(deliver);
+            else send(() => ({ event: 'reset', data: { error: 'Some changes since the last event are no longer available; read the table again' } }));
+
+            await (await opening).closed;
+            unsubscribe();
+        });
+    }
+
+    // GET: Group and count the rows of a table, e.g. /orders/_aggregate?groupBy=status&metrics=count,sum:total.
+    // Registered before the record routes, which would otherwise take _aggregate for an ident
+    router.get('/:table/_aggregate', validateApiKey(), limiter, checkScope('read'), resolveTable(), readableTable, applyPolicy, async (req, res) => {
+        try {
+            const aggregate = compileAggregate(req.query, req.visibleTable, db);
+            const limit = pageLimit(req.query.limit, config.pagination);
+            const offset = parseCount('offset', req.query.offset);
+            // Restricted to the rows the key may see
+            const matching = allOf(compileFilter(req.query.filter, req.visibleTable, db.quote), req.policy);
+
+            let query = `SELECT ${aggregate.select} FROM ${db.quote(req.table.name)}`;
+            if (matching.sql) query += ' WHERE ' + matching.sql;
+            if (aggregate.groupBy) query += ' GROUP BY ' + aggregate.groupBy;
+            if (aggregate.having.sql) query += ' HAVING ' + aggregate.having.sql;
+            if (aggregate.orderBy) query += ' ORDER BY ' + aggregate.orderBy;
             query += ' LIMIT ?';
-            params.push(parseInt(limit, 10));
+            const params = [...matching.params, ...aggregate.having.params, limit + 1];
+            if (offset !== undefined) {
+                query += ' OFFSET ?';
+                params.push(offset);
+            }
+
+            const rows = await db.select(query, params);
+            const meta = { limit, hasMore: rows.length > limit };
+            if (offset !== undefined) meta.offset = offset;
+            return res.json({ data: rows.slice(0, limit).map(aggregate.read), meta });
+        } catch (error) {
+            return readFailed(res, error);
         }
-        if (offset) {
-            query += ' OFFSET ?';
-            params.push(parseInt(offset, 10));
+    });
+
+    // GET: Fetch a page of objects, or every object as CSV or NDJSON
+    router.get('/:table', validateApiKey(), limiter, checkScope('read'), resolveTable(), readableTable, applyPolicy, async (req, res) => {
+        const { where, order } = req.query;
+
+        if (where !== undefined || order !== undefined) {
+            return sendProblem(res, new ApiError(400, 'The where and order parameters are no longer supported, use filter and sort instead', 'invalid_query'));
         }
-    
+
+        res.vary('Accept');
         try {
-            const db = getDatabase();
-            let rows;
-    
-            // Execute the query with parameters (parameterized query for safety)
-            if (db.query) {
-                // MySQL
-                [rows] = await db.query(query, params);
-            } else {
-                // SQLite
-                rows = await db.all(query, params);
-            }
-    
-            return res.json(rows);
+            const access = { table: req.table, visible: req.visibleTable, policy: req.policy };
+            const format = responseFormat(req);
+            if (format !== 'json') return await streamList(req, res, format, access);
+            return sendPage(res, await listPage(req, access));
         } catch (error) {
-            return res.status(500).json({ error: 'Database query failed', details: error.message });
+            // A failure halfway through an export can only cut the response short
+            if (res.headersSent) return res.destroy();
+            return readFailed(res, error);
         }
     });
     
+  
+    // GET: Fetch a single object by ident
+    router.get('/:table/:ident', validateApiKey(), limiter, checkScope('read'), resolveTable(), readableTable, applyPolicy, async (req, res) => {
+        const { ident } = req.params;
+        const table = req.table.name;
 
-    // POST: Insert a new object into the table
-    router.post('/:table', validateApiKey(), checkScope('write'), async (req, res) => {
-        const { table } = req.params;
-        if(disabledTables.includes(table))
-            return res.status(500).json({ error: 'You do not have permission to access this resource!'});
-        const data = req.body;
-
-        try {
-            const db = getDatabase();
-            const columns = Object.keys(data).join(', ');
-            const placeholders = Object.keys(data).map(() => '?').join(', ');
-            const values = Object.values(data);
-
-            const query = `INSERT INTO ${table} (${columns}) VALUES (${placeholders})`;
-
-            let result;
-            if (db.query) {
-                // MySQL
-                [result] = await db.query(query, values);
-                return res.json({ message: 'Item inserted successfully', id: result.insertId });
-            } else {
-                // SQLite
-                result = await db.run(query, values);
-                return res.json({ message: 'Item inserted successfully', id: result.lastID });
+        let columns;
+        let includes;
+        try {
+            includes = parseIncludes(req.apiKeyData, req.table, req.query.include);
+            columns = selectList(req.visibleTable, req.table, req.query.fields, [
+                ...includes.map(({ relation }) => relation.column),
+                ...operations.etagColumns(req.table),
+            ]);
+        } catch (error) {
+            return readFailed(res, error);
+        }
+
+        const key = identColumn(req.table, ident);
+        if (!key) {
+            return sendProblem(res, notFound());
+        }
+
+        try {
+            const match = allOf({ sql: `${db.quote(key)} = ?`, params: [ident] }, req.policy);
+            const query = `SELECT ${columns.sql} FROM ${db.quote(table)} WHERE ${match.sql} LIMIT 1`;
+            const [row] = await db.select(query, match.params);
+
+            if (!row) {
+                return sendProblem(res, notFound());
             }
+            // Express answers If-None-Match with 304 once the ETag is set
+            res.set('ETag', operations.etag(req.table, row));
+            const [result] = await operations.afterRead(req, req.table, await withRelations(req, [row], includes, columns.hidden));
+            return res.json(result);
         } catch (error) {
-            return  res.status(500).json({ error: 'Insert operation failed', details: error.message });
+            return readFailed(res, error);
         }
     });
 
-    // PUT: Update an existing object by ident
-    router.put('/:table/:ident', validateApiKey(), checkScope('write'), async (req, res) => {
-        const { table, ident } = req.params;
-        if(disabledTables.includes(table))
-            return res.status(500).json({ error: 'You do not have permission to access this resource!'});
-        const data = req.body;
+    // GET: Fetch the rows related to an object, e.g. /customers/1/orders
+    router.get('/:table/:ident/:relation', validateApiKey(), limiter, checkScope('read'), resolveTable(), readableTable, applyPolicy, async (req, res) => {
+        const { ident } = req.params;
+        const table = req.table.name;
+
+        const relation = schema.getRelation(table, req.params.relation);
+        if (!relation) {
+            return sendProblem(res, new ApiError(404, `Table '${table}' has no relation '${req.params.relation}'`, 'relation_not_found'));
+        }
+
+        const key = identColumn(req.table, ident);
+        if (!key) {
+            return sendProblem(res, notFound());
+        }
 
         try {
-            const db = getDatabase();
-            const setClause = Object.keys(data).map(key => `${key} = ?`).join(', ');
-            const values = [...Object.values(data), ident];
+            const access = readAccess(req.apiKeyData, schema.getTable(relation.table));
 
-            const key = validateGUID(ident) ? 'guid' : 'id';
-            const query = `UPDATE ${table} SET ${setClause} WHERE ${key} = ?`;
+            const match = allOf({ sql: `${db.quote(key)} = ?`, params: [ident] }, req.policy);
+            const [parent] = await db.select(`SELECT ${db.quote(relation.column)} FROM ${db.quote(table)} WHERE ${match.sql} LIMIT 1`, match.params);
+            if (!parent) {
+                return sendProblem(res, notFound());
+            }
+
+            const link = parent[relation.column];
+            const condition = link === null || link === undefined
+                ? { sql: '1 = 0', params: [] }
+                : { sql: `${db.quote(relation.foreignColumn)} = ?`, params: [link] };
+
+            if (relation.kind === 'many') {
+                res.vary('Accept');
+                const format = responseFormat(req);
+                if (format !== 'json') return await streamList(req, res, format, access, condition);
+                return sendPage(res, await listPage(req, access, condition));
+            }
+            const page = await listPage(req, access, condition);
+            if (!page.data.length) return sendProblem(res, notFound());
+            return res.json(page.data[0]);
+        } catch (error) {
+            if (res.headersSent) return res.destroy();
+            return readFailed(res, error);
+        }
+    });
+
+    // POST: Insert a new object into the table, several when the body is an array, or every row of a CSV or NDJSON body
+    router.post('/:table', validateApiKey(), limiter, checkScope('write'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const format = requestFormat(req);
+            if (format) {
+                if (req.query.mode !== undefined && req.query.mode !== 'partial') {
+                    throw new ApiError(400, 'Imports insert the valid rows of each batch, send a JSON array for an atomic insert');
+                }
+                const summary = await importRows(req, format);
+                return summary.failed
+                    ? res.status(207).json({ message: 'Some items could not be imported', ...summary })
+                    : res.json({ message: 'Items imported successfully', ...summary });
+            }
 
-            let result;
-            if (db.query) {
-                // MySQL
-                [result] = await db.query(query, values);
-            } else {
-                // SQLite
-                result = await db.run(query, values);
+            if (Array.isArray(req.body)) {
+                const atomic = parseMode(req.query.mode);
+                const results = await operations.createMany(req, req.table, req.body, { atomic });
+                return sendResults(res, results, atomic, {
+                    success: 'Items inserted successfully',
+                    partial: 'Some items could not be inserted',
+                    failure: 'No items were inserted',
+                });
             }
 
-            return res.json({ message: 'Item updated successfully', changes: result.changes || result.affectedRows });
+            const id = await operations.create(req, req.table, req.body);
+            return res.json({ message: 'Item inserted successfully', id });
         } catch (error) {
-            return res.status(500).json({ error: 'Update operation failed', details: error.message });
+            return sendProblem(res, error, 'Insert operation failed');
         }
     });
 
-    // DELETE: Remove an object by ident
-    router.delete('/:table/:ident', validateApiKey(), checkScope('delete'), async (req, res) => {
-        const { table, ident } = req.params;
-        if(disabledTables.includes(table))
-            return res.status(500).json({ error: 'You do not have permission to access this resource!'});
+    // PATCH: Update every object matching the filter
+    router.patch('/:table', validateApiKey(), limiter, checkScope('write'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const changes = await operations.updateWhere(req, req.table, req.query.filter, req.body);
+            return res.json({ message: 'Items updated successfully', changes });
+        } catch (error) {
+            return sendProblem(res, error, 'Update operation failed');
+        }
+    });
 
+    // DELETE: Remove every object matching the filter
+    router.delete('/:table', validateApiKey(), limiter, checkScope('delete'), resolveTable({ write: true }), async (req, res) => {
         try {
-            const db = getDatabase();
-            const key = validateGUID(ident) ? 'guid' : 'id';
-            const query = `DELETE FROM ${table} WHERE ${key} = ?`;
+            const changes = await operations.removeWhere(req, req.table, req.query.filter);
+            return res.json({ message: 'Items deleted successfully', changes });
+        } catch (error) {
+            return sendProblem(res, error, 'Delete operation failed');
+        }
+    });
 
-            let result;
-            if (db.query) {
-                // MySQL
-                [result] = await db.query(query, [ident]);
-            } else {
-                // SQLite
-                result = await db.run(query, [ident]);
-            }
+    // PUT: Replace an object by ident, or create it when the table allows upserts
+    router.put('/:table/:ident', validateApiKey(), limiter, checkScope('write'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const result = await operations.replace(req, req.table, req.params.ident, req.body, {
+                ifMatch: req.get('If-Match'),
+                upsert: schema.canUpsert(req.table.name),
+            });
+            if (result.created) return res.status(201).json({ message: 'Item inserted successfully', id: result.id });
+            return res.json({ message: 'Item updated successfully', changes: result.changes });
+        } catch (error) {
+            return sendProblem(res, error, 'Update operation failed');
+        }
+    });
+
+    // PATCH: Update the columns of an object that the body sets
+    router.patch('/:table/:ident', validateApiKey(), limiter, checkScope('write'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const changes = await operations.update(req, req.table, req.params.ident, req.body, { ifMatch: req.get('If-Match') });
+            return res.json({ message: 'Item updated successfully', changes });
+        } catch (error) {
+            return sendProblem(res, error, 'Update operation failed');
+        }
+    });
 
-            return res.json({ message: 'Item deleted successfully', changes: result.changes || result.affectedRows });
+    // DELETE: Remove an object by ident, or mark it as deleted on a soft-delete table
+    router.delete('/:table/:ident', validateApiKey(), limiter, checkScope('delete'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const changes = await operations.remove(req, req.table, req.params.ident, { ifMatch: req.get('If-Match') });
+            return res.json({ message: 'Item deleted successfully', changes });
+        } catch (error) {
+            return sendProblem(res, error, 'Delete operation failed');
+        }
+    });
+
+    // POST: Restore a soft-deleted object
+    router.post('/:table/:ident/_restore', validateApiKey(), limiter, checkScope('restore'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const changes = await operations.restore(req, req.table, req.params.ident, { ifMatch: req.get('If-Match') });
+            return res.json({ message: 'Item restored successfully', changes });
+        } catch (error) {
+            return sendProblem(res, error, 'Restore operation failed');
+        }
+    });
+
+    // DELETE: Remove an object of a soft-delete table for good, deleted or not
+    router.delete('/:table/:ident/_purge', validateApiKey(), limiter, checkScope('purge'), resolveTable({ write: true }), async (req, res) => {
+        try {
+            const changes = await operations.purge(req, req.table, req.params.ident, { ifMatch: req.get('If-Match') });
+            return res.json({ message: 'Item purged successfully', changes });
         } catch (error) {
-            return res.status(500).json({ error: 'Delete operation failed', details: error.message });
+            return sendProblem(res, error, 'Purge operation failed');
         }
     });
 
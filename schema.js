@@ -0,0 +1,153 @@
+const { auditOptions } = require('./audit');
+
+// Tables the generated API never exposes, regardless of configuration
+const disabledTables = ['api_keys'];
+
+/**
+ * Classifies a column's database type into one of a few portable kinds.
+ * @param {Object} column - Column metadata from introspection
+ * @returns {string} - 'integer', 'number', 'boolean', 'date', 'datetime', 'time', 'json', 'binary' or 'string'
+ */
+const columnKind = (column) => {
+    const type = column.type;
+    if (/^bool/.test(type)) return 'boolean';
+    if (/int|serial/.test(type)) return 'integer';
+    if (/^(decimal|numeric|float|double|real|money)/.test(type)) return 'number';
+    if (type === 'date') return 'date';
+    if (/^(datetime|timestamp)/.test(type)) return 'datetime';
+    if (/^time/.test(type)) return 'time';
+    if (/^json/.test(type)) return 'json';
+    if (/blob|binary|bytea/.test(type)) return 'binary';
+    return 'string';
+};
+
+/**
+ * Reads the tables and columns of the connected database.
+ * @param {Object} db - Database adapter returned by configureDatabase
+ * @returns {Promise<Object>} - Map of table name to `{ name, view, primaryKey, columns, foreignKeys }`
+ */
+async function introspectSchema(db) {
+    return db.introspect();
+}
+
+/**
+ * Derives the relations of every table from the foreign keys. A key `orders.customer_id -> customers.id`
+ * gives `orders.customer`, the row an order belongs to, and `customers.orders`, the rows a customer has.
+ * A relation is `{ name, kind, table, column, foreignColumn }`: rows of `table` whose `foreignColumn`
+ * equals the `column` of this table, and `kind` is 'one' or 'many'.
+ * @param {Object} tables - Map returned by introspectSchema
+ * @returns {Object} - Map of table name to a map of relation name to relation
+ */
+const buildRelations = (tables) => {
+    const relations = {};
+    for (const name of Object.keys(tables)) relations[name] = {};
+
+    const add = (owner, relation, fallback) => {
+        const taken = (name) => tables[owner].columns[name] || relations[owner][name];
+        const name = taken(relation.name) ? fallback : relation.name;
+        if (!taken(name)) relations[owner][name] = { ...relation, name };
+    };
+
+    for (const table of Object.values(tables)) {
+        for (const { column, references } of table.foreignKeys || []) {
+            const target = tables[references.table];
+            if (!target || !references.column) continue;
+
+            // customer_id -> customer; a key without the _id suffix is named after the table it references
+            const one = column.replace(/_id$/i, '');
+            add(table.name, {
+                name: one !== column ? one : references.table,
+                kind: 'one',
+                table: references.table,
+                column,
+                foreignColumn: references.column,
+            }, `${references.table}_by_${column}`);
+
+            // Several keys into the same table (sender_id, recipient_id) need the column in the name
+            const siblings = table.foreignKeys.filter(key => key.references.table === references.table).length;
+            add(references.table, {
+                name: siblings > 1 ? `${table.name}_by_${column}` : table.name,
+                kind: 'many',
+                table: table.name,
+                column: references.column,
+                foreignColumn: column,
+            }, `${table.name}_by_${column}`);
+        }
+    }
+    return relations;
+};
+
+/**
+ * Wraps introspected tables with the exposure rules from the initializeAPI config.
+ * The rules are read on every lookup, so changes to `config.tables` apply immediately.
+ * @param {Object} tables - Map returned by introspectSchema
+ * @param {Object} config - initializeAPI configuration object
+ * @returns {Object} - Schema with `getTable`, `listTables`, `isReadOnly`, `unknownColumns`, `getRelation` and `listRelations`
+ */
+function createSchema(tables, config = {}) {
+    const rules = () => config.tables || {};
+    const relations = buildRelations(tables);
+    // The audit log may live in the same database, but is only read through `/_audit`
+    const audit = auditOptions(config.audit);
+
+    const isExposed = (name) => {
+        const { include, exclude = [] } = rules();
+        if (!Object.prototype.hasOwnProperty.call(tables, name)) return false;
+        if (disabledTables.includes(name) || exclude.includes(name)) return false;
+        if (audit && audit.table === name) return false;
+        return !include || include.includes(name);
+    };
+
+    return {
+        tables,
+
+        /**
+         * @param {string} name - Table name from the request
+         * @returns {Object|null} - Table metadata, or null when the table is not exposed
+         */
+        getTable: (name) => (isExposed(name) ? tables[name] : null),
+
+        /**
+         * @returns {Array<Object>} - Metadata of every exposed table
+         */
+        listTables: () => Object.keys(tables).filter(isExposed).map(name => tables[name]),
+
+        /**
+         * @param {string} name - Table name
+         * @returns {boolean} - True if the table only accepts reads
+         */
+        isReadOnly: (name) => tables[name].view || (rules().readOnly || []).includes(name),
+
+        /**
+         * @param {string} name - Table name
+         * @returns {boolean} - True if PUT creates the record when its ident does not exist yet
+         */
+        canUpsert: (name) => (rules().upsert || []).includes(name),
+
+        /**
+         * @param {Object} table - Table metadata
+         * @param {Array<string>} columns - Column names to check
+         * @returns {Array<string>} - The names that are not columns of the table
+         */
+        unknownColumns: (table, columns) => columns.filter(column =>
+            !Object.prototype.hasOwnProperty.call(table.columns, column)),
+
+        /**
+         * @param {string} table - Table name
+         * @param {string} name - Relation name from the request
+         * @returns {Object|null} - The relation, or null when there is none or its table is not exposed
+         */
+        getRelation: (table, name) => {
+            const relation = Object.prototype.hasOwnProperty.call(relations[table] || {}, name) ? relations[table][name] : null;
+            return relation && isExposed(relation.table) ? relation : null;
+        },
+
+        /**
+         * @param {string} table - Table name
+         * @returns {Array<Object>} - Relations of the table whose other table is exposed
+         */
+        listRelations: (table) => Object.values(relations[table] || {}).filter(relation => isExposed(relation.table)),
+    };
+}
+
+module.exports = { introspectSchema, createSchema, columnKind, disabledTables };
@@ -0,0 +1,81 @@
+/**
+ * Scope grammar shared by the API key middleware and the generated routes.
+ *
+ *   read                   read every table (same as read:*)
+ *   read:orders            read the orders table
+ *   write:orders.status    write only the status column of orders
+ *   *:orders               every verb on the orders table
+ *   admin                  manage API keys
+ *   *                      everything
+ *
+ * Any part of a scope may be `*`. A scope without a table covers every table.
+ */
+
+/**
+ * Normalizes scopes given as an array or a string separated by commas, semicolons, spaces or pipes.
+ * @param {Array<string>|string} scopes
+ * @returns {Array<string>}
+ */
+const parseScopes = (scopes) => (Array.isArray(scopes) ? scopes : String(scopes || '').split(/[,; |]+/))
+    .map(scope => String(scope).trim())
+    .filter(Boolean);
+
+/**
+ * Splits a scope into its verb, table and column.
+ * @param {string} scope - e.g. `write:orders.status`
+ * @returns {Object} - `{ verb, table, column }`, with `*` for the parts that are not given
+ */
+const parseScope = (scope) => {
+    const colon = scope.indexOf(':');
+    const verb = colon < 0 ? scope : scope.slice(0, colon);
+    const resource = colon < 0 ? '*' : scope.slice(colon + 1) || '*';
+    const dot = resource.indexOf('.');
+    return {
+        verb,
+        table: dot < 0 ? resource : resource.slice(0, dot),
+        column: dot < 0 ? '*' : resource.slice(dot + 1) || '*',
+    };
+};
+
+const matches = (granted, wanted) => granted === '*' || granted === wanted;
+
+/**
+ * Whether a granted scope covers a required one. `read:orders` covers `read:orders.total`,
+ * but not `read`, which asks for every table.
+ * @param {Object} grant - Parsed granted scope
+ * @param {Object} required - Parsed required scope
+ * @returns {boolean}
+ */
+const covers = (grant, required) => matches(grant.verb, required.verb)
+    && matches(grant.table, required.table)
+    && matches(grant.column, required.column);
+
+/**
+ * Checks whether a key's scopes grant a required scope.
+ * @param {Array<string>|string} scopes - Scopes of the API key
+ * @param {string|Object} required - Scope string, or `{ verb, table, column }`
+ * @returns {boolean}
+ */
+function hasScope(scopes, required) {
+    const wanted = typeof required === 'string' ? parseScope(required) : { table: '*', column: '*', ...required };
+    return parseScopes(scopes).some(scope => covers(parseScope(scope), wanted));
+}
+
+/**
+ * Works out which columns of a table a key may use for a verb.
+ * @param {Array<string>|string} scopes - Scopes of the API key
+ * @param {string} verb - 'read', 'write', ...
+ * @param {string} table - Table name
+ * @returns {string|Array<string>|null} - `*` for the whole table, the column names for column scopes, or null for no access
+ */
+function scopeColumns(scopes, verb, table) {
+    if (hasScope(scopes, { verb, table })) return '*';
+
+    const columns = parseScopes(scopes)
+        .map(parseScope)
+        .filter(grant => matches(grant.verb, verb) && matches(grant.table, table) && grant.column !== '*')
+        .map(grant => grant.column);
+    return columns.length ? [...new Set(columns)] : null;
+}
+
+module.exports = { parseScopes, parseScope, hasScope, scopeColumns };
@@ -0,0 +1,221 @@
+const { columnKind } = require('./schema');
+const { FilterError } = require('./filters');
+
+/**
+ * Full-text search of the `q` parameter of the list routes, over the columns `config.search` names
+ * per table. Every word of `q` has to match one of the columns.
+ *
+ *   search: { articles: ['title', 'body'] }       GET /articles?q=solar panels
+ *
+ * On SQLite the columns are indexed in an FTS5 table, `articles_search`, that triggers keep in step
+ * with the table. On MySQL they get a FULLTEXT index of the same name. Both rank results by relevance.
+ * Other databases, views, and SQLite builds without FTS5 match each word with LIKE instead, unranked.
+ */
+
+// Words of `q` beyond this are refused, so that a query cannot grow without bound
+const MAX_WORDS = 32;
+
+const indexName = (table) => `${table}_search`;
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Matches words with LIKE, ignoring case. Works on every database, but cannot use an index or rank.
+ */
+const like = {
+    condition: (db, table, columns, words) => {
+        const params = [];
+        const sql = words.map((word) => {
+            // `!` escapes the wildcards, since backslashes mean different things to each database
+            const pattern = `%${word.toLowerCase().replace(/[!%_]/g, '!$&')}%`;
+            return `(${columns.map((column) => {
+                params.push(pattern);
+                return `LOWER(${db.quote(column)}) LIKE ? ESCAPE '!'`;
+            }).join(' OR ')})`;
+        }).join(' AND ');
+        return { sql, params };
+    },
+    rank: () => null,
+};
+
+/**
+ * SQLite FTS5, with an external content table: the index holds no copy of the text, only the rowids.
+ */
+const fts5 = {
+    /**
+     * Creates the FTS5 table and its triggers, or recreates them when the columns changed.
+     * @returns {Promise<Array<string>|null>} - The indexed columns, or null when the table cannot have an index
+     */
+    async prepare(db, table, columns) {
+        const q = db.quote;
+        const name = indexName(table.name);
+        const [definition] = await db.select("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table.name]);
+        if (!definition || /\bWITHOUT\s+ROWID\b/i.test(definition.sql)) return null;
+
+        const create = `CREATE VIRTUAL TABLE ${q(name)} USING fts5(${columns.map(q).join(', ')}, content=${literal(table.name)})`;
+        const [existing] = await db.select("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+        const values = (row) => columns.map(column => `${row}.${q(column)}`).join(', ');
+        const insert = `INSERT INTO ${q(name)} (rowid, ${columns.map(q).join(', ')}) VALUES (new.rowid, ${values('new')})`;
+        const remove = `INSERT INTO ${q(name)} (${q(name)}, rowid, ${columns.map(q).join(', ')}) VALUES ('delete', old.rowid, ${values('old')})`;
+
+        try {
+            await db.transaction(async (tx) => {
+                for (const event of ['insert', 'update', 'delete']) await tx.execute(`DROP TRIGGER IF EXISTS ${q(`${name}_${event}`)}`);
+                if (!existing || existing.sql !== create) {
+                    if (existing) await tx.execute(`DROP TABLE ${q(name)}`);
+                    await tx.execute(create);
+                    await tx.execute(`INSERT INTO ${q(name)} (${q(name)}) VALUES ('rebuild')`);
+                }
+                await tx.execute(`CREATE TRIGGER ${q(`${name}_insert`)} AFTER INSERT ON ${q(table.name)} BEGIN ${insert}; END`);
+                await tx.execute(`CREATE TRIGGER ${q(`${name}_update`)} AFTER UPDATE ON ${q(table.name)} BEGIN ${remove}; ${insert}; END`);
+                await tx.execute(`CREATE TRIGGER ${q(`${name}_delete`)} AFTER DELETE ON ${q(table.name)} BEGIN ${remove}; END`);
+            });
+        } catch (error) {
+            if (/no such module/i.test(error.message)) return null;
+            throw error;
+        }
+        return columns;
+    },
+
+    // Each word is quoted, so that FTS5 query syntax in `q` is searched for rather than run
+    match: (words) => words.map(word => `"${word.replace(/"/g, '""')}"`).join(' '),
+
+    condition(db, table, columns, words) {
+        const name = db.quote(indexName(table.name));
+        return { sql: `${db.quote(table.name)}.rowid IN (SELECT rowid FROM ${name} WHERE ${name} MATCH ?)`, params: [fts5.match(words)] };
+    },
+
+    // bm25 is lower for better matches
+    rank(db, table, columns, words) {
+        const name = db.quote(indexName(table.name));
+        return {
+            sql: `(SELECT bm25(${name}) FROM ${name} WHERE ${name} MATCH ? AND rowid = ${db.quote(table.name)}.rowid)`,
+            params: [fts5.match(words)],
+            descending: false,
+        };
+    },
+};
+
+/**
+ * MySQL FULLTEXT indexes, searched in boolean mode so that every word is required.
+ */
+const fulltext = {
+    /**
+     * Finds a FULLTEXT index on exactly the columns, or creates one.
+     * @returns {Promise<Array<string>|null>} - The columns in the order of the index, which MATCH has to name
+     */
+    async prepare(db, table, columns) {
+        if (table.view) return null;
+        const q = db.quote;
+        const rows = await db.select(`SELECT INDEX_NAME AS index_name, COLUMN_NAME AS column_name FROM information_schema.STATISTICS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_TYPE = 'FULLTEXT' ORDER BY INDEX_NAME, SEQ_IN_INDEX`, [table.name]);
+        const indexes = new Map();
+        for (const row of rows) indexes.set(row.index_name, [...(indexes.get(row.index_name) || []), row.column_name]);
+
+        const wanted = [...columns].sort().join(',');
+        for (const indexed of indexes.values()) {
+            if ([...indexed].sort().join(',') === wanted) return indexed;
+        }
+        const name = indexName(table.name);
+        if (indexes.has(name)) await db.execute(`DROP INDEX ${q(name)} ON ${q(table.name)}`);
+        await db.execute(`CREATE FULLTEXT INDEX ${q(name)} ON ${q(table.name)} (${columns.map(q).join(', ')})`);
+        return columns;
+    },
+
+    // `+` requires each word; quotes keep boolean operators in `q` from being run
+    match: (words) => words.map(word => `+"${word.replace(/"/g, ' ')}"`).join(' '),
+
+    condition: (db, table, columns, words) => ({
+        sql: `MATCH (${columns.map(db.quote).join(', ')}) AGAINST (? IN BOOLEAN MODE)`,
+        params: [fulltext.match(words)],
+    }),
+
+    rank: (db, table, columns, words) => ({
+        sql: `MATCH (${columns.map(db.quote).join(', ')}) AGAINST (? IN BOOLEAN MODE)`,
+        params: [fulltext.match(words)],
+        descending: true,
+    }),
+};
+
+const engines = { sqlite: fts5, mysql: fulltext };
+
+/**
+ * Sets up the search indexes of the tables in `config.search`. Called once the schema has been read,
+ * so that the FTS5 tables it creates are not taken for tables of the API.
+ * @param {Object} db - Database adapter returned by configureDatabase
+ * @param {Object} schema - Schema returned by createSchema
+ * @param {Object} [search] - `config.search`: `{ table: [columns] }`
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger with `info`, `warn` and `error` (default: console)
+ * @returns {Promise<Object>} - Search with `searchable`, `condition` and `rank`
+ */
+async function createSearch(db, schema, search = {}, { logger = console } = {}) {
+    const indexes = {};
+    for (const [name, columns] of Object.entries(search)) {
+        const table = schema.tables[name];
+        if (!table) throw new Error(`search: table '${name}' does not exist`);
+        if (!Array.isArray(columns) || !columns.length) throw new Error(`search: the columns of '${name}' must be a non-empty array`);
+        for (const column of columns) {
+            if (!table.columns[column]) throw new Error(`search: table '${name}' has no column '${column}'`);
+            if (columnKind(table.columns[column]) !== 'string') throw new Error(`search: '${name}.${column}' must be a text column`);
+        }
+
+        const engine = engines[db.type];
+        const indexed = engine && await engine.prepare(db, table, columns);
+        if (engine && !indexed) logger.warn(`search: '${name}' cannot have a full-text index, it is searched with LIKE`);
+        indexes[name] = indexed ? { engine, columns: indexed } : { engine: like, columns };
+    }
+
+    /**
+     * The words of `q`, for a table with search columns.
+     */
+    const wordsOf = (table, text) => {
+        if (text === undefined) return null;
+        if (typeof text !== 'string') throw new FilterError('q must be a single string');
+        if (!indexes[table.name]) throw new FilterError(`Table '${table.name}' cannot be searched`);
+        const words = text.split(/\s+/).filter(Boolean);
+        if (words.length > MAX_WORDS) throw new FilterError(`q can have at most ${MAX_WORDS} words`);
+        return words.length ? words : null;
+    };
+
+    return {
+        /**
+         * @param {Object} table - Table metadata from the schema
+         * @returns {boolean} - Whether the table has search columns
+         */
+        searchable: (table) => Boolean(indexes[table.name]),
+
+        /**
+         * @param {Object} table - Table metadata from the schema
+         * @param {Object} visible - The table narrowed to the columns a key may read
+         * @returns {boolean} - Whether the key may read every search column, which `q` matches against
+         */
+        readable: (table, visible) => indexes[table.name].columns.every(column => Boolean(visible.columns[column])),
+
+        /**
+         * The condition that rows match `q`.
+         * @param {Object} table - Table metadata from the schema
+         * @param {string} [text] - The `q` parameter
+         * @returns {Object|null} - `{ sql, params }`, or null when there is nothing to search for
+         */
+        condition(table, text) {
+            const words = wordsOf(table, text);
+            if (!words) return null;
+            const { engine, columns } = indexes[table.name];
+            return engine.condition(db, table, columns, words);
+        },
+
+        /**
+         * The relevance of a row to `q`, to order by.
+         * @returns {Object|null} - `{ sql, params, descending }`, or null when results cannot be ranked
+         */
+        rank(table, text) {
+            const words = wordsOf(table, text);
+            if (!words) return null;
+            const { engine, columns } = indexes[table.name];
+            return engine.rank(db, table, columns, words);
+        },
+    };
+}
+
+module.exports = { createSearch };
@@ -0,0 +1,65 @@
+const { ApiError } = require('./errors');
+
+/**
+ * Tenants of a multi-tenant API: each request is served from the database of its tenant, which the
+ * API key's metadata or a header names.
+ *
+ *   tenants: {
+ *       metadata: 'tenant',                     keys created with metadata { tenant: 'acme' } only reach acme
+ *       header: 'x-tenant',                     other keys name their tenant per request
+ *       database: tenant => ({ type: 'postgres', options: { ...server, database: tenant } }),
+ *   }
+ *
+ * A tenant's database is opened and its schema read on its first request, then kept open.
+ */
+
+// Tenant names are passed to `tenants.database`, so only plain names are accepted
+const TENANT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Reads the `tenants` option of the configuration.
+ * @param {Object} [tenants] - `config.tenants`
+ * @returns {Object|null} - `{ header, metadata, database }`, or null without tenants
+ */
+function tenantOptions(tenants) {
+    if (!tenants) return null;
+    const { header = null, metadata = null, database } = tenants;
+    if (typeof database !== 'function') throw new Error('tenants.database must be a function that returns the database configuration of a tenant');
+    if (!header && !metadata) throw new Error('tenants needs a header, a metadata field or both to find the tenant of a request');
+    return { header, metadata, database };
+}
+
+/**
+ * Finds the tenant of requests. A key whose metadata names a tenant is bound to it, and the header
+ * may only repeat that name; other keys reach the tenant the header names.
+ * @param {Object} options - Options returned by tenantOptions
+ * @param {Function} fetchApiKey - Looks up a key, e.g. the `verify` of a key store
+ * @returns {Function} - `(req) => Promise<string>`, which rejects with an ApiError when there is no tenant
+ */
+function tenantResolver({ header, metadata }, fetchApiKey) {
+    return async (req) => {
+        let bound;
+        const apiKey = req.header('x-api-key');
+        if (metadata && apiKey) {
+            const key = await fetchApiKey(apiKey);
+            if (!key) throw new ApiError(403, 'Invalid or inactive API key', 'api_key_invalid');
+            // Saves validateApiKey from looking the key up again
+            req.apiKeyData = key;
+            bound = key.metadata[metadata];
+        }
+
+        const named = header ? req.header(header) : undefined;
+        let tenant = named;
+        if (bound !== undefined && bound !== null) {
+            if (named !== undefined && named !== String(bound)) throw new ApiError(403, 'The API key belongs to another tenant', 'tenant_mismatch');
+            tenant = String(bound);
+        } else if (named === undefined) {
+            if (header) throw new ApiError(400, `Tenant is missing, name it in the ${header} header`, 'tenant_missing');
+            throw apiKey ? new ApiError(403, 'The API key has no tenant', 'tenant_missing') : new ApiError(401, 'API key is missing', 'api_key_missing');
+        }
+        if (!TENANT_NAME.test(tenant)) throw new ApiError(400, 'Tenant names may only contain letters, digits, _ and -', 'tenant_invalid');
+        return tenant;
+    };
+}
+
+module.exports = { tenantOptions, tenantResolver };
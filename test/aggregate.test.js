@@ -0,0 +1,55 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+describe('aggregates', () => {
+    let api;
+    let get;
+
+    before(async () => {
+        api = await startAPI({
+            config: { policies: { orders: { rowFilter: key => (key.customer_id === undefined ? null : { customer_id: key.customer_id }) } } },
+        });
+        get = api.as(await api.key()).get;
+    });
+    after(() => api.close());
+
+    it('counts all matching rows without groupBy', async () => {
+        const res = await get('/orders/_aggregate?filter[status]=paid').expect(200);
+        assert.deepStrictEqual(res.body.data, [{ count: 2 }]);
+    });
+
+    it('groups rows and computes metrics', async () => {
+        const res = await get('/orders/_aggregate?groupBy=status&metrics=count,sum:total,max:total&sort=-sum_total').expect(200);
+        assert.deepStrictEqual(res.body.data, [
+            { status: 'paid', count: 2, sum_total: 27.5, max_total: 20 },
+            { status: 'new', count: 2, sum_total: 15, max_total: 10 },
+        ]);
+    });
+
+    it('filters groups with having', async () => {
+        const res = await get('/orders/_aggregate?groupBy=customer_id&metrics=sum:total&having[sum_total][gt]=6').expect(200);
+        assert.deepStrictEqual(res.body.data, [{ customer_id: 1, sum_total: 30 }, { customer_id: 3, sum_total: 7.5 }]);
+    });
+
+    it('buckets dates', async () => {
+        const res = await get('/orders/_aggregate?groupBy=placed:month&metrics=countDistinct:customer_id').expect(200);
+        assert.deepStrictEqual(res.body.data, [
+            { placed_month: '2024-01-01', countDistinct_customer_id: 1 },
+            { placed_month: '2024-02-01', countDistinct_customer_id: 2 },
+        ]);
+    });
+
+    it('applies row policies', async () => {
+        const own = api.as(await api.key(['read'], { customer_id: 1 }));
+        const res = await own.get('/orders/_aggregate?metrics=count').expect(200);
+        assert.deepStrictEqual(res.body.data, [{ count: 2 }]);
+    });
+
+    it('rejects metrics on columns the key cannot read or use', async () => {
+        await get('/orders/_aggregate?metrics=sum:status').expect(400);
+        await get('/orders/_aggregate?metrics=median:total').expect(400);
+        await get('/orders/_aggregate?metrics=constructor:total').expect(400);
+        const totals = api.as(await api.key(['read:orders.status']));
+        await totals.get('/orders/_aggregate?groupBy=status&metrics=sum:total').expect(400);
+    });
+});
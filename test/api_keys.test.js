@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { openDatabase } = require('../db');
+const { createKeyStore } = require('../api_keys');
+const { startAPI } = require('./helpers');
+
+describe('API keys', () => {
+    let api;
+    let admin;
+
+    before(async () => {
+        api = await startAPI();
+        admin = api.as(await api.key(['admin', 'read']));
+    });
+    after(() => api.close());
+
+    it('creates keys that are only shown once', async () => {
+        const res = await admin.post('/_keys').send({ name: 'ci', scopes: 'read,write' }).expect(201);
+        assert.match(res.body.key, /^eag_/);
+        assert.ok(res.body.key.startsWith(res.body.prefix));
+        assert.deepStrictEqual(res.body.scopes, ['read', 'write']);
+        const read = await admin.get(`/_keys/${res.body.id}`).expect(200);
+        assert.strictEqual(read.body.key, undefined);
+        assert.strictEqual(read.body.key_hash, undefined);
+    });
+
+    it('lists keys without their plaintext or hash', async () => {
+        const { key, id } = await api.api.createApiKey({ scopes: ['read'] });
+        const keys = await api.api.listApiKeys();
+        assert.ok(keys.some(row => row.id === id));
+        assert.ok(!JSON.stringify(keys).includes(key));
+        assert.ok(keys.every(row => row.key_hash === undefined));
+    });
+
+    it('only lets admin keys manage keys', async () => {
+        const reader = api.as(await api.key(['read']));
+        await reader.get('/_keys').expect(403);
+        await reader.post('/generate-api-key').send({ scope: 'read' }).expect(403);
+        const res = await admin.post('/generate-api-key').send({ scope: 'read' }).expect(201);
+        await api.as(res.body.apiKey).get('/orders').expect(200);
+    });
+
+    it('rejects expired and revoked keys', async () => {
+        const expired = await api.api.createApiKey({ scopes: ['read'], expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await api.as(expired.key).get('/orders').expect(403);
+        const revoked = await api.api.createApiKey({ scopes: ['read'] });
+        await admin.delete(`/_keys/${revoked.id}`).expect(200);
+        const res = await api.as(revoked.key).get('/orders').expect(403);
+        assert.strictEqual(res.body.code, 'api_key_invalid');
+    });
+
+    it('rotates keys, keeping the old one for the grace period', async () => {
+        const old = await api.api.createApiKey({ name: 'svc', scopes: ['read'], expiresAt: '2099-01-01T00:00:00Z' });
+        const res = await admin.post(`/_keys/${old.id}/rotate`).send({ gracePeriod: 0 }).expect(201);
+        assert.strictEqual(res.body.name, 'svc');
+        assert.strictEqual(res.body.expires_at, '2099-01-01T00:00:00.000Z');
+        await api.as(res.body.key).get('/orders').expect(200);
+        await api.as(old.key).get('/orders').expect(403);
+
+        const kept = await api.api.createApiKey({ scopes: ['read'] });
+        await api.api.rotateApiKey(kept.id);
+        await api.as(kept.key).get('/orders').expect(200);
+    });
+
+    it('refuses to rotate expired keys', async () => {
+        const expired = await api.api.createApiKey({ scopes: ['read'], expiresAt: new Date(Date.now() - 1000).toISOString() });
+        const res = await admin.post(`/_keys/${expired.id}/rotate`).expect(409);
+        assert.strictEqual(res.body.code, 'api_key_expired');
+        await assert.rejects(api.api.rotateApiKey(expired.id), { code: 'api_key_expired' });
+    });
+
+    it('hashes plaintext keys of earlier versions', async () => {
+        const db = await openDatabase({ type: 'sqlite', options: { filename: ':memory:' } });
+        try {
+            await db.execute(`CREATE TABLE api_keys (
+                id INTEGER PRIMARY KEY, api_key VARCHAR(255) UNIQUE NOT NULL, scopes VARCHAR(255) NOT NULL, active BOOLEAN DEFAULT TRUE
+            )`);
+            await db.insert('api_keys', { api_key: 'legacy-key', scopes: 'read,write' });
+            const store = await createKeyStore(db);
+            assert.deepStrictEqual((await store.verify('legacy-key')).scopes, ['read', 'write']);
+            assert.deepStrictEqual(await db.select("SELECT id FROM api_keys WHERE api_key = 'legacy-key'"), []);
+            assert.ok((await store.createKey()).key);
+        } finally {
+            await db.close();
+        }
+    });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const { changedValues } = require('../audit');
+const { startAPI } = require('./helpers');
+
+describe('audit log', () => {
+    describe('changedValues', () => {
+        it('keeps only the columns a write changes', () => {
+            const row = { id: 1, name: 'Ada', total: 10, placed: '2024-01-01' };
+            assert.deepStrictEqual(changedValues(row, { name: 'Ada', total: 12 }, date => date.toISOString()),
+                { before: { total: 10 }, after: { total: 12 } });
+            assert.strictEqual(changedValues(row, { name: 'Ada' }, date => date.toISOString()), null);
+        });
+    });
+
+    describe('routes', () => {
+        let api;
+        let client;
+        let admin;
+        let keyId;
+
+        before(async () => {
+            api = await startAPI({ config: { audit: true } });
+            const key = await api.key();
+            client = api.as(key);
+            admin = api.as(await api.key(['admin']));
+            keyId = (await admin.get('/_keys').expect(200)).body.find(row => key.startsWith(row.prefix)).id;
+        });
+        after(() => api.close());
+
+        it('records inserts, updates and deletes with the key that made them', async () => {
+            const { body: { id } } = await client.post('/customers').send({ name: 'Dee' }).expect(200);
+            await client.patch(`/customers/${id}`).send({ email: 'dee@example.com' }).expect(200);
+            await client.delete(`/customers/${id}`).expect(200);
+
+            const res = await admin.get(`/_audit?table=customers&ident=${id}`).expect(200);
+            assert.deepStrictEqual(res.body.data.map(entry => entry.operation), ['delete', 'update', 'create']);
+            assert.ok(res.body.data.every(entry => entry.key_id === keyId));
+            const [deleted, updated, created] = res.body.data;
+            assert.deepStrictEqual(updated.before, { email: null });
+            assert.deepStrictEqual(updated.after, { email: 'dee@example.com' });
+            assert.strictEqual(created.after.name, 'Dee');
+            assert.strictEqual(deleted.before.email, 'dee@example.com');
+        });
+
+        it('skips updates that change nothing and writes that fail', async () => {
+            await client.patch('/orders/1').send({ status: 'new' }).expect(200);
+            await client.patch('/orders/1').send({ total: 'lots' }).expect(422);
+            const res = await admin.get('/_audit?table=orders').expect(200);
+            assert.deepStrictEqual(res.body.data, []);
+        });
+
+        it('is only readable with the admin scope, and never as a table', async () => {
+            await client.get('/_audit').expect(403);
+            await client.get('/api_audit').expect(404);
+            await admin.get('/_audit?operation=upsert').expect(400);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+describe('bulk writes and batches', () => {
+    let api;
+    let client;
+
+    const count = async (table) => (await api.db.select(`SELECT COUNT(*) AS n FROM ${table}`))[0].n;
+
+    beforeEach(async () => {
+        api = await startAPI();
+        client = api.as(await api.key());
+    });
+    afterEach(() => api.close());
+
+    it('inserts arrays, with one result per item', async () => {
+        const res = await client.post('/customers').send([{ name: 'Dee' }, { name: 'Eve' }]).expect(200);
+        assert.deepStrictEqual(res.body.results.map(result => result.status), [201, 201]);
+        const rows = await api.db.select('SELECT id, name FROM customers WHERE id IN (?, ?)', res.body.results.map(result => result.id));
+        assert.deepStrictEqual(rows.map(row => row.name).sort(), ['Dee', 'Eve']);
+    });
+
+    it('inserts nothing when an item of an atomic insert is invalid', async () => {
+        const res = await client.post('/customers').send([{ name: 'Dee' }, { email: 'x' }]).expect(422);
+        assert.deepStrictEqual(res.body.results.map(result => result.status), [424, 422]);
+        assert.strictEqual(await count('customers'), 3);
+    });
+
+    it('inserts the valid items in partial mode', async () => {
+        const res = await client.post('/customers?mode=partial').send([{ name: 'Dee' }, { email: 'x' }]).expect(207);
+        assert.deepStrictEqual(res.body.results.map(result => result.status), [201, 422]);
+        assert.strictEqual(await count('customers'), 4);
+    });
+
+    it('updates and deletes by filter, and asks for one', async () => {
+        const updated = await client.patch('/orders?filter[status]=new').send({ status: 'void' }).expect(200);
+        assert.strictEqual(updated.body.changes, 2);
+        const deleted = await client.delete('/orders?filter[status]=void').expect(200);
+        assert.strictEqual(deleted.body.changes, 2);
+        await client.delete('/orders').expect(400);
+        assert.strictEqual(await count('orders'), 2);
+    });
+
+    it('runs batches in one transaction', async () => {
+        const res = await client.post('/_batch').send({
+            operations: [
+                { method: 'POST', table: 'customers', body: { name: 'Dee' } },
+                { method: 'PATCH', table: 'orders', ident: 1, body: { status: 'paid' } },
+                { method: 'DELETE', table: 'orders', filter: { customer_id: 3 } },
+            ],
+        }).expect(200);
+        assert.deepStrictEqual(res.body.results.map(result => result.status), [201, 200, 200]);
+        assert.strictEqual(await count('customers'), 4);
+        assert.strictEqual(await count('orders'), 3);
+    });
+
+    it('rolls back an atomic batch on the first failure', async () => {
+        const res = await client.post('/_batch').send({
+            operations: [
+                { method: 'POST', table: 'customers', body: { name: 'Dee' } },
+                { method: 'PATCH', table: 'orders', ident: 1, body: { total: 'lots' } },
+                { method: 'DELETE', table: 'orders', ident: 2 },
+            ],
+        }).expect(422);
+        assert.deepStrictEqual(res.body.results.map(result => result.status), [424, 422, 424]);
+        assert.strictEqual(await count('customers'), 3);
+        assert.strictEqual(await count('orders'), 4);
+    });
+
+    it('keeps the operations that succeeded in partial mode', async () => {
+        const res = await client.post('/_batch').send({
+            mode: 'partial',
+            operations: [
+                { method: 'POST', table: 'customers', body: { name: 'Dee' } },
+                { method: 'PATCH', table: 'orders', ident: 1, body: { total: 'lots' } },
+            ],
+        }).expect(207);
+        assert.deepStrictEqual(res.body.results.map(result => result.status), [201, 422]);
+        assert.strictEqual(await count('customers'), 4);
+    });
+
+    it('checks the scopes of each operation', async () => {
+        const writer = api.as(await api.key(['read', 'write:customers']));
+        const res = await writer.post('/_batch').send({
+            operations: [
+                { method: 'POST', table: 'customers', body: { name: 'Dee' } },
+                { method: 'DELETE', table: 'orders', ident: 1 },
+            ],
+        }).expect(403);
+        assert.strictEqual(res.body.code, 'insufficient_scope');
+        assert.strictEqual(await count('customers'), 3);
+    });
+});
@@ -0,0 +1,199 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const { initializeAPI } = require('..');
+const { createStreamTokens } = require('../changes');
+const { SHOP, createDatabase, startAPI, testLogger, client } = require('./helpers');
+
+/**
+ * Subscribes to a change feed and collects its events.
+ * @returns {Promise<Object>} - `{ events, status, next(count), close() }`
+ */
+function subscribe(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const waiting = [];
+        const req = http.get({ port, path: `/api/v1${path}`, headers }, (res) => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n')
+                        .filter(line => line && !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+                    if (!fields.event) continue;
+                    events.push({ id: fields.id, event: fields.event, data: fields.data && JSON.parse(fields.data) });
+                    waiting.filter(wait => events.length >= wait.count).forEach(wait => wait.done());
+                }
+            });
+            resolve({
+                events,
+                status: res.statusCode,
+                next: count => new Promise((done) => {
+                    if (events.length >= count) done();
+                    else waiting.push({ count, done });
+                }),
+                close: () => req.destroy(),
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+describe('change feed', () => {
+    describe('stream tokens', () => {
+        it('redeem until they expire', async () => {
+            const tokens = createStreamTokens({ tokenTtl: 0.05 });
+            const { token, expiresAt } = tokens.issue({ apiKey: 'eag_x', tenant: null });
+            assert.ok(Date.parse(expiresAt) > Date.now());
+            assert.deepStrictEqual(tokens.redeem(token), { apiKey: 'eag_x', tenant: null });
+            assert.deepStrictEqual(tokens.redeem(token), { apiKey: 'eag_x', tenant: null });
+            await new Promise(done => setTimeout(done, 80));
+            assert.strictEqual(tokens.redeem(token), null);
+            assert.strictEqual(tokens.redeem('nope'), null);
+        });
+    });
+
+    describe('Server-Sent Events', () => {
+        let api;
+        let server;
+        let port;
+        let key;
+        let writer;
+        const subscriptions = [];
+        const open = async (path, headers = { 'x-api-key': key }) => {
+            const subscription = await subscribe(port, path, headers);
+            subscriptions.push(subscription);
+            return subscription;
+        };
+
+        before(async () => {
+            api = await startAPI({ config: { changes: { size: 3 } } });
+            server = http.createServer(api.app);
+            await new Promise(done => server.listen(0, done));
+            port = server.address().port;
+            key = await api.key(['*']);
+            writer = api.as(key);
+        });
+        afterEach(() => subscriptions.splice(0).forEach(subscription => subscription.close()));
+        after(async () => {
+            await new Promise(done => server.close(done));
+            await api.close();
+        });
+
+        it('sends inserts, updates and deletes', async () => {
+            const feed = await open('/orders/_changes');
+            assert.strictEqual(feed.status, 200);
+            const { body: { id } } = await writer.post('/orders').send({ status: 'new', total: 1 }).expect(200);
+            await writer.patch(`/orders/${id}`).send({ total: 2 }).expect(200);
+            await writer.delete(`/orders/${id}`).expect(200);
+            await feed.next(3);
+            assert.deepStrictEqual(feed.events.map(event => [event.event, event.data.row.total]), [['insert', 1], ['update', 2], ['delete', 2]]);
+            assert.strictEqual(feed.events[0].data.ident, id);
+        });
+
+        it('sends rows that match the filter, or leave it', async () => {
+            const feed = await open('/orders/_changes?filter[status]=paid');
+            await writer.patch('/orders/1').send({ total: 11 }).expect(200);
+            await writer.patch('/orders/2').send({ status: 'refunded' }).expect(200);
+            await feed.next(1);
+            assert.deepStrictEqual(feed.events.map(event => [event.event, event.data.row.id, event.data.row.status]), [['update', 2, 'refunded']]);
+        });
+
+        it('cuts rows down to the columns the key may read', async () => {
+            const feed = await open('/orders/_changes', { 'x-api-key': await api.key(['read:orders.id', 'read:orders.status']) });
+            await writer.patch('/orders/3').send({ status: 'paid' }).expect(200);
+            await feed.next(1);
+            assert.deepStrictEqual(feed.events[0].data.row, { id: 3, status: 'paid' });
+        });
+
+        it('resumes after Last-Event-ID, or resets when the events are gone', async () => {
+            const first = await open('/orders/_changes');
+            await writer.patch('/orders/4').send({ total: 1 }).expect(200);
+            await first.next(1);
+            first.close();
+            await writer.patch('/orders/4').send({ total: 2 }).expect(200);
+
+            const resumed = await open('/orders/_changes', { 'x-api-key': key, 'last-event-id': first.events[0].id });
+            await resumed.next(1);
+            assert.strictEqual(resumed.events[0].data.row.total, 2);
+
+            for (const total of [3, 4, 5]) await writer.patch('/orders/4').send({ total }).expect(200);
+            const reset = await open(`/orders/_changes?lastEventId=${first.events[0].id}`);
+            await reset.next(1);
+            assert.strictEqual(reset.events[0].event, 'reset');
+        });
+
+        it('opens feeds with a stream token instead of the key', async () => {
+            const { body } = await api.as(await api.key(['read:orders'])).post('/_changes/token').expect(201);
+            const feed = await open(`/orders/_changes?access_token=${body.token}`, {});
+            assert.strictEqual(feed.status, 200);
+            await writer.patch('/orders/1').send({ total: 12 }).expect(200);
+            await feed.next(1);
+            assert.strictEqual(feed.events[0].data.row.total, 12);
+
+            const other = await open(`/customers/_changes?access_token=${body.token}`, {});
+            assert.strictEqual(other.status, 403);
+            const invalid = await open('/orders/_changes?access_token=nope', {});
+            assert.strictEqual(invalid.status, 401);
+            await api.as().get(`/orders?access_token=${body.token}`).expect(401);
+        });
+    });
+
+    describe('WebSockets', () => {
+        let dir;
+        let server;
+        let api;
+        let key;
+        let port;
+
+        before(async () => {
+            let filename;
+            ({ dir, filename } = await createDatabase(SHOP));
+            const app = express();
+            app.use(express.json());
+            server = http.createServer(app);
+            api = await initializeAPI(app, {
+                version: 'v1',
+                logger: testLogger(),
+                apiKeys: { useAppDb: true, appDbPath: ':memory:' },
+                database: { type: 'sqlite', options: { filename } },
+                changes: { server },
+            });
+            await new Promise(done => server.listen(0, done));
+            port = server.address().port;
+            key = (await api.createApiKey({ scopes: ['*'] })).key;
+        });
+        after(async () => {
+            await new Promise(done => server.close(done));
+            await api.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('sends each event as a JSON message', async () => {
+            const ws = new WebSocket(`ws://localhost:${port}/api/v1/orders/_changes`, { headers: { 'x-api-key': key } });
+            await new Promise((done, fail) => ws.once('open', done).once('error', fail));
+            const message = new Promise(done => ws.once('message', data => done(JSON.parse(data))));
+            await client(server, key).patch('/orders/1').send({ total: 99 }).expect(200);
+            const { event, data } = await message;
+            assert.strictEqual(event, 'update');
+            assert.strictEqual(data.row.total, 99);
+            ws.close();
+        });
+
+        it('refuses upgrades without a key', async () => {
+            const ws = new WebSocket(`ws://localhost:${port}/api/v1/orders/_changes`);
+            const status = await new Promise(done => ws.once('unexpected-response', (req, res) => done(res.statusCode)));
+            assert.strictEqual(status, 401);
+            // The socket never opened, so closing it reports an error
+            ws.once('error', () => {});
+            ws.terminate();
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { run } = require('../cli');
+const { SHOP, createDatabase } = require('./helpers');
+
+/**
+ * A stream that keeps what is written to it.
+ */
+function output() {
+    const chunks = [];
+    return { write: chunk => chunks.push(String(chunk)), text: () => chunks.join('') };
+}
+
+describe('command-line tool', () => {
+    let dir;
+    let configFile;
+
+    /**
+     * Runs the command line with the test configuration.
+     * @returns {Promise<Object>} - `{ code, stdout, stderr }`
+     */
+    const cli = async (...argv) => {
+        const stdout = output();
+        const stderr = output();
+        const code = await run([...argv, '--config', configFile], { stdout, stderr });
+        return { code, stdout: stdout.text(), stderr: stderr.text() };
+    };
+    const json = async (...argv) => {
+        const result = await cli(...argv, '--json');
+        assert.strictEqual(result.code, 0, result.stderr);
+        return JSON.parse(result.stdout);
+    };
+
+    before(async () => {
+        let filename;
+        ({ dir, filename } = await createDatabase(SHOP));
+        configFile = path.join(dir, 'config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            version: 'v1',
+            database: { type: 'sqlite', options: { filename } },
+            apiKeys: { useAppDb: true, appDbPath: path.join(dir, 'keys.sqlite') },
+            tables: { exclude: ['customers'] },
+        }));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('creates, lists, rotates and revokes keys', async () => {
+        const created = await json('keys', 'create', '--name', 'ci', '--scopes', 'read,write:orders', '--metadata', '{"tenant_id":4}');
+        assert.match(created.key, /^eag_/);
+        assert.deepStrictEqual(created.scopes, ['read', 'write:orders']);
+
+        const listed = await json('keys', 'list');
+        assert.deepStrictEqual(listed.map(key => key.name), ['ci']);
+        assert.deepStrictEqual(listed[0].metadata, { tenant_id: 4 });
+
+        const rotated = await json('keys', 'rotate', String(created.id), '--grace', '0');
+        assert.strictEqual(rotated.replaces, created.id);
+        const revoked = await json('keys', 'revoke', String(rotated.id));
+        assert.deepStrictEqual(revoked, { id: rotated.id, revoked: true });
+        const after = await json('keys', 'list');
+        assert.strictEqual(after.find(key => key.id === rotated.id).active, false);
+        assert.ok(Date.parse(after.find(key => key.id === created.id).expires_at) <= Date.now());
+    });
+
+    it('prints the tables the API exposes', async () => {
+        const text = await cli('schema');
+        assert.strictEqual(text.code, 0);
+        assert.match(text.stdout, /^orders\n/);
+        assert.match(text.stdout, /status +varchar\(20\) +not null, default 'new'/);
+        const tables = await json('schema');
+        assert.deepStrictEqual(tables.map(table => table.name), ['orders']);
+    });
+
+    it('writes the OpenAPI document', async () => {
+        const out = path.join(dir, 'openapi.json');
+        const result = await cli('openapi', '--out', out);
+        assert.strictEqual(result.code, 0);
+        const spec = JSON.parse(fs.readFileSync(out, 'utf8'));
+        assert.deepStrictEqual(spec.servers, [{ url: '/api/v1' }]);
+        assert.ok(spec.paths['/orders']);
+        assert.ok(!spec.paths['/customers']);
+    });
+
+    it('serves the API until it is told to stop', async () => {
+        const stdout = output();
+        const stderr = output();
+        let stopped = false;
+        const serving = run(['serve', '--port', '0', '--json', '--config', configFile], { stdout, stderr }).finally(() => {
+            stopped = true;
+        });
+        while (!stdout.text() && !stopped) await new Promise(done => setTimeout(done, 10));
+        assert.strictEqual(stopped, false, stderr.text());
+        const { port } = JSON.parse(stdout.text());
+        const { key } = await json('keys', 'create', '--scopes', 'read');
+
+        const res = await request(`http://localhost:${port}`).get('/api/v1/orders').set('x-api-key', key).expect(200);
+        assert.strictEqual(res.body.data.length, 4);
+        process.emit('SIGTERM');
+        assert.strictEqual(await serving, 0);
+    });
+
+    it('exits with 1 when a command fails and 2 for usage errors', async () => {
+        const missing = await cli('keys', 'revoke', '999');
+        assert.strictEqual(missing.code, 1);
+        assert.match(missing.stderr, /Key 999 does not exist/);
+        assert.strictEqual((await cli('keys', 'explode')).code, 2);
+        assert.strictEqual((await cli('keys', 'list', '--nope')).code, 2);
+        const failed = await cli('keys', 'create', '--expires', '2001-01-01', '--json');
+        assert.strictEqual(failed.code, 2);
+        assert.deepStrictEqual(JSON.parse(failed.stderr), { error: '--expires must be in the future' });
+    });
+});
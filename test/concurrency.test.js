@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+const ITEMS = [
+    `CREATE TABLE items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guid VARCHAR(36) NOT NULL UNIQUE,
+        name VARCHAR(50) NOT NULL,
+        note VARCHAR(100) DEFAULT 'none',
+        owner INTEGER,
+        version INTEGER NOT NULL DEFAULT 1
+    )`,
+    "INSERT INTO items (guid, name, note, owner) VALUES ('a', 'Anvil', 'heavy', 1), ('b', 'Bell', 'loud', 2)",
+];
+const CUP = '00000000-0000-4000-8000-00000000000c';
+const DRUM = '00000000-0000-4000-8000-00000000000d';
+
+describe('replacing, updating and concurrency', () => {
+    let api;
+    let client;
+
+    before(async () => {
+        api = await startAPI({
+            sql: ITEMS,
+            config: {
+                tables: { upsert: ['items'] },
+                versions: { items: 'version' },
+                policies: { items: { rowFilter: key => (key.owner === undefined ? null : { owner: key.owner }) } },
+            },
+        });
+        client = api.as(await api.key());
+    });
+    after(() => api.close());
+
+    it('sends an ETag and answers If-None-Match with 304', async () => {
+        const res = await client.get('/items/1').expect(200);
+        assert.ok(res.headers.etag);
+        await client.get('/items/1').set('If-None-Match', res.headers.etag).expect(304);
+    });
+
+    it('moves the version on every write', async () => {
+        const before = await client.get('/items/1').expect(200);
+        await client.patch('/items/1').send({ name: 'Anvil 2' }).expect(200);
+        const after = await client.get('/items/1').expect(200);
+        assert.strictEqual(after.body.version, before.body.version + 1);
+        assert.notStrictEqual(after.headers.etag, before.headers.etag);
+    });
+
+    it('fails writes with a stale If-Match', async () => {
+        const { headers: { etag } } = await client.get('/items/1').expect(200);
+        await client.patch('/items/1').set('If-Match', etag).send({ name: 'First' }).expect(200);
+        const res = await client.patch('/items/1').set('If-Match', etag).send({ name: 'Second' }).expect(412);
+        assert.strictEqual(res.body.status, 412);
+        await client.delete('/items/1').set('If-Match', etag).expect(412);
+        const [row] = await api.db.select('SELECT name FROM items WHERE id = 1');
+        assert.strictEqual(row.name, 'First');
+    });
+
+    it('only asks If-Match: * for the record to exist', async () => {
+        await client.patch('/items/1').set('If-Match', '*').send({ name: 'Anvil' }).expect(200);
+        await client.patch('/items/99').set('If-Match', '*').send({ name: 'Nope' }).expect(412);
+    });
+
+    it('resets the columns PUT leaves out, but keeps the keys and version', async () => {
+        const res = await client.put('/items/2').send({ name: 'Bell' }).expect(200);
+        assert.strictEqual(res.body.changes, 1);
+        const [row] = await api.db.select('SELECT * FROM items WHERE id = 2');
+        assert.strictEqual(row.guid, 'b');
+        assert.strictEqual(row.note, 'none');
+        assert.strictEqual(row.owner, null);
+        assert.strictEqual(row.version, 2);
+    });
+
+    it('creates records with PUT on upsert tables', async () => {
+        const res = await client.put(`/items/${CUP}`).send({ name: 'Cup', owner: 1 }).expect(201);
+        const [row] = await api.db.select('SELECT * FROM items WHERE guid = ?', [CUP]);
+        assert.strictEqual(res.body.id, row.id);
+        assert.strictEqual(row.name, 'Cup');
+    });
+
+    it('answers duplicate unique values with 409 on every write', async () => {
+        const res = await client.post('/items').send({ guid: 'a', name: 'Again' }).expect(409);
+        assert.strictEqual(res.body.code, 'unique_violation');
+        await client.patch('/items/2').send({ guid: 'a' }).expect(409);
+        // The upsert collides on the primary key rather than on its ident, so running it again cannot help
+        const upsert = await client.put('/items/00000000-0000-4000-8000-00000000000e').send({ id: 1, name: 'Echo' }).expect(409);
+        assert.strictEqual(upsert.body.code, 'unique_violation');
+        const bulk = await client.post('/items?mode=partial').send([{ guid: 'f', name: 'Fife' }, { guid: 'b', name: 'Bell' }]).expect(207);
+        assert.deepStrictEqual(bulk.body.results.map(result => result.status), [201, 409]);
+    });
+
+    it('does not replace records outside the row policy', async () => {
+        await api.db.insert('items', { guid: DRUM, name: 'Drum', owner: 2 });
+        const owner1 = api.as(await api.key(['*'], { owner: 1 }));
+        await owner1.put(`/items/${DRUM}`).send({ name: 'Mine', owner: 1 }).expect(403);
+        const [row] = await api.db.select('SELECT name, owner FROM items WHERE guid = ?', [DRUM]);
+        assert.deepStrictEqual(row, { name: 'Drum', owner: 2 });
+    });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { openDatabase } = require('../db');
+
+describe('database adapter', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase({ type: 'sqlite', options: { filename: ':memory:' } });
+        await db.execute('CREATE TABLE t (id INTEGER PRIMARY KEY, code TEXT UNIQUE, n INTEGER)');
+    });
+    afterEach(() => db.close());
+
+    it('rejects unknown database types', async () => {
+        await assert.rejects(openDatabase({ type: 'oracle' }), /Unsupported database type/);
+    });
+
+    it('returns the key of inserted rows', async () => {
+        assert.strictEqual(await db.insert('t', { code: 'a', n: 1 }, 'id'), 1);
+        assert.deepStrictEqual(await db.insertMany('t', [{ code: 'b' }, { code: 'c' }], 'id'), [2, 3]);
+    });
+
+    it('only reports an insertId for statements that inserted a row', async () => {
+        await db.insert('t', { code: 'a', n: 1 }, 'id');
+        assert.strictEqual((await db.execute('UPDATE t SET n = 2')).insertId, null);
+        assert.strictEqual((await db.execute("INSERT OR IGNORE INTO t (code) VALUES ('a')")).insertId, null);
+        const upsert = await db.execute("INSERT INTO t (code, n) VALUES ('a', 3) ON CONFLICT (code) DO UPDATE SET n = excluded.n");
+        assert.strictEqual(upsert.insertId, null);
+        assert.strictEqual((await db.execute("INSERT INTO t (code) VALUES ('b')")).insertId, 2);
+    });
+
+    it('recognizes unique violations', async () => {
+        await db.insert('t', { code: 'a' }, 'id');
+        const error = await db.insert('t', { code: 'a' }, 'id').catch(caught => caught);
+        assert.strictEqual(db.isUniqueViolation(error), true);
+        assert.strictEqual(db.isUniqueViolation(new Error('no such table: u')), false);
+    });
+
+    it('updates and deletes the rows matching a condition', async () => {
+        await db.insert('t', { code: 'a', n: 1 }, 'id');
+        await db.insert('t', { code: 'b', n: 1 }, 'id');
+        assert.strictEqual(await db.update('t', { n: 2 }, { sql: 'code = ?', params: ['a'] }), 1);
+        assert.deepStrictEqual(await db.select('SELECT code, n FROM t ORDER BY id'), [{ code: 'a', n: 2 }, { code: 'b', n: 1 }]);
+        assert.strictEqual(await db.delete('t', { sql: 'n = ?', params: [1] }), 1);
+        assert.deepStrictEqual(await db.select('SELECT code FROM t'), [{ code: 'a' }]);
+    });
+
+    it('quotes identifiers', () => {
+        assert.strictEqual(db.quote('a"b'), '"a""b"');
+    });
+
+    it('commits transactions', async () => {
+        await db.transaction(async (tx) => {
+            await tx.insert('t', { code: 'a' }, 'id');
+            await tx.transaction(inner => inner.insert('t', { code: 'b' }, 'id'));
+        });
+        assert.deepStrictEqual(await db.select('SELECT COUNT(*) AS n FROM t'), [{ n: 2 }]);
+    });
+
+    it('rolls back failed transactions', async () => {
+        await assert.rejects(db.transaction(async (tx) => {
+            await tx.insert('t', { code: 'a' }, 'id');
+            await tx.insert('t', { code: 'a' }, 'id');
+        }));
+        assert.deepStrictEqual(await db.select('SELECT COUNT(*) AS n FROM t'), [{ n: 0 }]);
+    });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { ApiError } = require('../errors');
+const { startAPI } = require('./helpers');
+
+describe('errors, request IDs and metrics', () => {
+    let api;
+    let client;
+    const requests = [];
+    const failures = [];
+
+    before(async () => {
+        api = await startAPI({
+            config: {
+                tables: { readOnly: ['customers'] },
+                hooks: {
+                    orders: {
+                        beforeCreate: ({ record }) => {
+                            if (record.status === 'shipped') throw new ApiError(409, 'Orders cannot start shipped', 'order_not_shippable');
+                            if (record.status === 'broken') throw new Error('secret detail');
+                            return undefined;
+                        },
+                    },
+                },
+                metrics: {
+                    request: event => requests.push(event),
+                    authFailure: event => failures.push(event),
+                    prometheus: { scope: 'admin' },
+                },
+                debug: false,
+            },
+        });
+        client = api.as(await api.key(['read', 'write', 'admin']));
+    });
+    after(() => api.close());
+
+    it('answers with problem documents', async () => {
+        const res = await client.get('/orderz').expect(404);
+        assert.match(res.headers['content-type'], /^application\/problem\+json/);
+        assert.strictEqual(res.body.code, 'table_not_found');
+        assert.strictEqual(res.body.instance, '/api/v1/orderz');
+        assert.strictEqual(res.body.requestId, res.headers['x-request-id']);
+    });
+
+    it('names each problem with a stable code', async () => {
+        assert.strictEqual((await client.get('/orders/99').expect(404)).body.code, 'record_not_found');
+        assert.strictEqual((await client.post('/customers').send({ name: 'Dee' }).expect(405)).body.code, 'table_read_only');
+        const invalid = await client.post('/orders').send({ total: 'lots' }).expect(422);
+        assert.strictEqual(invalid.body.code, 'validation_failed');
+        assert.deepStrictEqual(invalid.body.errors.map(error => error.field), ['total']);
+    });
+
+    it('passes on the status and code of an ApiError', async () => {
+        const res = await client.post('/orders').send({ status: 'shipped' }).expect(409);
+        assert.strictEqual(res.body.code, 'order_not_shippable');
+    });
+
+    it('hides the details of internal errors and logs them', async () => {
+        const res = await client.post('/orders').send({ status: 'broken' }).expect(500);
+        assert.strictEqual(res.body.code, 'internal_error');
+        assert.ok(!JSON.stringify(res.body).includes('secret detail'));
+        const entry = api.logger.entries.find(logged => logged.level === 'error' && logged.fields && logged.fields.requestId === res.body.requestId);
+        assert.ok(entry);
+    });
+
+    it('keeps the request ID a request brings', async () => {
+        const res = await client.get('/orders').set('X-Request-Id', 'req-42').expect(200);
+        assert.strictEqual(res.headers['x-request-id'], 'req-42');
+    });
+
+    it('reports requests and auth failures', async () => {
+        await api.as('eag_nope').get('/orders').expect(403);
+        const failure = failures.find(event => event.code === 'api_key_invalid');
+        assert.ok(failure);
+        const request = requests.find(event => event.requestId === failure.requestId);
+        assert.strictEqual(request.status, 403);
+        assert.strictEqual(request.route, '/:table');
+        assert.ok(request.duration >= 0);
+    });
+
+    it('serves Prometheus metrics to keys with the scope', async () => {
+        const res = await client.get('/metrics').expect(200);
+        assert.match(res.text, /# TYPE api_request_duration_seconds histogram/);
+        assert.match(api.api.metrics(), /route="\/:table",table="orders",status="200"/);
+        await api.as(await api.key(['read'])).get('/metrics').expect(403);
+    });
+});
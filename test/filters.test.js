@@ -0,0 +1,136 @@
+const assert = require('assert');
+const { compileFilter, matchesFilter, parseSort, compileFields, parseCount, FilterError } = require('../filters');
+const { startAPI } = require('./helpers');
+
+const quote = name => `"${name}"`;
+const table = {
+    name: 'users',
+    columns: { id: {}, name: {}, age: {}, email: {} },
+};
+
+describe('filters', () => {
+    describe('compileFilter', () => {
+        it('compiles operators into parameterized conditions', () => {
+            const { sql, params } = compileFilter({ age: { gte: '18', lt: '65' }, name: 'bob' }, table, quote);
+            assert.strictEqual(sql, '"age" >= ? AND "age" < ? AND "name" = ?');
+            assert.deepStrictEqual(params, ['18', '65', 'bob']);
+        });
+
+        it('compiles lists, ranges and null checks', () => {
+            assert.deepStrictEqual(compileFilter({ id: { in: '1,2,3' } }, table, quote), { sql: '"id" IN (?, ?, ?)', params: ['1', '2', '3'] });
+            assert.deepStrictEqual(compileFilter({ age: { between: '18,65' } }, table, quote), { sql: '"age" BETWEEN ? AND ?', params: ['18', '65'] });
+            assert.deepStrictEqual(compileFilter({ email: { null: 'true' } }, table, quote), { sql: '"email" IS NULL', params: [] });
+        });
+
+        it('groups conditions with or', () => {
+            const { sql, params } = compileFilter({ or: [{ name: 'a' }, { age: { gt: '30' } }] }, table, quote);
+            assert.strictEqual(sql, '(("name" = ?) OR ("age" > ?))');
+            assert.deepStrictEqual(params, ['a', '30']);
+        });
+
+        it('returns an empty clause when there is nothing to filter on', () => {
+            assert.deepStrictEqual(compileFilter(undefined, table, quote), { sql: '', params: [] });
+        });
+
+        it('rejects unknown columns and operators', () => {
+            assert.throws(() => compileFilter({ password: 'x' }, table, quote), FilterError);
+            assert.throws(() => compileFilter({ age: { near: '1' } }, table, quote), FilterError);
+            assert.throws(() => compileFilter({ age: { between: '1' } }, table, quote), FilterError);
+            assert.throws(() => compileFilter('age=1', table, quote), FilterError);
+        });
+
+        it('does not take inherited properties for groups, columns or operators', () => {
+            assert.throws(() => compileFilter({ constructor: 'x' }, table, quote), /unknown column 'constructor'/);
+            assert.throws(() => compileFilter({ toString: [{ age: '1' }] }, table, quote), /unknown column 'toString'/);
+            assert.throws(() => compileFilter({ age: { constructor: '1' } }, table, quote), /Unknown operator 'constructor'/);
+        });
+    });
+
+    describe('matchesFilter', () => {
+        it('evaluates a filter against a row', () => {
+            const row = { id: 1, name: 'bob', age: 42, email: null };
+            assert.strictEqual(matchesFilter({ age: { gte: '18' }, email: { null: 'true' } }, row), true);
+            assert.strictEqual(matchesFilter({ or: [{ name: 'ann' }, { age: { lt: '40' } }] }, row), false);
+            assert.strictEqual(matchesFilter({ id: { in: '1,2' } }, row), true);
+        });
+
+        it('does not take inherited properties for groups, columns or operators', () => {
+            const row = { id: 1 };
+            assert.strictEqual(matchesFilter({ constructor: { null: 'true' } }, row), true);
+            assert.strictEqual(matchesFilter({ valueOf: [{ id: '1' }] }, row), false);
+            assert.throws(() => matchesFilter({ id: { constructor: '1' } }, row), FilterError);
+        });
+    });
+
+    describe('parseSort', () => {
+        it('reads columns and directions', () => {
+            assert.deepStrictEqual(parseSort('-age,name', table), [
+                { column: 'age', descending: true },
+                { column: 'name', descending: false },
+            ]);
+        });
+
+        it('rejects unknown columns', () => {
+            assert.throws(() => parseSort('-password', table), FilterError);
+        });
+    });
+
+    describe('compileFields', () => {
+        it('selects the named columns once each', () => {
+            assert.strictEqual(compileFields('id, name,id', table, quote), '"id", "name"');
+            assert.strictEqual(compileFields(undefined, table, quote), '*');
+        });
+
+        it('rejects unknown columns', () => {
+            assert.throws(() => compileFields('id,password', table, quote), /Unknown field\(s\) for table 'users': password/);
+            assert.throws(() => compileFields(['id'], table, quote), FilterError);
+        });
+    });
+
+    describe('parseCount', () => {
+        it('accepts non-negative integers only', () => {
+            assert.strictEqual(parseCount('limit', '25'), 25);
+            assert.strictEqual(parseCount('limit', undefined), undefined);
+            assert.throws(() => parseCount('limit', '-1'), FilterError);
+            assert.throws(() => parseCount('offset', '1.5'), FilterError);
+        });
+    });
+
+    describe('GET /:table', () => {
+        let api;
+        let get;
+
+        before(async () => {
+            api = await startAPI();
+            get = api.as(await api.key()).get;
+        });
+        after(() => api.close());
+
+        it('filters and sorts rows', async () => {
+            const res = await get('/orders?filter[total][gte]=7&sort=-total').expect(200);
+            assert.deepStrictEqual(res.body.data.map(row => row.total), [20, 10, 7.5]);
+        });
+
+        it('selects fields', async () => {
+            const res = await get('/customers?fields=id,name&filter[tenant_id]=1').expect(200);
+            assert.deepStrictEqual(res.body.data, [{ id: 1, name: 'Ada' }, { id: 3, name: 'Cy' }]);
+        });
+
+        it('selects fields of a single record', async () => {
+            const res = await get('/customers/2?fields=name').expect(200);
+            assert.deepStrictEqual(res.body, { name: 'Bob' });
+        });
+
+        it('answers malformed filters with 400', async () => {
+            const res = await get('/orders?filter[nope]=1').expect(400);
+            assert.strictEqual(res.body.code, 'invalid_query');
+            assert.match(res.body.detail, /unknown column 'nope'/);
+            await get('/orders?filter[constructor]=1').expect(400);
+            await get('/orders?filter[total][constructor]=1').expect(400);
+        });
+
+        it('rejects the old where and order parameters', async () => {
+            await get('/orders?where=1').expect(400);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { streamingOptions } = require('../formats');
+const { startAPI } = require('./helpers');
+
+describe('CSV and NDJSON', () => {
+    let api;
+    let client;
+
+    before(async () => {
+        api = await startAPI({ config: { streaming: { batchSize: 2 } } });
+        client = api.as(await api.key());
+    });
+    after(() => api.close());
+
+    describe('exports', () => {
+        it('exports every matching row as CSV, across batches', async () => {
+            const res = await client.get('/orders?fields=id,status,total&sort=id').set('Accept', 'text/csv').expect(200);
+            assert.match(res.headers['content-type'], /^text\/csv/);
+            assert.deepStrictEqual(res.text.trim().split(/\r?\n/), ['id,status,total', '1,new,10', '2,paid,20', '3,new,5', '4,paid,7.5']);
+        });
+
+        it('writes NULL as an empty field and quotes text that needs it', async () => {
+            await api.db.insert('customers', { name: 'Smith, "J"', email: '' });
+            const res = await client.get('/customers?format=csv&fields=name,email&filter[id][gte]=3').expect(200);
+            assert.deepStrictEqual(res.text.trim().split(/\r?\n/), ['name,email', 'Cy,', '"Smith, ""J""",""']);
+        });
+
+        it('exports NDJSON with included relations', async () => {
+            const res = await client.get('/orders?format=ndjson&filter[status]=paid&include=customer').expect(200);
+            const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(rows.map(row => [row.id, row.customer.name]), [[2, 'Ada'], [4, 'Cy']]);
+        });
+
+        it('rejects paging parameters', async () => {
+            await client.get('/orders?format=csv&cursor=abc').expect(400);
+            await client.get('/orders?format=csv&count=true').expect(400);
+        });
+    });
+
+    describe('imports', () => {
+        it('imports CSV', async () => {
+            const res = await client.post('/orders').set('Content-Type', 'text/csv')
+                .send('customer_id,status,total\n1,new,3\n2,paid,4\n3,new,5\n').expect(200);
+            assert.strictEqual(res.body.inserted, 3);
+            const [{ n }] = await api.db.select('SELECT COUNT(*) AS n FROM orders WHERE total IN (3, 4, 5) AND id > 4');
+            assert.strictEqual(n, 3);
+        });
+
+        it('reports failed rows by line and inserts the others', async () => {
+            const body = [
+                JSON.stringify({ customer_id: 1, total: 1 }),
+                JSON.stringify({ customer_id: 1, total: 'many' }),
+                '{"customer_id": 1,',
+                JSON.stringify({ customer_id: 2, total: 2 }),
+            ].join('\n');
+            const res = await client.post('/orders').set('Content-Type', 'application/x-ndjson').send(body).expect(207);
+            assert.strictEqual(res.body.inserted, 2);
+            assert.strictEqual(res.body.failed, 2);
+            assert.deepStrictEqual(res.body.errors.map(error => [error.line, error.status]), [[2, 422], [3, 400]]);
+        });
+
+        it('refuses a CSV header with unknown columns before inserting anything', async () => {
+            const [{ n: before }] = await api.db.select('SELECT COUNT(*) AS n FROM orders');
+            await client.post('/orders').set('Content-Type', 'text/csv').send('status,nope\nnew,1\n').expect(400);
+            const [{ n: after }] = await api.db.select('SELECT COUNT(*) AS n FROM orders');
+            assert.strictEqual(after, before);
+        });
+    });
+
+    describe('limits', () => {
+        let limited;
+        let writer;
+
+        before(async () => {
+            limited = await startAPI({ config: { streaming: { batchSize: 1, maxLineLength: 40, maxBodySize: 200 } } });
+            writer = limited.as(await limited.key());
+        });
+        after(() => limited.close());
+
+        it('refuses records longer than maxLineLength, after the batches before them', async () => {
+            const long = 'x'.repeat(50);
+            const csv = await writer.post('/orders').set('Content-Type', 'text/csv')
+                .send(`status,total\nnew,1\n"${long}\n${long}",2\n`).expect(413);
+            assert.strictEqual(csv.body.code, 'line_too_long');
+            assert.match(csv.body.detail, /Line 3 is longer than 40 characters/);
+            assert.strictEqual(csv.body.inserted, 1);
+
+            const ndjson = await writer.post('/orders').set('Content-Type', 'application/x-ndjson')
+                .send(JSON.stringify({ status: long })).expect(413);
+            assert.strictEqual(ndjson.body.code, 'line_too_long');
+        });
+
+        it('refuses bodies larger than maxBodySize', async () => {
+            const body = `status\n${'new\n'.repeat(60)}`;
+            const res = await writer.post('/orders').set('Content-Type', 'text/csv').send(body).expect(413);
+            assert.strictEqual(res.body.code, 'payload_too_large');
+        });
+
+        it('checks the options', () => {
+            assert.deepStrictEqual(streamingOptions(), { batchSize: 500, maxLineLength: 1048576, maxBodySize: null });
+            assert.throws(() => streamingOptions({ maxLineLength: 0 }), /maxLineLength/);
+            assert.throws(() => streamingOptions({ maxBodySize: '1mb' }), /maxBodySize/);
+        });
+    });
+});
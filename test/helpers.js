@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createAPI } = require('..');
+const { openDatabase } = require('../db');
+
+/**
+ * Helpers shared by the tests: throwaway SQLite databases, APIs serving them and clients for their routes.
+ */
+
+// Tables most tests run against: customers with their orders
+const SHOP = [
+    `CREATE TABLE customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(50) NOT NULL,
+        email VARCHAR(100),
+        tenant_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customer_id INTEGER REFERENCES customers(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'new',
+        total REAL,
+        placed DATE
+    )`,
+    `INSERT INTO customers (name, email, tenant_id) VALUES
+        ('Ada', 'ada@example.com', 1), ('Bob', 'bob@example.com', 2), ('Cy', NULL, 1)`,
+    `INSERT INTO orders (customer_id, status, total, placed) VALUES
+        (1, 'new', 10, '2024-01-01'), (1, 'paid', 20, '2024-01-08'), (2, 'new', 5, '2024-02-01'), (3, 'paid', 7.5, '2024-02-03')`,
+];
+
+/**
+ * Logger that keeps the test output clean and remembers what was logged.
+ * @returns {Object} - Logger with `entries`, the `{ level, message, fields }` logged so far
+ */
+function testLogger() {
+    const entries = [];
+    const log = level => (message, fields) => entries.push({ level, message, fields });
+    return { entries, info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+/**
+ * Creates a SQLite database file in a new temporary directory.
+ * @param {Array<string>} [statements] - SQL to run in it, one statement each
+ * @returns {Promise<Object>} - `{ dir, filename }`
+ */
+async function createDatabase(statements = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eag-test-'));
+    const filename = path.join(dir, 'data.sqlite');
+    const db = await openDatabase({ type: 'sqlite', options: { filename } });
+    try {
+        for (const statement of statements) await db.execute(statement);
+    } finally {
+        await db.close();
+    }
+    return { dir, filename };
+}
+
+/**
+ * Starts an API on a new SQLite database, with its keys in memory.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sql] - Statements that create the tables (default: SHOP)
+ * @param {Object} [options.config] - Configuration merged over the defaults
+ * @returns {Promise<Object>} - `{ app, api, db, logger, filename, key, as, close }`
+ */
+async function startAPI({ sql = SHOP, config = {} } = {}) {
+    const { dir, filename } = await createDatabase(sql);
+    const logger = testLogger();
+    const app = express();
+    app.use(express.json());
+    const api = createAPI({
+        version: 'v1',
+        logger,
+        apiKeys: { useAppDb: true, appDbPath: ':memory:' },
+        database: { type: 'sqlite', options: { filename } },
+        ...config,
+    });
+    app.use('/api/v1', api.router);
+    try {
+        await api.ready;
+    } catch (error) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return {
+        app,
+        api,
+        db: await api.getDatabase(),
+        logger,
+        filename,
+
+        /**
+         * Creates an API key and returns its plaintext.
+         * @param {Array<string>|string} [scopes] - Default: read, write and delete
+         * @param {Object} [metadata]
+         */
+        key: async (scopes = ['read', 'write', 'delete'], metadata = undefined) => (await api.createApiKey({ scopes, metadata })).key,
+
+        /**
+         * A client whose requests carry an API key, with paths below /api/v1.
+         * @param {string} [key]
+         * @returns {Object} - `get`, `post`, `put`, `patch` and `delete`, each returning a supertest request
+         */
+        as: key => client(app, key),
+
+        close: async () => {
+            await api.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * Requests to an app below /api/v1, with an API key when one is given.
+ * @param {Function} app - Express app
+ * @param {string} [key] - API key
+ * @param {string} [prefix] - Where the API is mounted (default: /api/v1)
+ * @returns {Object} - `get`, `post`, `put`, `patch` and `delete`
+ */
+function client(app, key, prefix = '/api/v1') {
+    const methods = ['get', 'post', 'put', 'patch', 'delete'];
+    return Object.fromEntries(methods.map(method => [method, (url) => {
+        const pending = request(app)[method](`${prefix}${url}`);
+        return key ? pending.set('x-api-key', key) : pending;
+    }]));
+}
+
+module.exports = { SHOP, testLogger, createDatabase, startAPI, client };
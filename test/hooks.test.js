@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { HttpError } = require('..');
+const { startAPI } = require('./helpers');
+
+describe('hooks and custom routes', () => {
+    let api;
+    let client;
+    const calls = [];
+
+    before(async () => {
+        api = await startAPI({
+            config: {
+                hooks: {
+                    customers: {
+                        beforeCreate: ({ record, key }) => {
+                            calls.push(['beforeCreate', key.id]);
+                            record.name = record.name || 'Anonymous';
+                        },
+                        afterCreate: async ({ tx, id }) => {
+                            calls.push(['afterCreate', id]);
+                            await tx.insert('orders', { customer_id: id, status: 'welcome' });
+                        },
+                        beforeUpdate: ({ record }) => {
+                            if (record.email === 'taken@example.com') throw new HttpError(409, 'The email is taken');
+                        },
+                        beforeDelete: ({ ident }) => {
+                            if (String(ident) === '1') throw new HttpError(423, 'Ada is locked');
+                        },
+                        afterRead: ({ row }) => ({ ...row, greeting: row.name && `Hello ${row.name}` }),
+                    },
+                    orders: {
+                        afterCreate: () => {
+                            throw new Error('broken hook');
+                        },
+                    },
+                },
+                extend: (router, { db, authenticate, handle }) => {
+                    router.get('/orders/summary', authenticate('read:orders'), handle(async (req, res) => {
+                        res.json(await db.select('SELECT status, COUNT(*) AS count FROM orders GROUP BY status ORDER BY status'));
+                    }));
+                    router.get('/orders/fail', authenticate(), handle(async () => {
+                        throw new HttpError(418, 'No coffee here');
+                    }));
+                },
+            },
+        });
+        client = api.as(await api.key());
+    });
+    after(() => api.close());
+
+    it('lets before hooks fill in required columns', async () => {
+        const res = await client.post('/customers').send({ email: 'anon@example.com' }).expect(200);
+        const [row] = await api.db.select('SELECT name FROM customers WHERE id = ?', [res.body.id]);
+        assert.strictEqual(row.name, 'Anonymous');
+        assert.deepStrictEqual(calls.map(([name]) => name), ['beforeCreate', 'afterCreate']);
+    });
+
+    it('runs after hooks in the transaction of the write', async () => {
+        const res = await client.post('/customers').send({ name: 'Dee' }).expect(200);
+        const orders = await api.db.select('SELECT status FROM orders WHERE customer_id = ?', [res.body.id]);
+        assert.deepStrictEqual(orders, [{ status: 'welcome' }]);
+    });
+
+    it('rolls back the write when a hook fails', async () => {
+        await client.post('/orders').send({ status: 'new' }).expect(500);
+        const [{ count }] = await api.db.select('SELECT COUNT(*) AS count FROM orders');
+        assert.strictEqual(count, 6);
+    });
+
+    it('answers HttpError with its status', async () => {
+        const res = await client.patch('/customers/2').send({ email: 'taken@example.com' }).expect(409);
+        assert.strictEqual(res.body.code, 'conflict');
+        assert.strictEqual(res.body.detail, 'The email is taken');
+        await client.delete('/customers/1').expect(423);
+    });
+
+    it('reshapes rows with afterRead', async () => {
+        const res = await client.get('/customers/2?fields=name').expect(200);
+        assert.deepStrictEqual(res.body, { name: 'Bob', greeting: 'Hello Bob' });
+    });
+
+    it('adds custom routes before the generated ones', async () => {
+        const res = await client.get('/orders/summary').expect(200);
+        assert.ok(res.body.some(row => row.status === 'welcome'));
+        await api.as(await api.key(['read:customers'])).get('/orders/summary').expect(403);
+        await client.get('/orders/fail').expect(418);
+    });
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const request = require('supertest');
+const { startAPI } = require('./helpers');
+
+describe('OpenAPI document', () => {
+    let api;
+
+    before(async () => {
+        api = await startAPI({
+            config: {
+                tables: { readOnly: ['orders'] },
+                openapi: { title: 'Shop', docs: true },
+            },
+        });
+    });
+    after(() => api.close());
+
+    it('describes the exposed tables without an API key', async () => {
+        const { body } = await request(api.app).get('/api/v1/openapi.json').expect(200);
+        assert.strictEqual(body.openapi, '3.1.0');
+        assert.strictEqual(body.info.title, 'Shop');
+        assert.deepStrictEqual(body.servers, [{ url: '/api/v1' }]);
+        assert.deepStrictEqual(Object.keys(body.paths).sort(), [
+            '/_batch', '/customers', '/customers/_aggregate', '/customers/{ident}', '/customers/{ident}/orders',
+            '/orders', '/orders/_aggregate', '/orders/{ident}', '/orders/{ident}/customer',
+        ]);
+    });
+
+    it('only documents writes on writable tables', async () => {
+        const { body } = await request(api.app).get('/api/v1/openapi.json').expect(200);
+        assert.ok(body.paths['/customers'].post);
+        assert.deepStrictEqual(body.paths['/customers'].post.security, [{ ApiKeyAuth: ['write:customers'] }]);
+        assert.strictEqual(body.paths['/orders'].post, undefined);
+        assert.strictEqual(body.paths['/orders/{ident}'].delete, undefined);
+    });
+
+    it('derives row schemas from the columns', async () => {
+        const { schemas } = (await request(api.app).get('/api/v1/openapi.json').expect(200)).body.components;
+        assert.deepStrictEqual(schemas.customers.properties.id, { type: 'integer', readOnly: true });
+        assert.deepStrictEqual(schemas.customers.properties.name, { type: 'string', maxLength: 50 });
+        assert.deepStrictEqual(schemas.customers.properties.email, { type: ['string', 'null'], maxLength: 100 });
+        assert.deepStrictEqual(schemas.customersInput.required, ['name']);
+        assert.strictEqual(schemas.customersUpdate.required, undefined);
+    });
+
+    it('serves Swagger UI when enabled', async () => {
+        const res = await request(api.app).get('/api/v1/docs').expect(200);
+        assert.match(res.text, /<title>Shop<\/title>/);
+    });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { encodeCursor, decodeCursor } = require('../pagination');
+const { startAPI } = require('./helpers');
+
+const PEOPLE = [
+    'CREATE TABLE people (id INTEGER PRIMARY KEY AUTOINCREMENT, name VARCHAR(20) NOT NULL, age INTEGER)',
+    `INSERT INTO people (name, age) VALUES ${Array.from({ length: 25 }, (_, n) => `('p${n + 1}', ${n % 5})`).join(', ')}`,
+];
+
+describe('pagination', () => {
+    let api;
+    let get;
+
+    before(async () => {
+        api = await startAPI({ sql: PEOPLE });
+        get = api.as(await api.key()).get;
+    });
+    after(() => api.close());
+
+    it('round-trips cursors for the sort they were made with', () => {
+        const order = [{ column: 'age', descending: true }, { column: 'id', descending: false }];
+        const cursor = encodeCursor(order, { id: 12, age: 3, name: 'p12' }, '-age', date => date.toISOString());
+        assert.deepStrictEqual(decodeCursor(cursor, order, '-age'), [3, 12]);
+        assert.throws(() => decodeCursor(cursor, order, 'age'));
+    });
+
+    it('pages through every row with cursors, in sort order and without repeats', async () => {
+        const seen = [];
+        let url = '/people?limit=10&sort=-age';
+        for (let page = 0; url && page < 10; page += 1) {
+            const res = await get(url).expect(200);
+            seen.push(...res.body.data);
+            url = res.body.links.next && res.body.links.next.replace('/api/v1', '');
+        }
+        assert.strictEqual(seen.length, 25);
+        assert.strictEqual(new Set(seen.map(row => row.id)).size, 25);
+        const ages = seen.map(row => row.age);
+        assert.deepStrictEqual(ages, [...ages].sort((a, b) => b - a));
+    });
+
+    it('reports the total and sends a Link header', async () => {
+        const res = await get('/people?limit=10&count=true').expect(200);
+        assert.strictEqual(res.body.meta.total, 25);
+        assert.strictEqual(res.body.meta.hasMore, true);
+        assert.match(res.headers.link, /rel="next"/);
+    });
+
+    it('keeps its place when rows are added before the cursor', async () => {
+        const first = await get('/people?limit=5').expect(200);
+        await api.db.insert('people', { id: 0, name: 'p0', age: 1 });
+        const second = await get(`/people?limit=5&cursor=${first.body.meta.nextCursor}`).expect(200);
+        assert.strictEqual(second.body.data[0].id, 6);
+        await api.db.delete('people', { sql: 'id = ?', params: [0] });
+    });
+
+    it('pages by offset', async () => {
+        const res = await get('/people?limit=5&offset=20').expect(200);
+        assert.deepStrictEqual(res.body.data.map(row => row.id), [21, 22, 23, 24, 25]);
+        assert.strictEqual(res.body.meta.hasMore, false);
+    });
+
+    it('rejects a cursor made with another sort', async () => {
+        const res = await get('/people?limit=5&sort=name').expect(200);
+        await get(`/people?limit=5&cursor=${res.body.meta.nextCursor}`).expect(400);
+    });
+
+    it('lowers limits to the maximum', async () => {
+        const res = await get('/people?limit=5000').expect(200);
+        assert.strictEqual(res.body.meta.limit, 1000);
+    });
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+describe('row policies', () => {
+    let api;
+    let tenant1;
+
+    before(async () => {
+        api = await startAPI({
+            config: {
+                policies: { customers: { rowFilter: key => (key.tenant_id === undefined ? null : { tenant_id: key.tenant_id }) } },
+            },
+        });
+        tenant1 = api.as(await api.key(['read', 'write', 'delete'], { tenant_id: 1 }));
+    });
+    after(() => api.close());
+
+    it('only lists the rows of the policy', async () => {
+        const res = await tenant1.get('/customers?count=true').expect(200);
+        assert.deepStrictEqual(res.body.data.map(row => row.name), ['Ada', 'Cy']);
+        assert.strictEqual(res.body.meta.total, 2);
+    });
+
+    it('hides rows outside the policy', async () => {
+        await tenant1.get('/customers/2').expect(404);
+        const res = await tenant1.patch('/customers/2').send({ name: 'Bobby' }).expect(200);
+        assert.strictEqual(res.body.changes, 0);
+        await tenant1.delete('/customers/2');
+        const [row] = await api.db.select('SELECT name FROM customers WHERE id = 2');
+        assert.strictEqual(row.name, 'Bob');
+    });
+
+    it('rejects new rows outside the policy', async () => {
+        await tenant1.post('/customers').send({ name: 'Eve', tenant_id: 2 }).expect(403);
+        await tenant1.post('/customers').send({ name: 'Eve', tenant_id: 1 }).expect(200);
+    });
+
+    it('rejects updates that move a row out of the policy', async () => {
+        await tenant1.patch('/customers/1').send({ tenant_id: 2 }).expect(403);
+        const [row] = await api.db.select('SELECT tenant_id FROM customers WHERE id = 1');
+        assert.strictEqual(row.tenant_id, 1);
+    });
+
+    it('applies to bulk updates', async () => {
+        const res = await tenant1.patch('/customers?filter[email][null]=true').send({ email: 'x@example.com' }).expect(200);
+        const rows = await api.db.select("SELECT tenant_id FROM customers WHERE email = 'x@example.com'");
+        assert.strictEqual(res.body.changes, rows.length);
+        assert.ok(rows.every(row => row.tenant_id === 1));
+    });
+
+    it('does not apply to keys the rule exempts', async () => {
+        const res = await api.as(await api.key(['read'])).get('/customers?count=true').expect(200);
+        assert.ok(res.body.meta.total >= 3);
+    });
+});
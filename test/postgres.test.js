@@ -0,0 +1,119 @@
+const assert = require('assert');
+const express = require('express');
+const { newDb } = require('pg-mem');
+const { openDatabase } = require('../db');
+const { numberPlaceholders } = require('../dialects/postgres');
+const { createAPI } = require('..');
+const { testLogger, client } = require('./helpers');
+
+const guid = code => `00000000-0000-4000-8000-00000000000${code}`;
+
+// pg-mem stands in for PostgreSQL
+describe('PostgreSQL dialect', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase({ type: 'postgres', driver: newDb().adapters.createPg() });
+        await db.execute('CREATE TABLE items (id SERIAL PRIMARY KEY, name TEXT NOT NULL, note TEXT)');
+    });
+    afterEach(() => db.close());
+
+    it('numbers placeholders outside quoted strings and identifiers', () => {
+        assert.strictEqual(numberPlaceholders(`SELECT '?', "a?" FROM t WHERE a = ? AND b = ?`),
+            `SELECT '?', "a?" FROM t WHERE a = $1 AND b = $2`);
+    });
+
+    it('inserts rows and returns their key', async () => {
+        assert.strictEqual(await db.insert('items', { name: 'one' }, 'id'), 1);
+        assert.strictEqual(await db.insert('items', { name: 'two', note: "it's" }, 'id'), 2);
+        assert.deepStrictEqual(await db.select('SELECT name, note FROM items WHERE id = ?', [2]), [{ name: 'two', note: "it's" }]);
+    });
+
+    it('updates and deletes the rows matching a condition', async () => {
+        await db.insert('items', { name: 'one' }, 'id');
+        await db.insert('items', { name: 'two' }, 'id');
+        assert.strictEqual(await db.update('items', { note: 'x' }, { sql: `${db.quote('name')} = ?`, params: ['one'] }), 1);
+        assert.strictEqual(await db.delete('items', { sql: `${db.quote('note')} IS NULL`, params: [] }), 1);
+        assert.deepStrictEqual(await db.select('SELECT name, note FROM items'), [{ name: 'one', note: 'x' }]);
+    });
+
+    it('reads tables and columns', async () => {
+        const { items } = await db.introspect();
+        assert.deepStrictEqual(Object.keys(items.columns), ['id', 'name', 'note']);
+        assert.strictEqual(items.columns.name.nullable, false);
+        assert.strictEqual(items.columns.note.type, 'text');
+    });
+});
+
+// pg-mem reports no primary keys, so records are addressed by guid
+describe('PostgreSQL upserts', () => {
+    let pool;
+    let api;
+    let app;
+    let key;
+    // Owner of a row that another request creates while an upsert runs, between its read and its insert
+    let racing = null;
+
+    const rows = async code => (await pool.query('SELECT guid, owner, name FROM items WHERE guid = $1', [guid(code)])).rows;
+
+    before(async () => {
+        const driver = newDb().adapters.createPg();
+        pool = new driver.Pool();
+        await pool.query('CREATE TABLE items (guid TEXT PRIMARY KEY, owner INTEGER NOT NULL, name TEXT NOT NULL)');
+        app = express();
+        app.use(express.json());
+        api = createAPI({
+            version: 'v1',
+            logger: testLogger(),
+            apiKeys: { useAppDb: true, appDbPath: ':memory:' },
+            database: { type: 'postgres', driver },
+            tables: { upsert: ['items'] },
+            policies: { items: { rowFilter: apiKey => ({ owner: apiKey.owner }) } },
+            hooks: {
+                items: {
+                    // pg-mem does not isolate transactions, so the row is visible as soon as it is inserted
+                    beforeCreate: async ({ tx, record }) => {
+                        if (racing === null) return;
+                        const owner = racing;
+                        racing = null;
+                        await tx.insert('items', { guid: record.guid, owner, name: 'theirs' });
+                    },
+                },
+            },
+        });
+        app.use('/api/v1', api.router);
+        await api.ready;
+        key = (await api.createApiKey({ scopes: ['read', 'write'], metadata: { owner: 1 } })).key;
+    });
+    after(() => api.close());
+
+    it('creates, reads and lists records', async () => {
+        await client(app, key).put(`/items/${guid(1)}`).send({ owner: 1, name: 'one' }).expect(201);
+        const res = await client(app, key).get(`/items/${guid(1)}`).expect(200);
+        assert.deepStrictEqual(res.body, { guid: guid(1), owner: 1, name: 'one' });
+        const list = await client(app, key).get('/items?filter[name]=one').expect(200);
+        assert.strictEqual(list.body.data.length, 1);
+    });
+
+    it('replaces a record another request created first, within the row policy', async () => {
+        racing = 1;
+        const res = await client(app, key).put(`/items/${guid(2)}`).send({ owner: 1, name: 'mine' }).expect(200);
+        assert.strictEqual(res.body.changes, 1);
+        assert.deepStrictEqual(await rows(2), [{ guid: guid(2), owner: 1, name: 'mine' }]);
+    });
+
+    it('does not overwrite a record outside the row policy that another request created first', async () => {
+        racing = 2;
+        const res = await client(app, key).put(`/items/${guid(3)}`).send({ owner: 1, name: 'mine' }).expect(403);
+        assert.strictEqual(res.body.code, 'outside_row_policy');
+        assert.deepStrictEqual(await rows(3), [{ guid: guid(3), owner: 2, name: 'theirs' }]);
+    });
+
+    it('fails the upsert with 409 inside a batch', async () => {
+        racing = 1;
+        const res = await client(app, key).post('/_batch').send({
+            operations: [{ method: 'PUT', table: 'items', ident: guid(4), body: { owner: 1, name: 'mine' } }],
+        }).expect(409);
+        assert.strictEqual(res.body.code, 'record_conflict');
+    });
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+describe('rate limits', () => {
+    let api;
+    let admin;
+
+    before(async () => {
+        api = await startAPI({
+            config: { rateLimit: { limit: 3, window: 60, scopes: { admin: { limit: null }, 'read:reports': { daily: 1 } } } },
+        });
+        admin = api.as(await api.key(['admin', 'read']));
+    });
+    after(() => api.close());
+
+    it('limits the requests of each key and counts them', async () => {
+        const { key, id } = await api.api.createApiKey({ scopes: ['read'] });
+        const client = api.as(key);
+        const first = await client.get('/orders').expect(200);
+        assert.strictEqual(first.headers['ratelimit-limit'], '3');
+        assert.strictEqual(first.headers['ratelimit-remaining'], '2');
+        await client.get('/orders').expect(200);
+        await client.get('/orders').expect(200);
+        const limited = await client.get('/orders').expect(429);
+        assert.ok(Number(limited.headers['retry-after']) > 0);
+
+        // Requests over the limit are not counted
+        const usage = await admin.get(`/_keys/${id}/usage`).expect(200);
+        assert.strictEqual(usage.body.day.count, 3);
+        assert.deepStrictEqual(usage.body.rateLimit, { limit: 3, window: 60 });
+    });
+
+    it('applies the limits of a scope the key holds', async () => {
+        const { key, id } = await api.api.createApiKey({ scopes: ['read:reports', 'read:orders'] });
+        await api.as(key).get('/orders').expect(200);
+        const res = await api.as(key).get('/orders').expect(429);
+        assert.strictEqual(res.body.code, 'quota_exceeded');
+        assert.match(res.body.detail, /Daily quota exceeded/);
+        assert.strictEqual((await api.api.getApiKeyUsage(id)).day.limit, 1);
+    });
+
+    it('lets a key lift the limit through its metadata', async () => {
+        const key = await api.key(['read'], { rateLimit: { limit: null } });
+        for (let i = 0; i < 4; i++) await api.as(key).get('/orders').expect(200);
+    });
+
+    it('does not limit scopes configured without a limit', async () => {
+        for (let i = 0; i < 4; i++) await admin.get('/_keys').expect(200);
+    });
+});
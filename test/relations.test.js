@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+describe('relations', () => {
+    let api;
+    let client;
+
+    before(async () => {
+        api = await startAPI();
+        client = api.as(await api.key());
+    });
+    after(() => api.close());
+
+    describe('include', () => {
+        it('embeds the row a record belongs to', async () => {
+            const res = await client.get('/orders/3?include=customer&fields=id,customer_id').expect(200);
+            assert.strictEqual(res.body.customer.name, 'Bob');
+        });
+
+        it('embeds the rows that belong to each record', async () => {
+            const res = await client.get('/customers?include=orders&sort=id').expect(200);
+            assert.deepStrictEqual(res.body.data.map(row => row.orders.map(order => order.id)), [[1, 2], [3], [4]]);
+        });
+
+        it('does not return the key columns it only selected to join on', async () => {
+            const res = await client.get('/orders/3?include=customer&fields=id').expect(200);
+            assert.deepStrictEqual(Object.keys(res.body).sort(), ['customer', 'id']);
+        });
+
+        it('applies the column scopes of the related table', async () => {
+            const limited = api.as(await api.key(['read:orders', 'read:customers.id', 'read:customers.name']));
+            const res = await limited.get('/orders/1?include=customer').expect(200);
+            assert.deepStrictEqual(res.body.customer, { id: 1, name: 'Ada' });
+            await api.as(await api.key(['read:orders'])).get('/orders/1?include=customer').expect(403);
+        });
+
+        it('rejects unknown relations', async () => {
+            const res = await client.get('/orders?include=shipments').expect(400);
+            assert.strictEqual(res.body.code, 'invalid_query');
+            assert.match(res.body.detail, /Unknown relation 'shipments'/);
+        });
+    });
+
+    describe('nested routes', () => {
+        it('lists related rows with the table parameters', async () => {
+            const res = await client.get('/customers/1/orders?sort=-total&fields=id,total').expect(200);
+            assert.deepStrictEqual(res.body.data, [{ id: 2, total: 20 }, { id: 1, total: 10 }]);
+        });
+
+        it('reads the row a record belongs to', async () => {
+            const res = await client.get('/orders/4/customer').expect(200);
+            assert.strictEqual(res.body.name, 'Cy');
+        });
+
+        it('answers 404 for unknown relations and records', async () => {
+            await client.get('/orders/1/shipments').expect(404);
+            await client.get('/customers/99/orders').expect(404);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const { openDatabase } = require('../db');
+const { introspectSchema, createSchema } = require('../schema');
+
+describe('schema', () => {
+    let db;
+    let tables;
+
+    before(async () => {
+        db = await openDatabase({ type: 'sqlite', options: { filename: ':memory:' } });
+        for (const statement of [
+            `CREATE TABLE customers (
+                id INTEGER PRIMARY KEY,
+                name VARCHAR(50) NOT NULL,
+                email VARCHAR(100),
+                balance DECIMAL(10, 2) DEFAULT 0
+            )`,
+            'CREATE TABLE api_keys (api_key TEXT PRIMARY KEY, scopes TEXT)',
+            'CREATE TABLE notes (body TEXT)',
+            'CREATE VIEW customer_names AS SELECT id, name FROM customers',
+        ]) await db.execute(statement);
+        tables = await introspectSchema(db);
+    });
+
+    after(() => db.close());
+
+    describe('introspectSchema', () => {
+        it('reads tables, views, primary keys and column metadata', () => {
+            const { customers } = tables;
+            assert.strictEqual(customers.primaryKey, 'id');
+            assert.strictEqual(customers.view, false);
+            assert.strictEqual(tables.customer_names.view, true);
+            assert.strictEqual(tables.notes.primaryKey, null);
+            assert.deepStrictEqual(Object.keys(customers.columns), ['id', 'name', 'email', 'balance']);
+            assert.strictEqual(customers.columns.id.autoIncrement, true);
+            assert.strictEqual(customers.columns.id.nullable, false);
+            assert.strictEqual(customers.columns.name.nullable, false);
+            assert.strictEqual(customers.columns.email.nullable, true);
+        });
+
+        it('splits declared types into a base type and a length', () => {
+            const { columns } = tables.customers;
+            assert.strictEqual(columns.id.type, 'integer');
+            assert.strictEqual(columns.name.type, 'varchar');
+            assert.strictEqual(columns.name.maxLength, 50);
+            assert.strictEqual(columns.balance.type, 'decimal');
+            assert.strictEqual(columns.balance.maxLength, 10);
+            assert.strictEqual(columns.id.maxLength, null);
+        });
+    });
+
+    describe('createSchema', () => {
+        it('never exposes the API key table', () => {
+            const schema = createSchema(tables, {});
+            assert.strictEqual(schema.getTable('api_keys'), null);
+            assert.ok(schema.getTable('customers'));
+            assert.deepStrictEqual(schema.listTables().map(table => table.name).sort(),
+                ['customer_names', 'customers', 'notes']);
+        });
+
+        it('applies include and exclude lists', () => {
+            assert.deepStrictEqual(createSchema(tables, { tables: { include: ['customers', 'api_keys'] } })
+                .listTables().map(table => table.name), ['customers']);
+            const schema = createSchema(tables, { tables: { exclude: ['notes'] } });
+            assert.strictEqual(schema.getTable('notes'), null);
+            assert.strictEqual(schema.getTable('missing'), null);
+            assert.strictEqual(schema.getTable('constructor'), null);
+        });
+
+        it('reads the rules on every lookup', () => {
+            const config = {};
+            const schema = createSchema(tables, config);
+            assert.ok(schema.getTable('notes'));
+            config.tables = { exclude: ['notes'] };
+            assert.strictEqual(schema.getTable('notes'), null);
+        });
+
+        it('treats views and readOnly tables as read-only', () => {
+            const schema = createSchema(tables, { tables: { readOnly: ['notes'] } });
+            assert.strictEqual(schema.isReadOnly('customer_names'), true);
+            assert.strictEqual(schema.isReadOnly('notes'), true);
+            assert.strictEqual(schema.isReadOnly('customers'), false);
+        });
+
+        it('reports unknown columns', () => {
+            const schema = createSchema(tables, {});
+            assert.deepStrictEqual(schema.unknownColumns(tables.customers, ['name', 'nope', 'toString']),
+                ['nope', 'toString']);
+        });
+    });
+});
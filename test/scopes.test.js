@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { parseScopes, hasScope, scopeColumns } = require('../scopes');
+const { startAPI } = require('./helpers');
+
+describe('scopes', () => {
+    describe('hasScope', () => {
+        it('parses scope lists', () => {
+            assert.deepStrictEqual(parseScopes('read, write:orders|admin'), ['read', 'write:orders', 'admin']);
+        });
+
+        it('covers narrower scopes with wider ones', () => {
+            assert.strictEqual(hasScope(['read'], 'read:orders'), true);
+            assert.strictEqual(hasScope(['read:orders'], 'read:orders.total'), true);
+            assert.strictEqual(hasScope(['*:orders'], 'delete:orders'), true);
+            assert.strictEqual(hasScope(['*'], 'admin'), true);
+        });
+
+        it('does not cover wider scopes with narrower ones', () => {
+            assert.strictEqual(hasScope(['read:orders'], 'read'), false);
+            assert.strictEqual(hasScope(['read:orders'], 'read:customers'), false);
+            assert.strictEqual(hasScope(['write'], 'read:orders'), false);
+        });
+
+        it('lists the columns a key may use', () => {
+            assert.deepStrictEqual(scopeColumns(['read:orders.total', 'read:orders.status'], 'read', 'orders'), ['total', 'status']);
+            assert.strictEqual(scopeColumns(['read:orders'], 'read', 'orders'), '*');
+            assert.strictEqual(scopeColumns(['read:orders'], 'read', 'customers'), null);
+        });
+    });
+
+    describe('routes', () => {
+        let api;
+
+        before(async () => {
+            api = await startAPI();
+        });
+        after(() => api.close());
+
+        it('asks for an API key', async () => {
+            await api.as().get('/orders').expect(401);
+            await api.as('eag_nope').get('/orders').expect(403);
+        });
+
+        it('limits keys to the tables of their scopes', async () => {
+            const orders = api.as(await api.key(['read:orders']));
+            await orders.get('/orders').expect(200);
+            await orders.get('/customers').expect(403);
+            await orders.post('/orders').send({ status: 'new' }).expect(403);
+        });
+
+        it('limits keys to the columns of their scopes', async () => {
+            const totals = api.as(await api.key(['read:orders.id', 'read:orders.total']));
+            const res = await totals.get('/orders/1').expect(200);
+            assert.deepStrictEqual(res.body, { id: 1, total: 10 });
+            await totals.get('/orders?filter[status]=new').expect(400);
+        });
+
+        it('limits the filters of bulk writes to the columns the key can read', async () => {
+            const totals = api.as(await api.key(['read:orders.id', 'read:orders.total', 'write:orders.total', 'delete:orders']));
+            const res = await totals.patch('/orders?filter[status]=paid').send({ total: 0 }).expect(400);
+            assert.strictEqual(res.body.code, 'invalid_query');
+            await totals.delete('/orders?filter[status]=paid').expect(400);
+            await api.as(await api.key(['write:orders'])).patch('/orders?filter[id]=1').send({ total: 0 }).expect(403);
+            const [{ count }] = await api.db.select('SELECT COUNT(*) AS count FROM orders WHERE total = 0');
+            assert.strictEqual(count, 0);
+        });
+
+        it('limits writes to the columns of their scopes', async () => {
+            const status = api.as(await api.key(['read:orders', 'write:orders.status']));
+            await status.patch('/orders/3').send({ status: 'paid' }).expect(200);
+            await status.patch('/orders/3').send({ total: 1 }).expect(403);
+            // Replacing resets the other columns, which the key cannot write
+            await status.put('/orders/3').send({ status: 'new' }).expect(403);
+        });
+
+        it('keeps the key routes to admin keys', async () => {
+            await api.as(await api.key(['read', 'write', 'delete'])).get('/_keys').expect(403);
+            await api.as(await api.key(['admin'])).get('/_keys').expect(200);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { startAPI } = require('./helpers');
+
+const ARTICLES = [
+    `CREATE TABLE articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(100) NOT NULL,
+        body TEXT,
+        status VARCHAR(20) DEFAULT 'draft'
+    )`,
+    `INSERT INTO articles (title, body, status) VALUES
+        ('Solar panels at home', 'Panels on the roof, and solar water heating.', 'published'),
+        ('Wind power', 'Turbines and the occasional solar farm.', 'published'),
+        ('Garden notes', 'Tomatoes need sun.', 'draft')`,
+    'CREATE TABLE tags (id INTEGER PRIMARY KEY AUTOINCREMENT, name VARCHAR(20))',
+];
+
+describe('search', () => {
+    let api;
+    let get;
+    let client;
+
+    before(async () => {
+        api = await startAPI({ sql: ARTICLES, config: { search: { articles: ['title', 'body'] } } });
+        client = api.as(await api.key());
+        get = client.get;
+    });
+    after(() => api.close());
+
+    it('finds rows with every word, best matches first', async () => {
+        const res = await get('/articles?q=solar').expect(200);
+        assert.deepStrictEqual(res.body.data.map(row => row.id), [1, 2]);
+        const both = await get('/articles?q=solar%20panels').expect(200);
+        assert.deepStrictEqual(both.body.data.map(row => row.id), [1]);
+    });
+
+    it('combines with filters and sorts', async () => {
+        const res = await get('/articles?q=solar&filter[id][gt]=1&sort=-id').expect(200);
+        assert.deepStrictEqual(res.body.data.map(row => row.id), [2]);
+    });
+
+    it('keeps the index in step with writes', async () => {
+        await client.post('/articles').send({ title: 'Solar cookers', body: 'Boxes' }).expect(200);
+        await client.patch('/articles/3').send({ body: 'Solar lights along the path.' }).expect(200);
+        await client.delete('/articles/1').expect(200);
+        const res = await get('/articles?q=solar&sort=id').expect(200);
+        assert.deepStrictEqual(res.body.data.map(row => row.id), [2, 3, 4]);
+    });
+
+    it('treats the query as words, not FTS syntax', async () => {
+        await get('/articles?q=%22solar%20OR%20*').expect(200);
+    });
+
+    it('refuses keys that cannot read every search column', async () => {
+        const titles = api.as(await api.key(['read:articles.id', 'read:articles.title']));
+        const res = await titles.get('/articles?q=roof').expect(403);
+        assert.strictEqual(res.body.code, 'insufficient_scope');
+        await titles.get('/articles').expect(200);
+        const all = api.as(await api.key(['read:articles']));
+        await all.get('/articles?q=roof').expect(200);
+    });
+
+    it('rejects searches on other tables and long queries', async () => {
+        await get('/tags?q=solar').expect(400);
+        const words = Array.from({ length: 33 }, (_, n) => `w${n}`).join(' ');
+        await get(`/articles?q=${encodeURIComponent(words)}`).expect(400);
+    });
+
+    it('refuses to start when a search table or column does not exist', async () => {
+        await assert.rejects(startAPI({ sql: ARTICLES, config: { search: { article: ['title'] } } }), /search: table 'article' does not exist/);
+        await assert.rejects(startAPI({ sql: ARTICLES, config: { search: { articles: ['titel'] } } }), /search: table 'articles' has no column 'titel'/);
+    });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { SHOP, startAPI } = require('./helpers');
+
+const SOFT_SHOP = [...SHOP, 'ALTER TABLE orders ADD COLUMN deleted_at DATETIME'];
+
+describe('soft deletes', () => {
+    let api;
+    let client;
+
+    before(async () => {
+        api = await startAPI({ sql: SOFT_SHOP, config: { softDelete: { orders: 'deleted_at' } } });
+        client = api.as(await api.key(['*']));
+    });
+    after(() => api.close());
+
+    it('marks rows instead of deleting them', async () => {
+        await client.delete('/orders/1').expect(200);
+        const [row] = await api.db.select('SELECT deleted_at FROM orders WHERE id = 1');
+        assert.ok(row.deleted_at);
+    });
+
+    it('hides deleted rows from reads and writes', async () => {
+        await client.get('/orders/1').expect(404);
+        const list = await client.get('/orders?count=true').expect(200);
+        assert.strictEqual(list.body.meta.total, 3);
+        const patched = await client.patch('/orders/1').send({ status: 'paid' }).expect(200);
+        assert.strictEqual(patched.body.changes, 0);
+        const customer = await client.get('/customers/1?include=orders').expect(200);
+        assert.deepStrictEqual(customer.body.orders.map(order => order.id), [2]);
+    });
+
+    it('ignores the column in request bodies', async () => {
+        await client.patch('/orders/2').send({ status: 'paid', deleted_at: '2024-01-01' }).expect(200);
+        const [row] = await api.db.select('SELECT deleted_at FROM orders WHERE id = 2');
+        assert.strictEqual(row.deleted_at, null);
+    });
+
+    it('lists deleted rows with withDeleted, for keys with the restore scope', async () => {
+        const res = await client.get('/orders?withDeleted=true&filter[deleted_at][null]=false').expect(200);
+        assert.deepStrictEqual(res.body.data.map(order => order.id), [1]);
+        await api.as(await api.key(['read'])).get('/orders?withDeleted=true').expect(403);
+    });
+
+    it('restores rows', async () => {
+        await api.as(await api.key(['read', 'delete'])).post('/orders/1/_restore').expect(403);
+        const res = await client.post('/orders/1/_restore').expect(200);
+        assert.strictEqual(res.body.changes, 1);
+        await client.get('/orders/1').expect(200);
+        const again = await client.post('/orders/1/_restore').expect(200);
+        assert.strictEqual(again.body.changes, 0);
+    });
+
+    it('purges rows with the purge scope only', async () => {
+        await api.as(await api.key(['read', 'delete'])).delete('/orders/4/_purge').expect(403);
+        await client.delete('/orders/4/_purge').expect(200);
+        const rows = await api.db.select('SELECT id FROM orders WHERE id = 4');
+        assert.strictEqual(rows.length, 0);
+    });
+
+    it('answers 400 on tables without soft deletes', async () => {
+        await client.post('/customers/1/_restore').expect(400);
+    });
+
+    it('refuses to start when the table does not exist', async () => {
+        await assert.rejects(startAPI({ sql: SOFT_SHOP, config: { softDelete: { order: 'deleted_at' } } }), /softDelete: table 'order' does not exist/);
+    });
+});
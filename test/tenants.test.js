@@ -0,0 +1,163 @@
+const assert = require('assert');
+const fs = require('fs');
+const express = require('express');
+const apiGenerator = require('..');
+const { SHOP, createDatabase, startAPI, testLogger, client } = require('./helpers');
+
+const { createAPI, initializeAPI } = apiGenerator;
+
+describe('several databases and tenants', () => {
+    describe('instances', () => {
+        it('share nothing', async () => {
+            const first = await startAPI();
+            const second = await startAPI();
+            try {
+                const key = await first.key();
+                await first.as(key).get('/orders').expect(200);
+                await second.as(key).get('/orders').expect(403);
+                await first.as(key).delete('/orders/1').expect(200);
+                await second.as(await second.key()).get('/orders/1').expect(200);
+            } finally {
+                await first.close();
+                await second.close();
+            }
+        });
+    });
+
+    describe('tenants', () => {
+        const dirs = [];
+        let app;
+        let api;
+        let key;
+
+        before(async () => {
+            const files = {};
+            for (const [tenant, name] of [['acme', 'Acme Ada'], ['globex', 'Globex Gus']]) {
+                const { dir, filename } = await createDatabase([...SHOP, `UPDATE customers SET name = '${name}' WHERE id = 1`]);
+                dirs.push(dir);
+                files[tenant] = filename;
+            }
+            app = express();
+            app.use(express.json());
+            api = createAPI({
+                version: 'v1',
+                logger: testLogger(),
+                apiKeys: { useAppDb: true, appDbPath: ':memory:' },
+                tenants: {
+                    metadata: 'tenant',
+                    header: 'x-tenant',
+                    database: tenant => (files[tenant] ? { type: 'sqlite', options: { filename: files[tenant] } } : null),
+                },
+            });
+            app.use('/api/v1', api.router);
+            await api.ready;
+            key = (await api.createApiKey({ scopes: ['*'] })).key;
+        });
+        after(async () => {
+            await api.close();
+            dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+        });
+
+        it('serves each request from the database of its tenant', async () => {
+            const acme = await client(app, key).get('/customers/1').set('x-tenant', 'acme').expect(200);
+            const globex = await client(app, key).get('/customers/1').set('x-tenant', 'globex').expect(200);
+            assert.strictEqual(acme.body.name, 'Acme Ada');
+            assert.strictEqual(globex.body.name, 'Globex Gus');
+        });
+
+        it('asks for a known tenant', async () => {
+            await client(app, key).get('/customers').expect(400);
+            await client(app, key).get('/customers').set('x-tenant', 'initech').expect(404);
+            await client(app, key).get('/customers').set('x-tenant', '../acme').expect(400);
+        });
+
+        it('binds keys to the tenant of their metadata', async () => {
+            const bound = (await api.createApiKey({ scopes: ['*'], metadata: { tenant: 'acme' } })).key;
+            const res = await client(app, bound).get('/customers/1').expect(200);
+            assert.strictEqual(res.body.name, 'Acme Ada');
+            await client(app, bound).get('/customers/1').set('x-tenant', 'globex').expect(403);
+        });
+
+        it('gives the database of a tenant', async () => {
+            const db = await api.getDatabase('globex');
+            const [row] = await db.select('SELECT name FROM customers WHERE id = 1');
+            assert.strictEqual(row.name, 'Globex Gus');
+        });
+    });
+
+    describe('initializeAPI', () => {
+        const dirs = [];
+        let app;
+        let apis;
+
+        before(async () => {
+            const databases = {};
+            for (const name of ['shop', 'reports']) {
+                const { dir, filename } = await createDatabase(SHOP);
+                dirs.push(dir);
+                databases[name] = { database: { type: 'sqlite', options: { filename } } };
+            }
+            databases.reports.path = '/reports';
+            databases.reports.apiKeys = { useAppDb: true, appDbPath: ':memory:' };
+            app = express();
+            app.use(express.json());
+            apis = await initializeAPI(app, {
+                version: 'v1',
+                logger: testLogger(),
+                apiKeys: { useAppDb: true, appDbPath: ':memory:' },
+                databases,
+            });
+        });
+        after(async () => {
+            await Promise.all(Object.values(apis).map(api => api.close()));
+            dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+        });
+
+        it('mounts each database with its own key store', async () => {
+            const key = (await apis.reports.createApiKey({ scopes: ['read'] })).key;
+            await client(app, key, '/reports').get('/orders').expect(200);
+            await client(app, key, '/api/v1/shop').get('/orders').expect(403);
+        });
+
+        it('keeps the module-level functions for the first database', async () => {
+            const warnings = [];
+            const onWarning = warning => warnings.push(warning.code);
+            process.on('warning', onWarning);
+            try {
+                const { key } = await apiGenerator.createApiKey({ scopes: ['read'] });
+                await client(app, key, '/api/v1/shop').get('/orders').expect(200);
+                const db = apiGenerator.getDatabase();
+                assert.strictEqual(db, await apis.shop.getDatabase());
+                assert.ok((await apiGenerator.listApiKeys()).length >= 1);
+                await new Promise(done => setImmediate(done));
+            } finally {
+                process.removeListener('warning', onWarning);
+            }
+            assert.ok(warnings.includes('EAG_CREATE_API_KEY') && warnings.includes('EAG_GET_DATABASE'));
+        });
+
+        it('times the queries of a shared key store, and closes it with the last database that uses it', async () => {
+            const queries = [];
+            const databases = {};
+            for (const name of ['north', 'south']) {
+                const { dir, filename } = await createDatabase(SHOP);
+                dirs.push(dir);
+                databases[name] = { database: { type: 'sqlite', options: { filename } } };
+            }
+            const shared = await initializeAPI(express(), {
+                version: 'v1',
+                logger: testLogger(),
+                apiKeys: { useAppDb: true, appDbPath: ':memory:' },
+                metrics: { query: event => queries.push(event) },
+                databases,
+            });
+            await shared.south.createApiKey({ scopes: ['read'] });
+            assert.ok(queries.some(event => /api_keys/.test(event.sql)));
+
+            await shared.north.close();
+            assert.strictEqual((await shared.south.listApiKeys()).length, 1);
+            await shared.south.close();
+            await assert.rejects(shared.south.listApiKeys());
+        });
+    });
+});
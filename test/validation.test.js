@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { validateRecord, ValidationError } = require('../validation');
+const { startAPI } = require('./helpers');
+
+const table = {
+    name: 'events',
+    columns: {
+        id: { name: 'id', type: 'integer', nullable: false, autoIncrement: true },
+        title: { name: 'title', type: 'varchar', maxLength: 5, nullable: false },
+        public: { name: 'public', type: 'boolean', nullable: true },
+        starts: { name: 'starts', type: 'date', nullable: true },
+        price: { name: 'price', type: 'decimal', nullable: false, default: '0' },
+        meta: { name: 'meta', type: 'json', nullable: true },
+    },
+};
+const db = { formatDateTime: date => date.toISOString() };
+
+describe('validation', () => {
+    describe('validateRecord', () => {
+        it('coerces values to what the columns store', () => {
+            const record = validateRecord(table, { title: 'Gig', public: 'true', starts: '2024-05-06T20:00:00Z', price: '9.5', meta: { a: 1 } }, { db });
+            assert.deepStrictEqual(record, { title: 'Gig', public: true, starts: '2024-05-06', price: 9.5, meta: '{"a":1}' });
+        });
+
+        it('lists every invalid field', () => {
+            assert.throws(() => validateRecord(table, { title: 'Too long', public: 'maybe', extra: 1 }, { db }), (error) => {
+                assert.ok(error instanceof ValidationError);
+                assert.deepStrictEqual(error.errors.map(entry => entry.field), ['title', 'public', 'extra']);
+                return true;
+            });
+        });
+
+        it('only requires NOT NULL columns without a default on inserts', () => {
+            assert.throws(() => validateRecord(table, {}, { db }), error => error.errors[0].field === 'title');
+            assert.deepStrictEqual(validateRecord(table, { public: 0 }, { db, partial: true }), { public: false });
+            assert.throws(() => validateRecord(table, {}, { db, partial: true }), ValidationError);
+            assert.throws(() => validateRecord(table, { title: null }, { db, partial: true }), ValidationError);
+        });
+
+        it('runs custom validators on coerced values', () => {
+            const validators = { price: value => value >= 1 || 'must be at least 1' };
+            assert.throws(() => validateRecord(table, { title: 'a', price: '0.5' }, { db, validators }),
+                error => error.errors[0].message === 'must be at least 1');
+        });
+    });
+
+    describe('request bodies', () => {
+        let api;
+        let client;
+
+        before(async () => {
+            api = await startAPI({
+                config: { validators: { customers: { email: value => /^[^@\s]+@[^@\s]+$/.test(value) || 'must be an email address' } } },
+            });
+            client = api.as(await api.key());
+        });
+        after(() => api.close());
+
+        it('answers invalid bodies with 422 and every problem', async () => {
+            const res = await client.post('/customers').send({ email: 'ada', nickname: 'A', tenant_id: 'one' }).expect(422);
+            assert.deepStrictEqual(res.body.errors.map(error => error.field).sort(), ['email', 'name', 'nickname', 'tenant_id']);
+        });
+
+        it('stores coerced values', async () => {
+            await client.patch('/orders/1').send({ total: '12.5', placed: '2024-03-04T10:00:00Z' }).expect(200);
+            const [row] = await api.db.select('SELECT total, placed FROM orders WHERE id = 1');
+            assert.deepStrictEqual(row, { total: 12.5, placed: '2024-03-04' });
+        });
+
+        it('rejects strings longer than the column', async () => {
+            await client.patch('/orders/1').send({ status: 'x'.repeat(21) }).expect(422);
+        });
+    });
+});
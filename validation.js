@@ -0,0 +1,146 @@
+const { columnKind } = require('./schema');
+const { isPlainObject } = require('./filters');
+const { ApiError } = require('./errors');
+
+// Thrown when a request body does not fit the table, reported to the client as a 422 listing the problems
+class ValidationError extends ApiError {
+    /**
+     * @param {Array<Object>} errors - `{ field, message }` for each problem
+     */
+    constructor(errors) {
+        super(422, 'Validation failed', 'validation_failed', { errors });
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Parses a date, datetime or timestamp given as an ISO string or milliseconds since the epoch.
+ * @param {*} value - Raw value from the request body
+ * @returns {Date|null} - The date, or null if it cannot be parsed
+ */
+const parseDate = (value) => {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    if (typeof value !== 'number' && typeof value !== 'string') return null;
+    if (typeof value === 'string' && !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+/**
+ * Converts a value to what the column stores, the same way on every database.
+ * Returns `{ value }` on success or `{ error }` with a message.
+ * @param {Object} column - Column metadata from introspection
+ * @param {*} value - Raw value from the request body (never null)
+ * @param {Object} db - Database adapter, for its datetime format
+ * @returns {Object}
+ */
+const coerce = (column, value, db) => {
+    switch (columnKind(column)) {
+        case 'integer':
+            if (typeof value === 'number' && Number.isInteger(value)) return { value };
+            if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return { value: Number(value) };
+            return { error: 'must be an integer' };
+
+        case 'number':
+            if (typeof value === 'number' && Number.isFinite(value)) return { value };
+            if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return { value: Number(value) };
+            return { error: 'must be a number' };
+
+        case 'boolean':
+            if (value === true || value === 1 || value === 'true' || value === '1') return { value: true };
+            if (value === false || value === 0 || value === 'false' || value === '0') return { value: false };
+            return { error: 'must be a boolean' };
+
+        case 'date': {
+            const date = parseDate(value);
+            return date ? { value: date.toISOString().slice(0, 10) } : { error: 'must be a date (YYYY-MM-DD)' };
+        }
+
+        case 'datetime': {
+            const date = parseDate(value);
+            return date ? { value: db.formatDateTime(date) } : { error: 'must be an ISO 8601 date and time' };
+        }
+
+        case 'time':
+            return typeof value === 'string' && /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)
+                ? { value }
+                : { error: 'must be a time (HH:MM or HH:MM:SS)' };
+
+        case 'json':
+            // The body value is the JSON document itself, so it is always serialized
+            return { value: JSON.stringify(value) };
+
+        case 'binary':
+            return typeof value === 'string' ? { value: Buffer.from(value, 'base64') } : { error: 'must be a base64 string' };
+
+        default:
+            if (isPlainObject(value) || Array.isArray(value)) return { error: 'must be a string' };
+            value = String(value);
+            if (column.maxLength && value.length > column.maxLength) {
+                return { error: `must be at most ${column.maxLength} characters` };
+            }
+            return { value };
+    }
+};
+
+/**
+ * Checks a request body against a table's columns and returns it with every value coerced.
+ * @param {Object} table - Table metadata from the schema
+ * @param {*} body - The parsed request body
+ * @param {Object} options
+ * @param {Object} options.db - Database adapter
+ * @param {boolean} [options.partial] - Only check the columns present (updates), instead of requiring every NOT NULL column
+ * @param {Object} [options.validators] - Custom validators for this table: `{ column: (value, record) => true | false | message }`,
+ *                                        called with the coerced value and record
+ * @returns {Object} - The coerced record
+ * @throws {ValidationError} - With one entry per invalid field
+ */
+function validateRecord(table, body, { db, partial = false, validators = {} }) {
+    if (!isPlainObject(body)) {
+        throw new ValidationError([{ field: null, message: 'Request body must be a JSON object' }]);
+    }
+
+    const errors = [];
+    const record = {};
+
+    for (const [field, value] of Object.entries(body)) {
+        if (!Object.prototype.hasOwnProperty.call(table.columns, field)) {
+            errors.push({ field, message: `is not a column of table '${table.name}'` });
+            continue;
+        }
+        const column = table.columns[field];
+        if (value === null || value === undefined) {
+            if (!column.nullable && !column.autoIncrement) errors.push({ field, message: 'cannot be null' });
+            else record[field] = null;
+            continue;
+        }
+        const result = coerce(column, value, db);
+        if (result.error) errors.push({ field, message: result.error });
+        else record[field] = result.value;
+    }
+
+    if (!partial) {
+        for (const column of Object.values(table.columns)) {
+            const hasDefault = column.default !== null && column.default !== undefined;
+            if (!column.nullable && !hasDefault && !column.autoIncrement && !(column.name in body)) {
+                errors.push({ field: column.name, message: 'is required' });
+            }
+        }
+    } else if (!Object.keys(body).length) {
+        errors.push({ field: null, message: 'Request body must contain at least one column' });
+    }
+
+    // Custom validators only run on fields that passed the built-in checks
+    for (const [field, validator] of Object.entries(validators)) {
+        if (!(field in record) || errors.some(error => error.field === field)) continue;
+        const result = validator(record[field], record);
+        if (result === false) errors.push({ field, message: 'is invalid' });
+        else if (typeof result === 'string') errors.push({ field, message: result });
+    }
+
+    if (errors.length) throw new ValidationError(errors);
+    return record;
+}
+
+module.exports = { validateRecord, ValidationError };